@@ -13,7 +13,7 @@ const SPEECH_CONFIG = {
     // 基本設定
     continuous: true,           // 連続認識
     interimResults: true,       // 中間結果表示
-    maxAlternatives: 1,         // 代替候補数
+    maxAlternatives: 1,         // 代替候補数（ユーザー設定がない場合の既定値）
     
     // タイムアウト管理
     deadTime: 5000,            // Watchdog判定時間（ms）
@@ -23,7 +23,36 @@ const SPEECH_CONFIG = {
     // エラー処理
     maxErrorCount: 10,         // 最大エラー回数
     restartDelay: 100,         // 再起動遅延（ms）
-    duplicateCheckTimeout: 1500 // 重複処理チェック時間（ms）
+    duplicateCheckLines: 5,     // 重複判定の対象とする直近の確定行数
+    duplicateMinContainedLength: 4 // 直前の行に含まれるとして重複判定する最小文字数
+};
+
+// 認識言語設定
+// ruby: ルビの種類（pinyin: 漢語拼音、jyutping: 粤拼）
+// 翻訳プロンプトでの言語名は翻訳先言語ごとに translator.js の PROMPT_TEMPLATES で定義
+const LANGUAGE_CONFIG = {
+    'zh-CN': { label: '簡体字', ruby: 'pinyin' },
+    'zh-TW': { label: '繁体字', ruby: 'pinyin' },
+    'yue-Hant-HK': { label: '広東語', ruby: 'jyutping' },
+    'zh-HK': { label: '香港', ruby: 'jyutping' }
+};
+
+// 翻訳先言語設定
+// label: 設定画面での表示名、shortLabel: 行の追加翻訳ボタンの表示
+// promptName: 専用のプロンプト文言がない場合に英語のプロンプトで使う言語名
+// deepl: DeepLの言語コード（DeepLが対応していない言語はnull）
+const TARGET_LANGUAGE_CONFIG = {
+    'ja': { label: '日本語', shortLabel: 'JA', promptName: 'Japanese', deepl: 'JA' },
+    'en': { label: '英語（English）', shortLabel: 'EN', promptName: 'English', deepl: 'EN-US' },
+    'ko': { label: '韓国語（한국어）', shortLabel: 'KO', promptName: 'Korean', deepl: 'KO' },
+    'es': { label: 'スペイン語（Español）', shortLabel: 'ES', promptName: 'Spanish', deepl: 'ES' },
+    'fr': { label: 'フランス語（Français）', shortLabel: 'FR', promptName: 'French', deepl: 'FR' },
+    'de': { label: 'ドイツ語（Deutsch）', shortLabel: 'DE', promptName: 'German', deepl: 'DE' },
+    'pt': { label: 'ポルトガル語（Português）', shortLabel: 'PT', promptName: 'Brazilian Portuguese', deepl: 'PT-BR' },
+    'ru': { label: 'ロシア語（Русский）', shortLabel: 'RU', promptName: 'Russian', deepl: 'RU' },
+    'id': { label: 'インドネシア語（Bahasa Indonesia）', shortLabel: 'ID', promptName: 'Indonesian', deepl: 'ID' },
+    'vi': { label: 'ベトナム語（Tiếng Việt）', shortLabel: 'VI', promptName: 'Vietnamese', deepl: null },
+    'th': { label: 'タイ語（ไทย）', shortLabel: 'TH', promptName: 'Thai', deepl: null }
 };
 
 // UIシステム設定
@@ -40,6 +69,37 @@ const UI_CONFIG = {
         error: 'エラー - 再試行',
         interim: '認識中...'
     },
+    restartStatusTexts: {
+        backoff: {
+            label: '再開待ち',
+            description: '連続した再起動を抑えるため待機しています'
+        },
+        'rate-limited': {
+            label: '再起動制限中',
+            description: '1分あたりの再起動回数の上限に達したため待機しています'
+        },
+        'circuit-open': {
+            label: '接続エラー - 待機中',
+            description: 'ネットワークまたは音声キャプチャのエラーが続いたため再起動を一時停止しています'
+        }
+    },
+    sessionTimerTexts: {
+        start: '開始まで',
+        stop: '停止まで',
+        silence: '無音停止まで'
+    },
+    paragraph: {
+        previewLength: 30               // 段落の見出しに表示する先頭テキストの最大文字数
+    },
+    keywordAlert: {
+        flashDuration: 1500,            // 一覧から移動した行の強調時間（ms）
+        notificationTitle: 'キーワード検出'
+    },
+    voiceActivityTexts: {
+        silent: '無音',
+        sound: '音声検出',
+        speaking: '発話中'
+    },
     quickTranslate: {
         selectionClearDelay: 300,       // テキスト選択解除遅延（ms）
         feedbackDuration: 800,          // 視覚フィードバック表示時間（ms）- UXを考慮して短縮
@@ -59,6 +119,8 @@ const API_CONFIG = {
 const STORAGE_CONFIG = {
     KEY_PREFIX: 'chinese_speech_to_text_',
     SETTINGS_KEY: 'settings',
+    SESSION_SUMMARIES_KEY: 'session_summaries',
+    PROFILES_KEY: 'profiles',
     VERSION: '1.0.0'
 };
 
@@ -73,7 +135,8 @@ const ERROR_MESSAGES = {
         ABORTED: '音声認識が中断されました。',
         AUDIO_CAPTURE: '音声キャプチャでエラーが発生しました。',
         NETWORK: 'ネットワークエラーが発生しました。',
-        NOT_SUPPORTED: 'このブラウザは音声認識をサポートしていません。'
+        NOT_SUPPORTED: 'このブラウザは音声認識をサポートしていません。',
+        SERVER_UNAVAILABLE: 'ローカル認識サーバーに接続できません。サーバーURLと起動状態を確認してください。'
     },
     
     // 翻訳関連エラー
@@ -106,15 +169,55 @@ const ERROR_MESSAGES = {
 
 // デフォルト設定
 const DEFAULT_SETTINGS = {
-    language: 'zh-CN',          // 認識言語
+    language: 'zh-CN',          // 認識言語（LANGUAGE_CONFIGのキー）
+    targetLanguage: 'ja',       // 翻訳先言語（TARGET_LANGUAGE_CONFIGのキー）
+    secondaryTargetLanguage: '', // 行ごとに追加で翻訳できる言語（空=使用しない）
+    recognitionBackend: 'webspeech', // 認識バックエンド（webspeech / websocket）
+    recognitionServerUrl: 'ws://localhost:2700', // ローカル認識サーバーURL（websocket用）
+    audioInputDeviceId: '',     // 音声入力デバイスID（空欄=既定のデバイス、websocket用）
+    inputLevelWarning: true,    // 認識中に入力レベルが平坦な状態が続いた場合に警告
+    maxAlternatives: 3,         // 各行に保持する認識候補数
+    lowConfidenceThreshold: 0.5, // 低信頼度と判定する閾値（0=判定しない）
+    skipLowConfidenceTranslation: true, // 低信頼度の行を自動翻訳から除外
+    punctuationRestoration: true, // ポーズと文末助詞から句読点を復元
+    sentenceStitching: true,    // 再起動で分割された文を直前の行に結合
+    duplicateSimilarityThreshold: 0.8, // 重複とみなす類似度（1=完全一致のみ）
+    duplicateCheckSeconds: 5,   // 重複判定の対象とする直近の確定行の経過秒数（0=重複判定しない）
+    vocabularyBiasMode: 'suggest', // 登録語彙に発音が近い語句の扱い（off / suggest / auto）
+    vocabularySimilarityThreshold: 0.8, // 登録語彙と発音が近いとみなすピンインの類似度
+    restartStrategy: 'exponential', // 自動再開の待機戦略（fixed, linear, exponential）
+    restartBaseDelay: 100,      // 自動再開の基本待機時間（ms）
+    restartMaxAttempts: 30,     // 1分あたりの最大再起動回数
+    scheduledStartTime: '',     // 認識の予約開始時刻（HH:MM、空欄=予約なし）
+    autoStopAfterMinutes: 0,    // 認識開始から自動停止までの時間（分、0=無効）
+    silenceStopAfterMinutes: 0, // 認識結果が途絶えてから自動停止までの時間（分、0=無効）
+    timestampMode: 'wallclock', // 行の時刻表示（wallclock=時刻 / elapsed=配信開始からの経過時間）
+    streamStartTime: '',        // 経過時間の基準とする配信開始時刻（HH:MM:SS、空欄=認識開始時刻）
+    paragraphGapSeconds: 2,     // 前の行との発話間隔がこの秒数未満の行を段落にまとめる（0=まとめない）
+    activeProfile: 'default',   // 使用中のプロフィール（置換辞書などの切り替え単位）
+    keywordWatchList: '',       // 監視キーワード（1行に1つ、/正規表現/フラグ も可）
+    keywordAlertSound: true,    // キーワード検出時に通知音を鳴らす
+    keywordAlertNotification: false, // キーワード検出時にデスクトップ通知を表示
+    speakerList: '',            // 話者一覧（1行に1人、「名前,色,口調」）
+    translationProvider: 'gemini', // 翻訳プロバイダー（gemini / openai / deepl）
     geminiApiKey: '',           // Gemini APIキー
     geminiModel: 'gemini-2.5-flash-lite', // 使用モデル
+    streamingTranslation: true, // 翻訳結果を受信しながら表示（Geminiのみ）
+    openaiEndpoint: 'https://api.openai.com/v1', // OpenAI互換APIのエンドポイント（ローカルLLMサーバーも可）
+    openaiApiKey: '',           // OpenAI互換APIのAPIキー（ローカルLLMサーバーでは空欄可）
+    openaiModel: 'gpt-4o-mini', // OpenAI互換APIの使用モデル
+    deeplEndpoint: '',          // DeepL形式APIのエンドポイント（DeepL APIはCORS非対応のため中継プロキシのURLを指定）
+    deeplApiKey: '',            // DeepL APIキー
     maxTextLines: 50,           // 最大テキスト行数
     autoScroll: true,           // 自動スクロール
     fontSize: 'medium',         // フォントサイズ
     autoTranslate: false,       // 自動翻訳
     theme: 'light',            // テーマ
     translationStyle: '',       // 翻訳スタイル設定
+    contextLineCount: 3,        // 翻訳プロンプトに含める直前の行数（0=含めない）
+    contextTokenBudget: 300,    // 直前の行に使用するトークン数の上限（概算）
+    contextIncludeTranslations: true, // 直前の行の訳文も含める
+    translationCacheEnabled: true, // 翻訳結果をキャッシュして同じ原文の翻訳に再利用
     showTranslationArea: true   // 翻訳エリア表示状態
 };
 
@@ -123,7 +226,8 @@ const DEFAULT_SETTINGS = {
 // ========================================================================================
 const DEBUG_CONFIG = {
     enabled: false,             // デバッグモード
-    showPerformance: false      // パフォーマンス表示
+    showPerformance: false,     // パフォーマンス表示
+    fakeRecognition: false      // 音声認識をシナリオ再生に置き換え（URLパラメーター ?fakeRecognition=1 でも有効）
 };
 
 
@@ -132,6 +236,8 @@ const DEBUG_CONFIG = {
 // ========================================================================================
 const APP_CONFIG = {
     SPEECH_CONFIG,
+    LANGUAGE_CONFIG,
+    TARGET_LANGUAGE_CONFIG,
     UI_CONFIG,
     API_CONFIG,
     STORAGE_CONFIG,
@@ -130,6 +130,24 @@ class ChineseLearningApp {
             this.modules.speechRecognitionManager = window.speechRecognitionManager;
         }
         
+        // 置換辞書（使用中のプロフィールの置換ルールを読み込み）
+        if (window.replacementDictionary) {
+            window.replacementDictionary.initialize();
+            this.modules.replacementDictionary = window.replacementDictionary;
+        }
+        
+        // 語彙バイアス（使用中のプロフィールの登録語彙を読み込み）
+        if (window.vocabularyBiaser) {
+            window.vocabularyBiaser.initialize();
+            this.modules.vocabularyBiaser = window.vocabularyBiaser;
+        }
+        
+        // 用語集（使用中のプロフィールの用語集を読み込み）
+        if (window.glossaryManager) {
+            window.glossaryManager.initialize();
+            this.modules.glossaryManager = window.glossaryManager;
+        }
+        
         // 翻訳機能（Google Gemini API）
         if (window.geminiTranslator) {
             // StateManager初期化後にAPIキーを再設定
@@ -145,6 +163,18 @@ class ChineseLearningApp {
             }
             this.modules.uiController = window.uiController;
         }
+        
+        // 音声入力モニター（入力レベル計測、認識状態の変化を購読）
+        if (window.audioInputMonitor) {
+            window.audioInputMonitor.initialize();
+            this.modules.audioInputMonitor = window.audioInputMonitor;
+        }
+        
+        // セッションスケジューラー（予約開始・自動停止、UIのイベント購読後に開始）
+        if (window.sessionScheduler) {
+            window.sessionScheduler.initialize();
+            this.modules.sessionScheduler = window.sessionScheduler;
+        }
     }
 
     /**
@@ -227,6 +257,17 @@ class ChineseLearningApp {
                 if (this.modules.speechRecognitionManager) {
                     this.modules.speechRecognitionManager.stop();
                 }
+                if (this.modules.sessionScheduler) {
+                    this.modules.sessionScheduler.endSession();
+                }
+            }
+            
+            // Alt + 1〜9: 現在の話者を切り替え、Alt + 0: 話者なし（キー配列に依存しないようe.codeで判定）
+            const digitMatch = /^Digit([0-9])$/.exec(e.code || '');
+            if (e.altKey && !e.ctrlKey && !e.metaKey && digitMatch && window.speakerTagger) {
+                e.preventDefault();
+                const digit = parseInt(digitMatch[1], 10);
+                window.speakerTagger.setCurrentSpeaker(digit === 0 ? null : digit - 1);
             }
             
             // Ctrl + Shift + D: デバッグ情報表示
@@ -0,0 +1,321 @@
+/**
+ * 音声入力モニターモジュール
+ * Chinese Speech to Text
+ *
+ * VoiceMeeterなどの仮想デバイスを経由した音声ルーティングを確認するため、
+ * 音声入力デバイスの一覧取得と、AnalyserNodeによる入力レベルの計測を行う
+ * 設定画面のレベルメーターと、認識中に入力レベルが平坦（無信号）な状態が続いた場合の警告に使用する
+ *
+ * 【注意】Web Speech APIはブラウザの既定の入力デバイスを使用するため、
+ * デバイスの選択はローカル認識サーバー（WebSocket）使用時の音声キャプチャにのみ反映されます
+ * Web Speech API使用時の認識中の監視は既定のデバイスを対象とします
+ */
+
+// 音声入力モニター設定定数
+const AUDIO_INPUT_MONITOR_CONSTANTS = {
+    FFT_SIZE: 2048,                    // AnalyserNodeのFFTサイズ
+    UPDATE_INTERVAL: 100,              // 入力レベルの計測間隔（ミリ秒）
+    MIN_DECIBELS: -60,                 // メーター表示の下限（dBFS）
+    FLAT_LEVEL_THRESHOLD: -70,         // 平坦（無信号）とみなす入力レベル（dBFS）
+    FLAT_WARNING_DELAY: 10000          // 警告を表示するまでの平坦な状態の継続時間（ミリ秒）
+};
+
+class AudioInputMonitor {
+    constructor() {
+        this.constants = AUDIO_INPUT_MONITOR_CONSTANTS;
+
+        // 計測の利用者（'settings' / 'recognition'）と対象デバイスID（後から要求した利用者を優先）
+        this.requests = new Map();
+
+        // 音声キャプチャ資源
+        this.mediaStream = null;
+        this.audioContext = null;
+        this.analyser = null;
+        this.sampleBuffer = null;
+        this.levelTimer = null;
+        this.currentDeviceId = null;       // 計測中のデバイスID（nullは停止中）
+        this.pendingUpdate = Promise.resolve();
+
+        // 平坦な入力の検出
+        this.flatSince = null;             // 平坦な入力レベルが始まった時刻
+    }
+
+    /**
+     * モニターの初期化
+     * 認識中の入力レベル監視と、デバイスの接続・切断の検知を開始
+     */
+    initialize() {
+        $(document).on('state:recognitionStateChanged', (event, state) => {
+            this.refreshRecognitionMonitoring(state);
+        });
+
+        if (this.isSupported() && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => {
+                $(document).trigger('audioInputDevicesChanged');
+            });
+        }
+    }
+
+    /**
+     * 認識中の監視の開始・停止
+     * 認識中（自動再開の待機中を含む）かつ警告が有効な場合のみ監視する
+     * 認識状態の変化時と設定の保存時に呼び出される
+     *
+     * @param {Object} [recognitionState] - 音声認識状態オブジェクト（省略時は現在の状態）
+     */
+    refreshRecognitionMonitoring(recognitionState = stateManager.state.recognition) {
+        if (recognitionState.isActive && stateManager.getState('config.inputLevelWarning')) {
+            this.acquire('recognition', this.getRecognitionDeviceId());
+        } else {
+            this.release('recognition');
+        }
+    }
+
+    /**
+     * 入力レベル計測がこのブラウザで利用可能か判定
+     *
+     * @returns {boolean} 利用可否
+     */
+    isSupported() {
+        return !!(navigator.mediaDevices?.getUserMedia && navigator.mediaDevices.enumerateDevices && window.AudioContext);
+    }
+
+    /**
+     * 音声入力デバイスの一覧取得
+     * マイクの使用許可前はデバイス名が取得できないため連番の名前を付ける
+     *
+     * @returns {Promise<Array<Object>>} デバイス一覧（{ deviceId, label }）
+     */
+    async listDevices() {
+        try {
+            if (!this.isSupported()) {
+                return [];
+            }
+
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            return devices
+                .filter(device => device.kind === 'audioinput' && device.deviceId !== 'default' && device.deviceId !== 'communications')
+                .map((device, index) => ({
+                    deviceId: device.deviceId,
+                    label: device.label || `マイク ${index + 1}`
+                }));
+
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * 認識中の監視対象デバイスIDを取得
+     * @private
+     *
+     * @returns {string} デバイスID（空文字は既定のデバイス）
+     */
+    getRecognitionDeviceId() {
+        return stateManager.getState('config.recognitionBackend') === 'websocket'
+            ? stateManager.getState('config.audioInputDeviceId') || ''
+            : '';
+    }
+
+    /**
+     * 入力レベル計測の要求
+     * 計測中のデバイスと異なる場合は切り替える
+     *
+     * @param {string} consumer - 利用者（settings / recognition）
+     * @param {string} deviceId - 計測するデバイスID（空文字は既定のデバイス）
+     * @returns {Promise<boolean>} 計測開始の成否
+     */
+    acquire(consumer, deviceId) {
+        // 要求内容が変わった場合のみ優先順位を更新（状態変更のたびに切り替わらないように）
+        if (this.requests.get(consumer) !== (deviceId || '')) {
+            this.requests.delete(consumer);
+            this.requests.set(consumer, deviceId || '');
+        }
+        return this.updateStream();
+    }
+
+    /**
+     * 入力レベル計測の要求を解除
+     * 全ての利用者が解除した場合は計測を停止し、マイクを解放
+     *
+     * @param {string} consumer - 利用者（settings / recognition）
+     * @returns {Promise<boolean>} 処理の成否
+     */
+    release(consumer) {
+        if (!this.requests.has(consumer)) {
+            return this.pendingUpdate;
+        }
+
+        this.requests.delete(consumer);
+        return this.updateStream();
+    }
+
+    /**
+     * 要求に合わせた計測ストリームの更新
+     * マイク取得の非同期処理が重ならないよう順番に実行
+     * @private
+     *
+     * @returns {Promise<boolean>} 計測中かどうか
+     */
+    updateStream() {
+        this.pendingUpdate = this.pendingUpdate.then(async () => {
+            const targets = Array.from(this.requests.values());
+            const deviceId = targets.length ? targets[targets.length - 1] : null;
+
+            if (deviceId === this.currentDeviceId) {
+                return deviceId !== null;
+            }
+
+            this.stopCapture();
+
+            if (deviceId === null) {
+                return false;
+            }
+
+            return this.startCapture(deviceId);
+        }).catch(() => false);
+
+        return this.pendingUpdate;
+    }
+
+    /**
+     * マイク取得とAnalyserNodeの接続
+     * @private
+     *
+     * @param {string} deviceId - デバイスID（空文字は既定のデバイス）
+     * @returns {Promise<boolean>} 開始成否
+     */
+    async startCapture(deviceId) {
+        if (!this.isSupported()) {
+            return false;
+        }
+
+        try {
+            // 実際の信号レベルを計測するため音声処理は無効化
+            this.mediaStream = await navigator.mediaDevices.getUserMedia({
+                audio: {
+                    deviceId: deviceId ? { exact: deviceId } : undefined,
+                    echoCancellation: false,
+                    noiseSuppression: false,
+                    autoGainControl: false
+                }
+            });
+
+            this.audioContext = new AudioContext();
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = this.constants.FFT_SIZE;
+            this.sampleBuffer = new Float32Array(this.analyser.fftSize);
+            this.audioContext.createMediaStreamSource(this.mediaStream).connect(this.analyser);
+
+            // ユーザー操作なしで開始した場合（予約開始など）は一時停止状態で作成されるため再開を試みる
+            if (this.audioContext.state === 'suspended') {
+                this.audioContext.resume().catch(() => {});
+            }
+
+            this.currentDeviceId = deviceId;
+            this.flatSince = null;
+            this.levelTimer = setInterval(() => this.measureLevel(), this.constants.UPDATE_INTERVAL);
+
+            // 使用許可後はデバイス名を取得できるため一覧の更新を通知
+            $(document).trigger('audioInputDevicesChanged');
+
+            return true;
+
+        } catch (error) {
+            this.stopCapture();
+            $(document).trigger('audioLevelUpdated', [{ level: 0, decibels: null, isFlat: false, error: error.name || 'Error' }]);
+            return false;
+        }
+    }
+
+    /**
+     * 計測の停止とマイクの解放
+     * @private
+     */
+    stopCapture() {
+        if (this.levelTimer) {
+            clearInterval(this.levelTimer);
+            this.levelTimer = null;
+        }
+
+        if (this.mediaStream) {
+            this.mediaStream.getTracks().forEach(track => track.stop());
+            this.mediaStream = null;
+        }
+
+        if (this.audioContext) {
+            this.audioContext.close().catch(() => {});
+            this.audioContext = null;
+        }
+
+        this.analyser = null;
+        this.sampleBuffer = null;
+        this.currentDeviceId = null;
+        this.setFlat(false);
+    }
+
+    /**
+     * 入力レベルの計測
+     * RMSからdBFSを算出してメーター表示用の0〜1に正規化し、平坦な状態の継続を判定
+     * @private
+     */
+    measureLevel() {
+        try {
+            if (!this.analyser || this.audioContext?.state !== 'running') {
+                return;
+            }
+
+            this.analyser.getFloatTimeDomainData(this.sampleBuffer);
+
+            let sumOfSquares = 0;
+            for (let i = 0; i < this.sampleBuffer.length; i++) {
+                sumOfSquares += this.sampleBuffer[i] * this.sampleBuffer[i];
+            }
+            const rms = Math.sqrt(sumOfSquares / this.sampleBuffer.length);
+            const decibels = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+            const level = Math.min(1, Math.max(0, 1 - decibels / this.constants.MIN_DECIBELS));
+
+            const now = Date.now();
+            if (decibels < this.constants.FLAT_LEVEL_THRESHOLD) {
+                this.flatSince = this.flatSince || now;
+            } else {
+                this.flatSince = null;
+            }
+            const isFlat = !!this.flatSince && now - this.flatSince >= this.constants.FLAT_WARNING_DELAY;
+            this.setFlat(isFlat);
+
+            $(document).trigger('audioLevelUpdated', [{
+                level: level,
+                decibels: Number.isFinite(decibels) ? Math.round(decibels) : null,
+                isFlat: isFlat
+            }]);
+
+        } catch (error) {
+        }
+    }
+
+    /**
+     * 入力レベルが平坦な状態の更新
+     * 認識中の監視対象のデバイスを計測している場合のみ認識状態に反映し、UIに警告を表示させる
+     * @private
+     *
+     * @param {boolean} isFlat - 平坦な状態が続いているかどうか
+     */
+    setFlat(isFlat) {
+        const value = isFlat && this.requests.get('recognition') === this.currentDeviceId;
+        if (stateManager.getState('recognition.isInputFlat') !== value) {
+            stateManager.updateRecognitionState({ isInputFlat: value });
+        }
+    }
+
+    /**
+     * モニターの破棄
+     */
+    destroy() {
+        this.requests.clear();
+        this.stopCapture();
+    }
+}
+
+// グローバルインスタンス
+window.audioInputMonitor = new AudioInputMonitor();
@@ -0,0 +1,143 @@
+/**
+ * 用語集モジュール
+ * Chinese Speech to Text
+ *
+ * 配信者の名前・ゲーム名・ネタなどが行ごとに違う訳語で翻訳されるのを防ぐため、
+ * 原語と必ず使う訳語（とメモ）を登録し、原文に含まれる用語だけを翻訳プロンプトで指示する
+ * 翻訳結果に指定の訳語が含まれない場合は、その行を用語集違反として表示する
+ *
+ * 用語集はプロフィールごとにlocalStorageへ保存する（置換辞書と同じ単位で切り替え）
+ *
+ * 【注意】用語集は辞書画面で1行に1語、「原語,訳語,メモ」の形式で編集します
+ * 原語・訳語の照合は英字の大文字・小文字を区別しません
+ */
+
+// 用語集設定定数
+const GLOSSARY_MANAGER_CONSTANTS = {
+    PROFILE_DATA_KEY: 'glossary'       // プロフィール別データのキー
+};
+
+class GlossaryManager {
+    constructor() {
+        this.constants = GLOSSARY_MANAGER_CONSTANTS;
+
+        this.profile = null;               // 読み込み済みのプロフィール名
+        this.entries = [];                 // 用語（{ source, target, note }）
+    }
+
+    /**
+     * 用語集の初期化
+     * 使用中のプロフィールの用語集を読み込み、プロフィールの切り替えを監視
+     */
+    initialize() {
+        this.load();
+
+        $(document).on('state:profileChanged', () => {
+            this.load();
+        });
+    }
+
+    /**
+     * 使用中のプロフィールの用語集を読み込み
+     */
+    load() {
+        this.profile = stateManager.getState('config.activeProfile');
+
+        const entries = stateManager.getProfileData(this.profile, this.constants.PROFILE_DATA_KEY, []);
+        this.entries = Array.isArray(entries)
+            ? entries.filter(entry => typeof entry?.source === 'string' && entry.source && typeof entry.target === 'string' && entry.target)
+            : [];
+    }
+
+    /**
+     * 用語集を取得
+     *
+     * @returns {Array<Object>} 用語（{ source, target, note }）の配列
+     */
+    getEntries() {
+        return this.entries;
+    }
+
+    /**
+     * 用語集を置き換えて保存
+     * 原語が重複する場合は後の行を優先する
+     *
+     * @param {Array<Object>} entries - 用語（{ source, target, note }）の配列
+     */
+    setEntries(entries) {
+        const bySource = new Map();
+        entries.forEach(entry => bySource.set(entry.source, entry));
+
+        this.entries = Array.from(bySource.values());
+        stateManager.saveProfileData(this.profile, this.constants.PROFILE_DATA_KEY, this.entries);
+    }
+
+    /**
+     * 用語集の編集テキストの解析
+     * 空行は無視し、原語または訳語のない行はエラーとする
+     *
+     * @param {string} source - 編集テキスト（1行に1語、「原語,訳語,メモ」）
+     * @returns {Object} 結果 { entries, errors }（errorsは解析できなかった行の配列）
+     */
+    parse(source) {
+        const entries = [];
+        const errors = [];
+
+        (source || '').split('\n').forEach(line => {
+            if (!line.trim()) {
+                return;
+            }
+
+            const [term = '', target = '', ...noteParts] = line.split(',').map(part => part.trim());
+            if (!term || !target) {
+                errors.push(line.trim());
+                return;
+            }
+
+            entries.push({ source: term, target: target, note: noteParts.join(',').trim() });
+        });
+
+        return { entries, errors };
+    }
+
+    /**
+     * 用語集の編集テキストへの変換
+     *
+     * @returns {string} 編集テキスト（1行に1語、「原語,訳語,メモ」）
+     */
+    toText() {
+        return this.entries
+            .map(entry => [entry.source, entry.target, entry.note].filter(Boolean).join(','))
+            .join('\n');
+    }
+
+    /**
+     * 原文に含まれる用語の検索
+     *
+     * @param {string} text - 原文
+     * @returns {Array<Object>} 原文に含まれる用語（{ source, target, note }）の配列
+     */
+    findEntries(text) {
+        if (!text) {
+            return [];
+        }
+
+        const normalizedText = text.toLowerCase();
+        return this.entries.filter(entry => normalizedText.includes(entry.source.toLowerCase()));
+    }
+
+    /**
+     * 翻訳結果が用語集の訳語を守っているか検証
+     *
+     * @param {Array<Object>} entries - 原文に含まれる用語（findEntriesの戻り値）
+     * @param {string} translatedText - 翻訳結果
+     * @returns {Array<Object>} 訳語が使われていない用語の配列（守られている場合は空配列）
+     */
+    findViolations(entries, translatedText) {
+        const normalizedTranslation = (translatedText || '').toLowerCase();
+        return entries.filter(entry => !normalizedTranslation.includes(entry.target.toLowerCase()));
+    }
+}
+
+// グローバルインスタンス
+window.glossaryManager = new GlossaryManager();
@@ -0,0 +1,289 @@
+/**
+ * キーワード監視モジュール
+ * Chinese Speech to Text
+ *
+ * 配信者の発言に特定の言葉（視聴者の名前、ゲームタイトル、抽奖、下播など）が
+ * 含まれた場合に気付けるよう、確定した認識結果を設定の監視リストと照合する
+ * 一致した行は強調表示し、通知音・デスクトップ通知を出して検出一覧に記録する
+ *
+ * 【注意】監視リストは1行に1つ、通常の文字列（大文字・小文字を区別しない）または
+ * /正規表現/フラグ の形式で指定します。不正な正規表現の行は照合に使用されません
+ */
+
+// キーワード監視設定定数
+const KEYWORD_WATCHER_CONSTANTS = {
+    MAX_ALERTS: 200,                   // 保持する検出記録の最大数
+    SOUND_FREQUENCY: 880,              // 通知音の周波数（Hz）
+    SOUND_DURATION: 0.15,              // 通知音の長さ（秒）
+    SOUND_VOLUME: 0.2,                 // 通知音の音量（0〜1）
+    NOTIFICATION_TEXT_LENGTH: 80       // デスクトップ通知に表示する本文の最大文字数
+};
+
+// 正規表現形式のキーワード（/pattern/flags）
+const REGEX_RULE_PATTERN = /^\/(.+)\/([a-z]*)$/;
+
+class KeywordWatcher {
+    constructor() {
+        this.constants = KEYWORD_WATCHER_CONSTANTS;
+
+        this.alerts = [];                  // 検出記録（新しい順）
+        this.unreadCount = 0;              // 一覧を開いてから後の検出件数
+        this.cachedSource = null;          // コンパイル済みの監視リストの元テキスト
+        this.cachedRules = [];             // コンパイル済みのルール
+        this.audioContext = null;          // 通知音用（初回再生時に作成）
+    }
+
+    /**
+     * 監視リストの解析
+     * 各行を照合用の正規表現に変換し、不正な行はエラーとして返す
+     *
+     * @param {string} source - 監視リスト（1行に1つ）
+     * @returns {Object} 解析結果 { rules, errors }（errorsは不正な行の配列）
+     */
+    parseWatchList(source) {
+        const rules = [];
+        const errors = [];
+
+        (source || '').split('\n').forEach(line => {
+            const keyword = line.trim();
+            if (!keyword) {
+                return;
+            }
+
+            const regexMatch = REGEX_RULE_PATTERN.exec(keyword);
+            try {
+                const pattern = regexMatch
+                    ? new RegExp(regexMatch[1], regexMatch[2].includes('g') ? regexMatch[2] : regexMatch[2] + 'g')
+                    : new RegExp(keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+                rules.push({ source: keyword, pattern: pattern });
+            } catch (error) {
+                errors.push(keyword);
+            }
+        });
+
+        return { rules, errors };
+    }
+
+    /**
+     * 現在の設定の照合ルールを取得
+     * 監視リストが変更された場合のみ再解析する
+     * @private
+     *
+     * @returns {Array<Object>} ルールの配列（{ source, pattern }）
+     */
+    getRules() {
+        const source = stateManager.getState('config.keywordWatchList') || '';
+        if (source !== this.cachedSource) {
+            this.cachedRules = this.parseWatchList(source).rules;
+            this.cachedSource = source;
+        }
+        return this.cachedRules;
+    }
+
+    /**
+     * テキストに含まれるキーワードの検索
+     *
+     * @param {string} text - 照合対象テキスト
+     * @returns {Array<string>} 一致した文字列（重複なし）
+     */
+    findMatches(text) {
+        const matches = [];
+
+        if (!text) {
+            return matches;
+        }
+
+        this.getRules().forEach(rule => {
+            for (const match of text.matchAll(rule.pattern)) {
+                if (match[0] && !matches.includes(match[0])) {
+                    matches.push(match[0]);
+                }
+            }
+        });
+
+        return matches;
+    }
+
+    /**
+     * 確定した認識結果の照合
+     * 新たに一致したキーワードがある場合は検出記録を追加・更新し、通知を行う
+     * 行の結合などで同じ行を再照合した場合、通知済みのキーワードでは再通知しない
+     *
+     * @param {string} id - テキスト履歴エントリID
+     * @param {string} text - 確定テキスト
+     * @returns {Object|null} 行の検出記録（一致しない場合はnull）
+     */
+    check(id, text) {
+        try {
+            const keywords = this.findMatches(text);
+            const existing = this.getAlert(id);
+
+            if (existing) {
+                existing.text = text;
+            }
+
+            const newKeywords = keywords.filter(keyword => !existing?.keywords.includes(keyword));
+            if (newKeywords.length === 0) {
+                return existing;
+            }
+
+            let alert = existing;
+            if (alert) {
+                alert.keywords.push(...newKeywords);
+            } else {
+                alert = { id: id, text: text, keywords: newKeywords, time: Date.now() };
+                this.alerts.unshift(alert);
+                this.alerts.splice(this.constants.MAX_ALERTS);
+            }
+
+            this.unreadCount++;
+
+            if (stateManager.getState('config.keywordAlertSound')) {
+                this.playSound();
+            }
+            if (stateManager.getState('config.keywordAlertNotification')) {
+                this.showNotification(newKeywords, text);
+            }
+
+            $(document).trigger('keywordMatched', [alert]);
+            return alert;
+
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 行の検出記録を取得
+     *
+     * @param {string} id - テキスト履歴エントリID
+     * @returns {Object|null} 検出記録 { id, text, keywords, time }
+     */
+    getAlert(id) {
+        return this.alerts.find(alert => alert.id === id) || null;
+    }
+
+    /**
+     * 全ての検出記録を取得（新しい順）
+     *
+     * @returns {Array<Object>} 検出記録の配列
+     */
+    getAlerts() {
+        return this.alerts;
+    }
+
+    /**
+     * 未読件数のリセット
+     * 検出一覧を開いた際に呼び出される
+     */
+    markAllRead() {
+        this.unreadCount = 0;
+        $(document).trigger('keywordAlertsUpdated');
+    }
+
+    /**
+     * 検出記録の消去
+     */
+    clear() {
+        this.alerts = [];
+        this.unreadCount = 0;
+        $(document).trigger('keywordAlertsUpdated');
+    }
+
+    /**
+     * 通知音の再生
+     * 音声ファイルを使わずOscillatorNodeで短い電子音を鳴らす
+     * @private
+     */
+    playSound() {
+        try {
+            if (!window.AudioContext) {
+                return;
+            }
+
+            if (!this.audioContext) {
+                this.audioContext = new AudioContext();
+            }
+            if (this.audioContext.state === 'suspended') {
+                this.audioContext.resume().catch(() => {});
+            }
+
+            const now = this.audioContext.currentTime;
+            const oscillator = this.audioContext.createOscillator();
+            const gain = this.audioContext.createGain();
+
+            oscillator.type = 'sine';
+            oscillator.frequency.value = this.constants.SOUND_FREQUENCY;
+            gain.gain.setValueAtTime(this.constants.SOUND_VOLUME, now);
+            gain.gain.exponentialRampToValueAtTime(0.001, now + this.constants.SOUND_DURATION);
+
+            oscillator.connect(gain).connect(this.audioContext.destination);
+            oscillator.start(now);
+            oscillator.stop(now + this.constants.SOUND_DURATION);
+
+        } catch (error) {
+        }
+    }
+
+    /**
+     * デスクトップ通知の表示
+     * 通知の許可は設定の保存時に要求する（許可されていない場合は表示しない）
+     * @private
+     *
+     * @param {Array<string>} keywords - 一致したキーワード
+     * @param {string} text - 確定テキスト
+     */
+    showNotification(keywords, text) {
+        try {
+            if (!this.isNotificationSupported() || Notification.permission !== 'granted') {
+                return;
+            }
+
+            const maxLength = this.constants.NOTIFICATION_TEXT_LENGTH;
+            const notification = new Notification(`${APP_CONFIG.UI_CONFIG.keywordAlert.notificationTitle}: ${keywords.join(', ')}`, {
+                body: text.length > maxLength ? text.slice(0, maxLength) + '…' : text,
+                tag: 'keyword-alert'
+            });
+
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+            };
+
+        } catch (error) {
+        }
+    }
+
+    /**
+     * デスクトップ通知がこのブラウザで利用可能か判定
+     *
+     * @returns {boolean} 利用可否
+     */
+    isNotificationSupported() {
+        return 'Notification' in window;
+    }
+
+    /**
+     * デスクトップ通知の許可を要求
+     * ユーザー操作（設定の保存）から呼び出す必要がある
+     *
+     * @returns {Promise<string>} 許可状態（granted / denied / default / unsupported）
+     */
+    async requestNotificationPermission() {
+        try {
+            if (!this.isNotificationSupported()) {
+                return 'unsupported';
+            }
+            if (Notification.permission !== 'default') {
+                return Notification.permission;
+            }
+            return await Notification.requestPermission();
+
+        } catch (error) {
+            return 'denied';
+        }
+    }
+}
+
+// グローバルインスタンス
+window.keywordWatcher = new KeywordWatcher();
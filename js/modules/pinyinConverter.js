@@ -10,6 +10,9 @@
  * - zh-TW環境では注音符号（ㄅㄆㄇㄈ）が一般的ですが、本モジュールでは対応していません
  * - Web Speech API自体もzh-TW特有の発音や語彙に対する精度に限界があります
  * - zh-TW環境により適したUI/UXが必要な場合は注音符号対応の検討が推奨されます
+ * 
+ * 広東語（yue-Hant-HK, zh-HK）選択時は、to-jyutpingライブラリを使用して
+ * 漢語拼音の代わりに粤拼（Jyutping）をルビとして表示する
  */
 
 // ピンイン変換設定
@@ -44,24 +47,38 @@ class PinyinConverter {
         }
     }
 
+    /**
+     * 粤拼ライブラリ（to-jyutping）の利用可能性を確認
+     * @returns {boolean} 利用可能かどうか
+     */
+    isJyutpingAvailable() {
+        return typeof window.ToJyutping === 'object' && typeof window.ToJyutping.getJyutpingList === 'function';
+    }
+
     /**
      * 中国語テキストをピンイン付きのrubyタグHTMLに変換
+     * 広東語が選択されている場合は粤拼のrubyタグに変換
      * @param {string} chineseText - 変換する中国語テキスト
      * @returns {Promise<string>} ピンイン付きHTML（<ruby>漢字<rt>pinyin</rt></ruby>形式）
      */
     async convertToRuby(chineseText) {
         try {
-            if (!chineseText || !this.isLibraryLoaded) {
+            const useJyutping = Utils.isCantonese(stateManager.getState('config.language'));
+            const isAvailable = useJyutping ? this.isJyutpingAvailable() : this.isLibraryLoaded;
+            
+            if (!chineseText || !isAvailable) {
                 return chineseText;
             }
 
             // 変換結果をキャッシュから取得
-            const cacheKey = `ruby_${chineseText}`;
+            const cacheKey = `${useJyutping ? 'jyutping' : 'ruby'}_${chineseText}`;
             if (this.cache.has(cacheKey)) {
                 return this.cache.get(cacheKey);
             }
 
-            const result = await this.convertTextToRuby(chineseText);
+            const result = useJyutping
+                ? this.convertTextToJyutpingRuby(chineseText)
+                : await this.convertTextToRuby(chineseText);
             
             // LRUキャッシュ実装（最大100件まで保持）
             if (this.cache.size >= 100) {
@@ -105,6 +122,24 @@ class PinyinConverter {
         return rubyParts.join('');
     }
 
+    /**
+     * テキストを文字単位で粤拼付きrubyタグHTMLに変換
+     * 読みは単語単位の文脈を考慮するため、テキスト全体をまとめて変換する
+     * @param {string} text - 変換対象テキスト
+     * @returns {string} rubyタグ付きHTML
+     */
+    convertTextToJyutpingRuby(text) {
+        const jyutpingList = window.ToJyutping.getJyutpingList(text);
+        
+        return jyutpingList.map(([char, jyutping]) => {
+            const escapedChar = Utils.escapeHtml(char);
+            if (jyutping && Utils.isChineseText(char)) {
+                return `<ruby class="chinese-ruby jyutping-ruby">${escapedChar}<rt>${jyutping}</rt></ruby>`;
+            }
+            return escapedChar;
+        }).join('');
+    }
+
     /**
      * 単一文字のピンイン取得
      * @param {string} char - ピンインを取得する中国語文字
@@ -212,6 +247,50 @@ class PinyinConverter {
         }
     }
 
+    /**
+     * テキストを文字ごとの声調なしピンインに変換
+     * 発音の類似度の比較に使用する（多音字は文脈から判定された読み）
+     * @param {string} text - 変換する中国語テキスト
+     * @returns {Array<string|null>} 文字ごとのピンイン（中国語以外の文字はnull）、変換できない場合は空配列
+     */
+    getTonelessSyllables(text) {
+        try {
+            if (!text || !this.isLibraryLoaded) {
+                return [];
+            }
+
+            const cacheKey = `toneless_${text}`;
+            if (this.cache.has(cacheKey)) {
+                return this.cache.get(cacheKey);
+            }
+
+            const options = { toneType: 'none', type: 'array' };
+            let syllables = [];
+
+            if (typeof window.pinyinPro === 'object' && typeof window.pinyinPro.pinyin === 'function') {
+                syllables = window.pinyinPro.pinyin(text, options);
+            } else if (typeof window.pinyinPro === 'function') {
+                syllables = window.pinyinPro(text, options);
+            } else if (typeof window.pinyin === 'function') {
+                syllables = window.pinyin(text, options);
+            }
+
+            // 文字数と一致しない場合は位置を対応付けられないため使用しない
+            const chars = Array.from(text);
+            if (!Array.isArray(syllables) || syllables.length !== chars.length) {
+                return [];
+            }
+
+            const result = chars.map((char, index) => Utils.isChineseText(char) ? syllables[index].toLowerCase() : null);
+            this.cache.set(cacheKey, result);
+
+            return result;
+
+        } catch (error) {
+            return [];
+        }
+    }
+
     /**
      * 多音字文字の全ピンイン候補を取得
      * @param {string} char - 多音字候補を取得する中国語文字
@@ -0,0 +1,160 @@
+/**
+ * 句読点復元モジュール
+ * Chinese Speech to Text
+ *
+ * Web Speech APIの中国語認識結果は句読点のない長い文字列で返ることが多いため、
+ * 発話中のポーズ（間）と文末助詞から句読点（，。？！）を推定して挿入する
+ * ピンイン変換と履歴保存の前に適用される
+ *
+ * 【注意】推定の限界について：
+ * - ポーズは中間結果の更新間隔から推定するため、認識エンジンの挙動により精度が変動します
+ * - 文末助詞の判定は句切れ位置（ポーズ・行末）のみで行い、文中の「酒吧」などは対象外です
+ */
+
+// 句読点復元設定定数
+const PUNCTUATION_CONSTANTS = {
+    SHORT_PAUSE: 600,                  // 読点（，）を挿入するポーズ長（ミリ秒）
+    LONG_PAUSE: 1200,                  // 句点（。）を挿入するポーズ長（ミリ秒）
+    DEFAULT_TERMINAL: '。',            // 行末の既定の句読点
+    COMMA: '，'
+};
+
+// 文末助詞と対応する句読点
+// 「吗」は疑問を表すため短いポーズでも疑問符、それ以外は文末（長いポーズ・行末）でのみ適用
+const SENTENCE_FINAL_PARTICLES = {
+    '吗': { mark: '？', always: true },
+    '嗎': { mark: '？', always: true },
+    '呢': { mark: '？', always: false },
+    '吧': { mark: '。', always: false },
+    '啊': { mark: '！', always: false },
+    // 広東語の文末助詞
+    '咩': { mark: '？', always: true },
+    '呀': { mark: '！', always: false },
+    '啦': { mark: '。', always: false },
+    '喎': { mark: '。', always: false }
+};
+
+// 句読点判定用パターン（既存の句読点の直後には挿入しない）
+const PUNCTUATION_PATTERN = /[，。？！、；：,.?!;:…～~]$/;
+
+class PunctuationRestorer {
+    constructor() {
+        this.constants = PUNCTUATION_CONSTANTS;
+    }
+
+    /**
+     * 認識テキストへの句読点挿入
+     * ポーズ位置に読点・句点（直前が文末助詞の場合は対応する句読点）を挿入し、
+     * 行末に句読点がない場合は文末助詞または句点で終える
+     *
+     * @param {string} text - 句読点のない認識テキスト
+     * @param {Object} [options={}] - 復元オプション
+     * @param {Array<Object>} [options.pauses] - ポーズ情報（{ position, duration }）の配列、positionは直前の文字数
+     * @returns {string} 句読点を挿入したテキスト
+     */
+    restore(text, options = {}) {
+        try {
+            if (!text) {
+                return text;
+            }
+
+            const pauses = (options.pauses || [])
+                .filter(pause => pause.position > 0 && pause.position < text.length)
+                .sort((a, b) => a.position - b.position);
+
+            let result = '';
+            let lastPosition = 0;
+
+            pauses.forEach(pause => {
+                if (pause.position <= lastPosition) {
+                    return;
+                }
+
+                result += text.slice(lastPosition, pause.position);
+                lastPosition = pause.position;
+
+                // 前後に句読点がある場合は挿入しない
+                const mark = this.getPauseMark(result, pause.duration);
+                const nextChar = text.charAt(pause.position);
+                if (mark && !PUNCTUATION_PATTERN.test(result) && !PUNCTUATION_PATTERN.test(nextChar)) {
+                    result += mark;
+                }
+            });
+
+            result += text.slice(lastPosition);
+
+            // 行末の句読点
+            if (!PUNCTUATION_PATTERN.test(result)) {
+                result += this.getTerminalMark(result);
+            }
+
+            return result;
+
+        } catch (error) {
+            return text;
+        }
+    }
+
+    /**
+     * ポーズ位置に挿入する句読点の判定
+     * @private
+     *
+     * @param {string} precedingText - ポーズ直前までのテキスト
+     * @param {number} duration - ポーズ長（ミリ秒）
+     * @returns {string|null} 挿入する句読点（挿入しない場合はnull）
+     */
+    getPauseMark(precedingText, duration) {
+        const particle = SENTENCE_FINAL_PARTICLES[precedingText.slice(-1)];
+        const isLongPause = duration >= this.constants.LONG_PAUSE;
+
+        if (particle && (particle.always || isLongPause)) {
+            return particle.mark;
+        }
+
+        if (isLongPause) {
+            return this.constants.DEFAULT_TERMINAL;
+        }
+
+        if (duration >= this.constants.SHORT_PAUSE) {
+            return this.constants.COMMA;
+        }
+
+        return null;
+    }
+
+    /**
+     * 行末に付与する句読点の判定
+     * @private
+     *
+     * @param {string} text - 句読点を付与するテキスト
+     * @returns {string} 文末助詞に対応する句読点、または句点
+     */
+    getTerminalMark(text) {
+        const particle = SENTENCE_FINAL_PARTICLES[text.slice(-1)];
+        return particle ? particle.mark : this.constants.DEFAULT_TERMINAL;
+    }
+
+    /**
+     * テキストが文末助詞で終わるか判定
+     *
+     * @param {string} text - 判定対象テキスト
+     * @returns {boolean} 文末助詞で終わるかどうか
+     */
+    endsWithParticle(text) {
+        return !!text && Object.prototype.hasOwnProperty.call(SENTENCE_FINAL_PARTICLES, text.slice(-1));
+    }
+
+    /**
+     * 句読点復元の対象言語か判定
+     * 中国語（zh-*）と広東語（yue-*）の認識結果のみを対象とする
+     *
+     * @param {string} language - 言語コード
+     * @returns {boolean} 対象言語かどうか
+     */
+    isSupportedLanguage(language) {
+        return typeof language === 'string' && (language.startsWith('zh') || language.startsWith('yue'));
+    }
+}
+
+// グローバルインスタンス
+window.punctuationRestorer = new PunctuationRestorer();
@@ -0,0 +1,691 @@
+/**
+ * 音声認識バックエンドモジュール
+ * Chinese Speech to Text
+ *
+ * SpeechRecognitionManagerが使用する認識エンジンを差し替え可能にするモジュール
+ *
+ * バックエンドの契約:
+ * - start() / stop() / abort() を実装する
+ * - lang、continuous、interimResults、maxAlternatives プロパティを持つ
+ * - onstart / onend / onresult / onerror / onnomatch / onsoundstart / onsoundend /
+ *   onspeechstart / onspeechend のイベントハンドラープロパティを呼び出す
+ * - onresultにはSpeechRecognitionEvent互換のオブジェクト
+ *   （resultIndex、results[i].isFinal、results[i][j].transcript / confidence）を渡す
+ * - onerrorには { error: 'network' | 'not-allowed' | 'audio-capture' ... } を渡す
+ *
+ * この契約を守る限り、Watchdog、重複チェック、ピンイン変換などの
+ * SpeechRecognitionManager側の処理はバックエンドに依存せず動作する
+ *
+ * 機能概要:
+ * - Web Speech API（Chromeのクラウド認識）バックエンド
+ * - WebSocket経由のローカル認識サーバー（Vosk、Whisperなど）バックエンド
+ * - JSONシナリオを再生する擬似バックエンド（動作確認用）
+ * - 設定値からバックエンドを生成するファクトリー
+ */
+
+// 認識バックエンド設定定数
+const RECOGNITION_BACKEND_CONSTANTS = {
+    SAMPLE_RATE: 16000,                // サーバーへ送信する音声のサンプリングレート
+    BUFFER_SIZE: 4096,                 // 音声処理バッファサイズ
+    STOP_TIMEOUT: 2000,                // 停止時に最終結果を待つ時間（ミリ秒）
+    CONNECT_TIMEOUT: 5000              // サーバー接続タイムアウト（ミリ秒）
+};
+
+/**
+ * 認識バックエンドの基底クラス
+ * Web Speech API互換のプロパティとイベント発火処理を提供
+ */
+class RecognitionBackend {
+    constructor() {
+        // Web Speech API互換の設定プロパティ
+        this.lang = 'zh-CN';
+        this.continuous = true;
+        this.interimResults = true;
+        this.maxAlternatives = 1;
+
+        // Web Speech API互換のイベントハンドラー
+        this.onstart = null;
+        this.onend = null;
+        this.onresult = null;
+        this.onerror = null;
+        this.onnomatch = null;
+        this.onsoundstart = null;
+        this.onsoundend = null;
+        this.onspeechstart = null;
+        this.onspeechend = null;
+    }
+
+    /**
+     * イベントハンドラーの呼び出し
+     * ハンドラー内の例外はバックエンドの処理に影響させない
+     *
+     * @param {string} eventName - イベント名（'start', 'result' など）
+     * @param {Object} [event={}] - ハンドラーに渡すイベントオブジェクト
+     */
+    emit(eventName, event = {}) {
+        const handler = this[`on${eventName}`];
+        if (typeof handler === 'function') {
+            try {
+                handler.call(this, event);
+            } catch (error) {
+            }
+        }
+    }
+
+    /**
+     * SpeechRecognitionEvent互換の結果イベントを生成
+     *
+     * @param {Array<Object>} alternatives - 認識候補（{ transcript, confidence }）の配列
+     * @param {boolean} isFinal - 最終結果かどうか
+     * @returns {Object} resultIndexとresultsを持つイベントオブジェクト
+     */
+    createResultEvent(alternatives, isFinal) {
+        const result = alternatives.slice(0, Math.max(1, this.maxAlternatives));
+        result.isFinal = isFinal;
+
+        return {
+            resultIndex: 0,
+            results: [result]
+        };
+    }
+
+    start() {
+        throw new Error('start() is not implemented');
+    }
+
+    stop() {
+        throw new Error('stop() is not implemented');
+    }
+
+    abort() {
+        this.stop();
+    }
+}
+
+/**
+ * WebSocket経由のローカル認識サーバーバックエンド
+ * マイク音声を16kHz・16bit PCMでサーバーへ送信し、JSONで返る認識結果を処理
+ *
+ * 対応する受信メッセージ形式:
+ * - Vosk形式: { "partial": "..." } / { "text": "..." } / { "alternatives": [{ "text", "confidence" }] }
+ * - 汎用形式: { "type": "interim" | "final", "text": "...", "confidence": 0.9, "alternatives": [...] }
+ *
+ * 接続時に { "config": { "sample_rate", "max_alternatives", "language" } } を送信し、
+ * 停止時に { "eof": 1 } を送信して最終結果を受け取ってから切断する
+ */
+class WebSocketRecognitionBackend extends RecognitionBackend {
+    constructor(options = {}) {
+        super();
+
+        // 接続設定
+        this.serverUrl = options.serverUrl || '';
+        this.deviceId = options.deviceId || '';  // 音声入力デバイスID（空文字は既定のデバイス）
+
+        // 接続・音声キャプチャ資源
+        this.socket = null;
+        this.mediaStream = null;
+        this.audioContext = null;
+        this.processor = null;
+
+        // 状態管理
+        this.isStarted = false;           // start()からonendまでの間true
+        this.isSpeaking = false;          // 発話中（中間結果受信中）かどうか
+        this.stopTimer = null;            // 停止時の最終結果待ちタイマー
+    }
+
+    /**
+     * 認識の開始
+     * Web Speech APIと同様、既に開始済みの場合は例外を投げる
+     */
+    start() {
+        if (this.isStarted) {
+            throw new Error('recognition has already started');
+        }
+
+        this.isStarted = true;
+        this.isSpeaking = false;
+        this.connect();
+    }
+
+    /**
+     * マイク取得とサーバー接続
+     * 失敗時はWeb Speech API互換のエラーコードでonerror→onendを発火
+     *
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        try {
+            this.mediaStream = await navigator.mediaDevices.getUserMedia({
+                audio: {
+                    deviceId: this.deviceId ? { exact: this.deviceId } : undefined,
+                    channelCount: 1,
+                    echoCancellation: false,
+                    noiseSuppression: false
+                }
+            });
+        } catch (error) {
+            const errorCode = error.name === 'NotAllowedError' ? 'not-allowed' : 'audio-capture';
+            this.emit('error', { error: errorCode, message: error.message });
+            this.finish();
+            return;
+        }
+
+        // マイク取得中にstop()された場合
+        if (!this.isStarted) {
+            this.releaseResources();
+            return;
+        }
+
+        try {
+            this.socket = new WebSocket(this.serverUrl);
+            this.socket.binaryType = 'arraybuffer';
+        } catch (error) {
+            this.emit('error', { error: 'network', message: error.message });
+            this.finish();
+            return;
+        }
+
+        const connectTimer = setTimeout(() => {
+            if (this.socket && this.socket.readyState === WebSocket.CONNECTING) {
+                this.socket.close();
+            }
+        }, RECOGNITION_BACKEND_CONSTANTS.CONNECT_TIMEOUT);
+
+        this.socket.onopen = () => {
+            clearTimeout(connectTimer);
+
+            this.socket.send(JSON.stringify({
+                config: {
+                    sample_rate: RECOGNITION_BACKEND_CONSTANTS.SAMPLE_RATE,
+                    max_alternatives: this.maxAlternatives > 1 ? this.maxAlternatives : 0,
+                    language: this.lang
+                }
+            }));
+
+            this.startAudioCapture();
+            this.emit('start');
+        };
+
+        this.socket.onmessage = (event) => {
+            this.handleMessage(event.data);
+        };
+
+        this.socket.onerror = () => {
+            this.emit('error', { error: 'network', message: 'WebSocket connection error' });
+        };
+
+        this.socket.onclose = () => {
+            clearTimeout(connectTimer);
+            this.finish();
+        };
+    }
+
+    /**
+     * マイク音声をPCMに変換してサーバーへ送信する処理を開始
+     * AudioContextのサンプリングレート指定でブラウザ側にリサンプリングさせる
+     */
+    startAudioCapture() {
+        this.audioContext = new AudioContext({ sampleRate: RECOGNITION_BACKEND_CONSTANTS.SAMPLE_RATE });
+        const source = this.audioContext.createMediaStreamSource(this.mediaStream);
+        this.processor = this.audioContext.createScriptProcessor(RECOGNITION_BACKEND_CONSTANTS.BUFFER_SIZE, 1, 1);
+
+        this.processor.onaudioprocess = (event) => {
+            if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+
+            const input = event.inputBuffer.getChannelData(0);
+            const pcm = new Int16Array(input.length);
+            for (let i = 0; i < input.length; i++) {
+                const sample = Math.max(-1, Math.min(1, input[i]));
+                pcm[i] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+            }
+            this.socket.send(pcm.buffer);
+        };
+
+        source.connect(this.processor);
+        this.processor.connect(this.audioContext.destination);
+    }
+
+    /**
+     * サーバーからの認識結果メッセージ処理
+     * Vosk形式と汎用形式を正規化し、SpeechRecognitionEvent互換で通知
+     *
+     * @param {string} data - 受信したJSON文字列
+     */
+    handleMessage(data) {
+        const message = typeof data === 'string' ? Utils.safeJsonParse(data) : null;
+        if (!message) return;
+
+        let isFinal;
+        let alternatives;
+
+        if (message.type === 'interim' || message.type === 'final') {
+            // 汎用形式
+            isFinal = message.type === 'final';
+            alternatives = Array.isArray(message.alternatives) && message.alternatives.length > 0
+                ? message.alternatives
+                : [{ text: message.text, confidence: message.confidence }];
+        } else if (typeof message.partial === 'string') {
+            // Vosk中間結果
+            isFinal = false;
+            alternatives = [{ text: message.partial }];
+        } else if (Array.isArray(message.alternatives)) {
+            // Vosk最終結果（max_alternatives指定時）
+            isFinal = true;
+            alternatives = message.alternatives;
+        } else if (typeof message.text === 'string') {
+            // Vosk最終結果
+            isFinal = true;
+            alternatives = [{ text: message.text, confidence: message.confidence }];
+        } else {
+            return;
+        }
+
+        const normalized = alternatives
+            .map(alternative => ({
+                transcript: this.normalizeTranscript(alternative.text ?? alternative.transcript),
+                confidence: typeof alternative.confidence === 'number' ? alternative.confidence : 0
+            }))
+            .filter(alternative => alternative.transcript);
+
+        if (normalized.length === 0) {
+            if (isFinal && this.isSpeaking) {
+                this.isSpeaking = false;
+                this.emit('speechend');
+                this.emit('nomatch');
+            }
+            return;
+        }
+
+        if (!this.isSpeaking) {
+            this.isSpeaking = true;
+            this.emit('speechstart');
+        }
+
+        if (!isFinal && !this.interimResults) return;
+
+        this.emit('result', this.createResultEvent(normalized, isFinal));
+
+        if (isFinal) {
+            this.isSpeaking = false;
+            this.emit('speechend');
+        }
+    }
+
+    /**
+     * 認識テキストの正規化
+     * Vosk等が単語区切りとして挿入する漢字間の空白を除去
+     *
+     * @param {string} text - サーバーから受信したテキスト
+     * @returns {string} 正規化されたテキスト
+     */
+    normalizeTranscript(text) {
+        if (typeof text !== 'string') return '';
+        return text
+            .replace(/([\u4e00-\u9fff])\s+(?=[\u4e00-\u9fff])/g, '$1')
+            .trim();
+    }
+
+    /**
+     * 認識の停止
+     * 音声送信を止めてeofを送り、最終結果を待ってから切断
+     */
+    stop() {
+        if (!this.isStarted) return;
+
+        this.stopAudioCapture();
+
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            try {
+                this.socket.send(JSON.stringify({ eof: 1 }));
+            } catch (e) {
+                // 送信エラーは無視（既に切断されている可能性）
+            }
+
+            // サーバーが切断しない場合に備えたタイムアウト
+            this.stopTimer = setTimeout(() => this.abort(), RECOGNITION_BACKEND_CONSTANTS.STOP_TIMEOUT);
+        } else if (!this.socket || this.socket.readyState !== WebSocket.CONNECTING) {
+            this.finish();
+        } else {
+            this.abort();
+        }
+    }
+
+    /**
+     * 認識の即時中断
+     * 最終結果を待たずに接続を閉じる
+     */
+    abort() {
+        if (this.socket && this.socket.readyState !== WebSocket.CLOSED) {
+            try {
+                this.socket.close();
+            } catch (e) {
+                // 切断エラーは無視
+            }
+        } else {
+            this.finish();
+        }
+    }
+
+    /**
+     * 音声キャプチャの停止
+     */
+    stopAudioCapture() {
+        if (this.processor) {
+            this.processor.onaudioprocess = null;
+            this.processor.disconnect();
+            this.processor = null;
+        }
+
+        if (this.audioContext) {
+            this.audioContext.close().catch(() => {});
+            this.audioContext = null;
+        }
+
+        if (this.mediaStream) {
+            this.mediaStream.getTracks().forEach(track => track.stop());
+            this.mediaStream = null;
+        }
+    }
+
+    /**
+     * 接続・音声資源の解放
+     */
+    releaseResources() {
+        clearTimeout(this.stopTimer);
+        this.stopTimer = null;
+        this.stopAudioCapture();
+
+        if (this.socket) {
+            this.socket.onopen = null;
+            this.socket.onmessage = null;
+            this.socket.onerror = null;
+            this.socket.onclose = null;
+            this.socket = null;
+        }
+    }
+
+    /**
+     * セッション終了処理
+     * 資源を解放してonendを一度だけ発火
+     */
+    finish() {
+        this.releaseResources();
+
+        if (this.isStarted) {
+            this.isStarted = false;
+
+            if (this.isSpeaking) {
+                this.isSpeaking = false;
+                this.emit('speechend');
+            }
+
+            this.emit('end');
+        }
+    }
+}
+
+/**
+ * シナリオ再生用の擬似認識バックエンド
+ * マイクとクラウド認識を使わずに、JSONシナリオに記述した中間結果・確定結果・エラー・終了を
+ * 指定の間隔で発火し、handleResult、processFinalResult、Watchdog、safeRestartを動作確認する
+ *
+ * シナリオのイベントは全インスタンスで共有するスクリプトから順に取り出すため、
+ * 自動再開や再初期化で作成された新しいインスタンスは続きのイベントから再生する
+ *
+ * 対応するイベント（delayは直前のイベントからの待機時間・ミリ秒）:
+ * - { "type": "interim", "text": "..." } / { "type": "final", "text": "...", "confidence": 0.9, "alternatives": [...] }
+ * - { "type": "error", "error": "no-speech" }（Web Speech APIと同様、エラー後にセッションを終了）
+ * - { "type": "end" }（認識サービス側でのセッション終了）
+ * - { "type": "wait" }（待機のみ、Watchdogのタイムアウト確認用）
+ * - { "type": "soundstart" | "soundend" | "speechstart" | "speechend" | "nomatch" }
+ *
+ * シナリオの stopDelay（ミリ秒）を指定すると、stop()からonendまでを遅らせる
+ * （最終結果を待ってから終了するWebSocketバックエンドの停止を再現）
+ */
+class FakeSpeechRecognition extends RecognitionBackend {
+    constructor(options = {}) {
+        super();
+
+        this.script = options.script || FakeSpeechRecognition.activeScript;
+
+        this.isStarted = false;           // start()からonendまでの間true
+        this.isSpeaking = false;          // 発話中（確定待ちの中間結果あり）かどうか
+        this.eventTimer = null;           // 次のイベントの発火タイマー
+        this.pendingEvent = null;         // 発火待ちのイベント
+    }
+
+    /**
+     * 再生するシナリオの読み込み
+     * 以降に作成されるインスタンスはこのシナリオのイベントを再生する
+     *
+     * @param {Object} scenario - シナリオ（{ name, events, stopDelay }）
+     * @returns {Object} 共有スクリプト（{ events, cursor, log, stopDelay }）
+     */
+    static load(scenario) {
+        FakeSpeechRecognition.activeScript = {
+            events: Array.isArray(scenario?.events) ? scenario.events : [],
+            cursor: 0,
+            log: [],
+            stopDelay: typeof scenario?.stopDelay === 'number' ? Math.max(0, scenario.stopDelay) : 0
+        };
+        return FakeSpeechRecognition.activeScript;
+    }
+
+    /**
+     * 認識の開始
+     * Web Speech APIと同様、既に開始済みの場合は例外を投げる
+     */
+    start() {
+        if (this.isStarted) {
+            throw new Error('recognition has already started');
+        }
+
+        this.isStarted = true;
+        this.isSpeaking = false;
+
+        setTimeout(() => {
+            if (!this.isStarted) return;
+            this.emit('start');
+            this.playNext();
+        }, 0);
+    }
+
+    /**
+     * 次のイベントの予約
+     * イベントがなくなった場合は無音のマイクと同様に待機を続ける
+     * @private
+     */
+    playNext() {
+        const script = this.script;
+        if (!this.isStarted || !script || script.cursor >= script.events.length) {
+            return;
+        }
+
+        const event = script.events[script.cursor++];
+        const delay = typeof event.delay === 'number' ? Math.max(0, event.delay) : 0;
+
+        this.pendingEvent = event;
+        this.eventTimer = setTimeout(() => {
+            this.eventTimer = null;
+            this.pendingEvent = null;
+            script.log.push({ type: event.type, time: Date.now() });
+            this.dispatch(event);
+            this.playNext();
+        }, delay);
+    }
+
+    /**
+     * シナリオイベントの発火
+     * @private
+     *
+     * @param {Object} event - シナリオイベント
+     */
+    dispatch(event) {
+        switch (event.type) {
+            case 'interim':
+            case 'final': {
+                const isFinal = event.type === 'final';
+                const alternatives = Array.isArray(event.alternatives) && event.alternatives.length > 0
+                    ? event.alternatives
+                    : [{ transcript: event.text, confidence: event.confidence }];
+                const normalized = alternatives.map(alternative => ({
+                    transcript: alternative.transcript ?? alternative.text ?? '',
+                    confidence: typeof alternative.confidence === 'number' ? alternative.confidence : (isFinal ? 0.9 : 0)
+                }));
+
+                if (!this.isSpeaking) {
+                    this.isSpeaking = true;
+                    this.emit('speechstart');
+                }
+
+                if (isFinal || this.interimResults) {
+                    this.emit('result', this.createResultEvent(normalized, isFinal));
+                }
+
+                if (isFinal) {
+                    this.isSpeaking = false;
+                    this.emit('speechend');
+                }
+                break;
+            }
+            case 'error':
+                this.emit('error', { error: event.error || 'aborted', message: event.message || '' });
+                this.finish();
+                break;
+            case 'end':
+                this.finish();
+                break;
+            case 'soundstart':
+            case 'soundend':
+            case 'speechstart':
+            case 'speechend':
+            case 'nomatch':
+                this.emit(event.type);
+                break;
+            default:
+                // wait: 待機のみ
+        }
+    }
+
+    /**
+     * 認識の停止
+     * 発火待ちのイベントは次のセッションで再生するようスクリプトに戻す（waitは破棄）
+     */
+    stop() {
+        if (!this.isStarted) return;
+
+        if (this.eventTimer) {
+            clearTimeout(this.eventTimer);
+            this.eventTimer = null;
+            if (this.pendingEvent.type === 'wait') {
+                this.script.log.push({ type: 'wait', time: Date.now(), dropped: true });
+            } else {
+                this.script.cursor--;
+            }
+            this.pendingEvent = null;
+        }
+
+        // Web Speech APIと同様に終了イベントは非同期で発火（stopDelay指定時は遅らせる）
+        setTimeout(() => this.finish(), this.script?.stopDelay || 0);
+    }
+
+    /**
+     * セッション終了処理
+     * onendを一度だけ発火
+     * @private
+     */
+    finish() {
+        if (this.isStarted) {
+            this.isStarted = false;
+            if (this.isSpeaking) {
+                this.isSpeaking = false;
+                this.emit('speechend');
+            }
+            this.emit('end');
+        }
+    }
+}
+
+// 読み込み中のシナリオ（FakeSpeechRecognition.load()で設定）
+FakeSpeechRecognition.activeScript = null;
+
+/**
+ * 認識バックエンドのファクトリー
+ * 設定値（'webspeech' | 'websocket'）から対応するバックエンドを生成
+ * デバッグフラグが有効な場合は設定に関わらずシナリオ再生用の擬似バックエンド（'fake'）を使用
+ */
+const RecognitionBackendFactory = {
+    /**
+     * シナリオ再生用の擬似バックエンドが有効か判定
+     * DEBUG_CONFIG.fakeRecognition、またはURLパラメーター ?fakeRecognition=1 で有効化
+     *
+     * @returns {boolean} 有効かどうか
+     */
+    isFakeEnabled() {
+        if (window.DEBUG_CONFIG?.fakeRecognition) {
+            return true;
+        }
+        try {
+            return new URLSearchParams(window.location.search).get('fakeRecognition') === '1';
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * 使用するバックエンド種別の決定
+     *
+     * @param {string} type - 設定のバックエンド種別
+     * @returns {string} 使用するバックエンド種別
+     */
+    resolveType(type) {
+        return this.isFakeEnabled() ? 'fake' : (type || 'webspeech');
+    },
+
+    /**
+     * 指定バックエンドがこのブラウザで利用可能か判定
+     *
+     * @param {string} type - バックエンド種別
+     * @returns {boolean} 利用可否
+     */
+    isSupported(type) {
+        switch (type) {
+            case 'fake':
+                return true;
+            case 'websocket':
+                return !!(window.WebSocket && navigator.mediaDevices?.getUserMedia && window.AudioContext);
+            case 'webspeech':
+            default:
+                return !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+        }
+    },
+
+    /**
+     * バックエンドインスタンスの生成
+     * Web Speech APIはネイティブのSpeechRecognitionがそのまま契約を満たすため直接生成
+     *
+     * @param {string} type - バックエンド種別
+     * @param {Object} [options={}] - バックエンド固有の設定
+     * @param {string} [options.serverUrl] - WebSocketサーバーURL
+     * @param {string} [options.deviceId] - 音声入力デバイスID（WebSocketのみ）
+     * @returns {Object} 認識バックエンドインスタンス
+     */
+    create(type, options = {}) {
+        switch (type) {
+            case 'fake':
+                return new FakeSpeechRecognition(options);
+            case 'websocket':
+                return new WebSocketRecognitionBackend(options);
+            case 'webspeech':
+            default: {
+                const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+                return new SpeechRecognition();
+            }
+        }
+    }
+};
+
+// グローバル公開
+window.RecognitionBackend = RecognitionBackend;
+window.FakeSpeechRecognition = FakeSpeechRecognition;
+window.RecognitionBackendFactory = RecognitionBackendFactory;
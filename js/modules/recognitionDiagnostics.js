@@ -0,0 +1,219 @@
+/**
+ * 音声認識診断モジュール
+ * Chinese Speech to Text
+ *
+ * 長時間の配信セッション中の音声認識の安定性を記録する
+ * errorCountは再起動のたびにリセットされるため、セッション単位の開始・終了、
+ * 再起動理由、エラー種別ごとの回数、累計稼働時間、初回結果までの時間を別途集計し、
+ * 診断パネルでの表示とJSONエクスポートに使用する
+ */
+
+// 診断設定定数
+const DIAGNOSTICS_CONSTANTS = {
+    MAX_SESSION_RECORDS: 500           // 保持するセッション記録の最大数
+};
+
+// 再起動・終了理由の表示名
+const RESTART_REASON_LABELS = {
+    'result-timeout': '結果タイムアウト',
+    'session-timeout': 'セッションタイムアウト',
+    'onend': '認識終了（自動再開）',
+    'manual': '手動停止'
+};
+
+class RecognitionDiagnostics {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * 診断記録の初期化
+     * 計測開始時刻を現在時刻に設定し、全記録をクリア
+     */
+    reset() {
+        this.monitoringStartTime = Date.now();
+        this.sessions = [];                  // セッション記録（古い順）
+        this.currentSession = null;          // 実行中のセッション記録
+        this.restartCounts = {};             // 再起動理由ごとの回数
+        this.errorCounts = {};               // エラー種別（内部エラーコード）ごとの回数
+        this.totalErrorCount = 0;            // 累計エラー回数
+        this.completedUptime = 0;            // 終了済みセッションの累計稼働時間（ミリ秒）
+        this.totalResultCount = 0;           // 累計確定結果数
+        this.emitUpdate();
+    }
+
+    /**
+     * セッション開始の記録
+     *
+     * @param {string} sessionId - 認識セッションID
+     * @param {string} backend - 認識バックエンド種別
+     */
+    recordSessionStart(sessionId, backend) {
+        // 終了が記録されないまま次のセッションが始まった場合は前のセッションを閉じる
+        if (this.currentSession) {
+            this.recordSessionEnd('onend');
+        }
+
+        this.currentSession = {
+            sessionId: sessionId,
+            backend: backend,
+            startTime: Date.now(),
+            endTime: null,
+            duration: null,
+            firstResultTime: null,
+            timeToFirstResult: null,
+            resultCount: 0,
+            errors: [],
+            endReason: null
+        };
+
+        this.sessions.push(this.currentSession);
+        if (this.sessions.length > DIAGNOSTICS_CONSTANTS.MAX_SESSION_RECORDS) {
+            this.sessions.shift();
+        }
+
+        this.emitUpdate();
+    }
+
+    /**
+     * 結果受信の記録
+     * セッション内で最初の結果の場合は初回結果までの時間を記録
+     *
+     * @param {boolean} isFinal - 確定結果かどうか
+     */
+    recordResult(isFinal) {
+        const session = this.currentSession;
+        if (!session) return;
+
+        if (session.firstResultTime === null) {
+            session.firstResultTime = Date.now();
+            session.timeToFirstResult = session.firstResultTime - session.startTime;
+            this.emitUpdate();
+        }
+
+        if (isFinal) {
+            session.resultCount++;
+            this.totalResultCount++;
+            this.emitUpdate();
+        }
+    }
+
+    /**
+     * エラーの記録
+     *
+     * @param {string} errorCode - 内部エラーコード（mapErrorCodeの戻り値）
+     * @param {string} [rawError] - 認識バックエンドのエラーコード
+     */
+    recordError(errorCode, rawError) {
+        this.errorCounts[errorCode] = (this.errorCounts[errorCode] || 0) + 1;
+        this.totalErrorCount++;
+
+        if (this.currentSession) {
+            this.currentSession.errors.push({
+                code: errorCode,
+                rawError: rawError || null,
+                time: Date.now()
+            });
+        }
+
+        this.emitUpdate();
+    }
+
+    /**
+     * セッション終了の記録
+     * 終了理由を再起動理由として集計（手動停止を除く）
+     *
+     * @param {string} reason - 終了理由（result-timeout, session-timeout, onend, manual, error:<コード>など）
+     * @param {string} [sessionId] - 終了したセッションID（指定時は実行中のセッションと一致する場合のみ記録）
+     */
+    recordSessionEnd(reason, sessionId) {
+        const session = this.currentSession;
+        if (!session || (sessionId && session.sessionId !== sessionId)) return;
+
+        session.endTime = Date.now();
+        session.duration = session.endTime - session.startTime;
+        session.endReason = reason;
+        this.completedUptime += session.duration;
+        this.currentSession = null;
+
+        if (reason !== 'manual') {
+            this.restartCounts[reason] = (this.restartCounts[reason] || 0) + 1;
+        }
+
+        this.emitUpdate();
+    }
+
+    /**
+     * 集計結果の取得
+     *
+     * @returns {Object} 集計結果
+     * @returns {number} returns.sessionCount - セッション数
+     * @returns {number} returns.restartCount - 再起動回数（手動停止を除く）
+     * @returns {Object} returns.restartCounts - 再起動理由ごとの回数
+     * @returns {Object} returns.errorCounts - エラー種別ごとの回数
+     * @returns {number} returns.totalUptime - 累計稼働時間（ミリ秒）
+     * @returns {number|null} returns.averageTimeToFirstResult - 初回結果までの平均時間（ミリ秒）
+     */
+    getSummary() {
+        const now = Date.now();
+        const currentUptime = this.currentSession ? now - this.currentSession.startTime : 0;
+        const firstResultTimes = this.sessions
+            .map(session => session.timeToFirstResult)
+            .filter(time => time !== null);
+
+        return {
+            monitoringStartTime: this.monitoringStartTime,
+            monitoringDuration: now - this.monitoringStartTime,
+            isSessionActive: !!this.currentSession,
+            currentSessionDuration: currentUptime,
+            sessionCount: this.sessions.length,
+            restartCount: Object.values(this.restartCounts).reduce((sum, count) => sum + count, 0),
+            restartCounts: { ...this.restartCounts },
+            errorCount: this.totalErrorCount,
+            errorCounts: { ...this.errorCounts },
+            totalUptime: this.completedUptime + currentUptime,
+            totalResultCount: this.totalResultCount,
+            averageTimeToFirstResult: firstResultTimes.length
+                ? Math.round(firstResultTimes.reduce((sum, time) => sum + time, 0) / firstResultTimes.length)
+                : null,
+            maxTimeToFirstResult: firstResultTimes.length ? Math.max(...firstResultTimes) : null
+        };
+    }
+
+    /**
+     * 再起動・終了理由の表示名を取得
+     *
+     * @param {string} reason - 終了理由
+     * @returns {string} 表示名
+     */
+    getReasonLabel(reason) {
+        if (reason && reason.startsWith('error:')) {
+            return `エラー（${reason.slice('error:'.length)}）`;
+        }
+        return RESTART_REASON_LABELS[reason] || reason;
+    }
+
+    /**
+     * 診断データのJSONエクスポート
+     *
+     * @returns {string} 集計結果とセッション記録を含むJSON文字列
+     */
+    exportJSON() {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            summary: this.getSummary(),
+            sessions: this.sessions
+        }, null, 2);
+    }
+
+    /**
+     * 診断データ更新の通知
+     * @private
+     */
+    emitUpdate() {
+        $(document).trigger('diagnosticsUpdated');
+    }
+}
+
+// グローバルインスタンス
+window.recognitionDiagnostics = new RecognitionDiagnostics();
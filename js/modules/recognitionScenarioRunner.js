@@ -0,0 +1,685 @@
+/**
+ * 認識シナリオ実行モジュール
+ * Chinese Speech to Text
+ *
+ * シナリオ再生用の擬似認識バックエンド（FakeSpeechRecognition）でJSONシナリオを再生し、
+ * 結果のテキスト履歴（textHistory）と表示行（DOM）、重複除外件数、再起動理由を期待値と照合する
+ * 行ごとの認識候補・低信頼度・キーワード・語彙の修正候補の表示、段落、置換ルールの適用回数も照合できる
+ * ヘッドレスブラウザからも実行できるよう、結果はPromiseで返す
+ *
+ * 使い方:
+ * - URLに ?fakeRecognition=1 を付けて開き（またはDEBUG_CONFIG.fakeRecognitionを有効化）、
+ *   コンソールで recognitionScenarioRunner.runAll() を実行
+ * - 任意のシナリオは recognitionScenarioRunner.run(scenario) で実行
+ * - ヘッドレスでは npm test（tests/runScenarios.js）で組み込みシナリオをすべて実行
+ *
+ * シナリオ形式:
+ * {
+ *   "name": "シナリオ名",
+ *   "settings": { "punctuationRestoration": false },   // 実行中のみ適用する設定（終了後に復元）
+ *   "stopDelay": 2000,                                  // 停止からonendまでの時間（省略時は0、FakeSpeechRecognition参照）
+ *   "profileData": { "replacements": [...], "vocabulary": [...] },  // 実行中のみ使用するプロフィールデータ（終了後に復元）
+ *   "events": [{ "delay": 200, "type": "final", "text": "你好" }, ...],
+ *   "expect": {
+ *     "history": ["你好"],                  // テキスト履歴の原文（古い順）
+ *     "lines": ["你好"],                    // 表示行の原文（ルビを除く、古い順）
+ *     "suppressedDuplicates": 0,           // 重複として破棄した結果の件数
+ *     "restarts": { "result-timeout": 1 }, // 再起動理由ごとの回数（指定した理由のみ照合）
+ *     "alternatives": [3, 0],              // 行ごとの認識候補数（候補ピッカーがない行は0）
+ *     "lowConfidence": [true, false],      // 行ごとの低信頼度表示
+ *     "keywords": [["直播"], []],           // 行ごとのキーワードバッジ
+ *     "vocabularySuggestions": [1, 0],     // 行ごとの語彙の修正候補数
+ *     "paragraphs": [2, 1],                // 段落ごとの行数
+ *     "replacementHits": { "小明": 1 }     // 置換ルール（置換前の文字列）ごとの適用回数（指定したルールのみ照合）
+ *   }
+ * }
+ */
+
+// シナリオ実行設定定数
+const SCENARIO_RUNNER_CONSTANTS = {
+    SETTLE_DELAY: 1000,                // 全イベントの再生後、確定処理を待つ時間（ミリ秒）
+    POLL_INTERVAL: 100,                // 再生完了の確認間隔（ミリ秒）
+    DEFAULT_TIMEOUT: 60000             // シナリオのタイムアウト（ミリ秒）
+};
+
+// 実行中に常に適用する設定（翻訳APIを呼び出さないよう自動翻訳を無効化）
+const SCENARIO_BASE_SETTINGS = {
+    autoTranslate: false
+};
+
+// 行ごとに照合する表示（期待値のキー）
+const SCENARIO_LINE_KEYS = ['alternatives', 'lowConfidence', 'keywords', 'vocabularySuggestions'];
+
+// 組み込みシナリオ
+const BUILTIN_SCENARIOS = [
+    {
+        name: '中間結果と確定結果',
+        settings: { punctuationRestoration: false, sentenceStitching: false },
+        events: [
+            { delay: 200, type: 'interim', text: '你好' },
+            { delay: 200, type: 'interim', text: '你好世界' },
+            { delay: 200, type: 'final', text: '你好世界', confidence: 0.92 },
+            { delay: 300, type: 'interim', text: '今天天气' },
+            { delay: 200, type: 'final', text: '今天天气很好', confidence: 0.88 }
+        ],
+        expect: {
+            history: ['你好世界', '今天天气很好'],
+            lines: ['你好世界', '今天天气很好']
+        }
+    },
+    {
+        name: '句読点の復元',
+        settings: { punctuationRestoration: true, sentenceStitching: false },
+        events: [
+            { delay: 200, type: 'final', text: '你吃饭了吗', confidence: 0.9 }
+        ],
+        expect: {
+            history: ['你吃饭了吗？'],
+            lines: ['你吃饭了吗？']
+        }
+    },
+    {
+        name: '再起動後に再送された確定結果の重複除外',
+        settings: { punctuationRestoration: false, sentenceStitching: false },
+        events: [
+            { delay: 200, type: 'final', text: '我们现在开始吧', confidence: 0.9 },
+            { delay: 100, type: 'end' },
+            { delay: 300, type: 'final', text: '我们现在开始吧', confidence: 0.9 },
+            { delay: 300, type: 'final', text: '第一个问题是什么', confidence: 0.9 }
+        ],
+        expect: {
+            history: ['我们现在开始吧', '第一个问题是什么'],
+            lines: ['我们现在开始吧', '第一个问题是什么'],
+            suppressedDuplicates: 1
+        }
+    },
+    {
+        name: 'Watchdogの結果タイムアウトによる再起動',
+        settings: { punctuationRestoration: false, sentenceStitching: false },
+        events: [
+            { delay: 200, type: 'final', text: '第一句话', confidence: 0.9 },
+            { delay: 7000, type: 'wait' },
+            { delay: 300, type: 'final', text: '第二句话', confidence: 0.9 }
+        ],
+        expect: {
+            history: ['第一句话', '第二句话'],
+            lines: ['第一句话', '第二句话'],
+            restarts: { 'result-timeout': 1 }
+        }
+    },
+    {
+        name: 'セッション終了で分割された文の結合',
+        settings: { punctuationRestoration: false, sentenceStitching: true },
+        events: [
+            { delay: 200, type: 'final', text: '我觉得这个方法', confidence: 0.9 },
+            { delay: 100, type: 'end' },
+            { delay: 400, type: 'final', text: '还需要再改进一下', confidence: 0.9 }
+        ],
+        expect: {
+            history: ['我觉得这个方法还需要再改进一下'],
+            lines: ['我觉得这个方法还需要再改进一下'],
+            restarts: { 'onend': 1 }
+        }
+    },
+    {
+        name: '文末の句読点で終わる断片は結合しない',
+        settings: { punctuationRestoration: false, sentenceStitching: true },
+        events: [
+            { delay: 200, type: 'final', text: '这个方法不错。', confidence: 0.9 },
+            { delay: 100, type: 'end' },
+            { delay: 400, type: 'final', text: '还需要再改进一下', confidence: 0.9 }
+        ],
+        expect: {
+            history: ['这个方法不错。', '还需要再改进一下'],
+            lines: ['这个方法不错。', '还需要再改进一下'],
+            restarts: { 'onend': 1 }
+        }
+    },
+    {
+        name: '結果タイムアウトによる再起動で分割された文の結合',
+        settings: { punctuationRestoration: false, sentenceStitching: true },
+        events: [
+            { delay: 200, type: 'final', text: '我们今天要讨论', confidence: 0.9 },
+            { delay: 6500, type: 'wait' },
+            { delay: 200, type: 'final', text: '这个问题', confidence: 0.9 }
+        ],
+        expect: {
+            history: ['我们今天要讨论这个问题'],
+            lines: ['我们今天要讨论这个问题'],
+            restarts: { 'result-timeout': 1 }
+        }
+    },
+    {
+        name: '停止待ちのセッションがある間の再起動',
+        settings: { punctuationRestoration: false, sentenceStitching: false },
+        stopDelay: 2000,
+        events: [
+            { delay: 200, type: 'final', text: '第一句话', confidence: 0.9 },
+            { delay: 7000, type: 'wait' },
+            { delay: 300, type: 'final', text: '第二句话', confidence: 0.9 },
+            { delay: 2500, type: 'final', text: '第三句话', confidence: 0.9 }
+        ],
+        expect: {
+            history: ['第一句话', '第二句话', '第三句话'],
+            lines: ['第一句话', '第二句话', '第三句话'],
+            restarts: { 'result-timeout': 1, 'onend': 0 }
+        }
+    },
+    {
+        name: 'エラー終了後の自動再開',
+        settings: { punctuationRestoration: false, sentenceStitching: false },
+        events: [
+            { delay: 200, type: 'final', text: '我先说一句', confidence: 0.9 },
+            { delay: 200, type: 'error', error: 'no-speech' },
+            { delay: 300, type: 'final', text: '然后继续说', confidence: 0.9 }
+        ],
+        expect: {
+            history: ['我先说一句', '然后继续说'],
+            lines: ['我先说一句', '然后继续说'],
+            restarts: { 'error:NO_SPEECH': 1 }
+        }
+    },
+    {
+        name: '認識候補の表示',
+        settings: { punctuationRestoration: false, sentenceStitching: false, maxAlternatives: 3 },
+        events: [
+            {
+                delay: 200,
+                type: 'final',
+                text: '我想买一本书',
+                alternatives: [
+                    { transcript: '我想买一本书', confidence: 0.82 },
+                    { transcript: '我想卖一本书', confidence: 0.1 },
+                    { transcript: '我想买一本输', confidence: 0.05 }
+                ]
+            },
+            { delay: 300, type: 'final', text: '谢谢', confidence: 0.9 }
+        ],
+        expect: {
+            history: ['我想买一本书', '谢谢'],
+            lines: ['我想买一本书', '谢谢'],
+            alternatives: [3, 0]
+        }
+    },
+    {
+        name: '低信頼度の行の表示',
+        settings: { punctuationRestoration: false, sentenceStitching: false, lowConfidenceThreshold: 0.5 },
+        events: [
+            { delay: 200, type: 'final', text: '这句话听不太清楚', confidence: 0.3 },
+            { delay: 300, type: 'final', text: '这句话很清楚', confidence: 0.9 }
+        ],
+        expect: {
+            history: ['这句话听不太清楚', '这句话很清楚'],
+            lowConfidence: [true, false]
+        }
+    },
+    {
+        name: '監視キーワードの検出',
+        settings: {
+            punctuationRestoration: false,
+            sentenceStitching: false,
+            keywordWatchList: '直播\n/抽奖\\d+/',
+            keywordAlertSound: false,
+            keywordAlertNotification: false
+        },
+        events: [
+            { delay: 200, type: 'final', text: '今天晚上八点直播', confidence: 0.9 },
+            { delay: 300, type: 'final', text: '我们聊一聊游戏', confidence: 0.9 },
+            { delay: 300, type: 'final', text: '最后还有抽奖3次', confidence: 0.9 }
+        ],
+        expect: {
+            history: ['今天晚上八点直播', '我们聊一聊游戏', '最后还有抽奖3次'],
+            keywords: [['直播'], [], ['抽奖3']]
+        }
+    },
+    {
+        name: '置換辞書の適用',
+        settings: { punctuationRestoration: false, sentenceStitching: false },
+        profileData: {
+            replacements: [
+                { pattern: '小明', replacement: '晓明' },
+                { pattern: '(\\d+)块', replacement: '$1元', isRegex: true }
+            ]
+        },
+        events: [
+            { delay: 200, type: 'final', text: '小明买了3块糖', confidence: 0.9 },
+            { delay: 300, type: 'final', text: '小明说很好吃', confidence: 0.9 }
+        ],
+        expect: {
+            history: ['晓明买了3元糖', '晓明说很好吃'],
+            lines: ['晓明买了3元糖', '晓明说很好吃'],
+            replacementHits: { '小明': 2, '(\\d+)块': 1 }
+        }
+    },
+    {
+        name: '結合した行の置換ルールの適用回数',
+        settings: { punctuationRestoration: false, sentenceStitching: true },
+        profileData: {
+            replacements: [{ pattern: '小明', replacement: '晓明' }]
+        },
+        events: [
+            { delay: 200, type: 'final', text: '小明说他明天', confidence: 0.9 },
+            { delay: 100, type: 'end' },
+            { delay: 400, type: 'final', text: '和小明一起去', confidence: 0.9 }
+        ],
+        expect: {
+            history: ['晓明说他明天和晓明一起去'],
+            lines: ['晓明说他明天和晓明一起去'],
+            replacementHits: { '小明': 2 }
+        }
+    },
+    {
+        name: '登録語彙の修正候補',
+        settings: { punctuationRestoration: false, sentenceStitching: false, vocabularyBiasMode: 'suggest' },
+        profileData: {
+            vocabulary: ['王者荣耀']
+        },
+        events: [
+            { delay: 200, type: 'final', text: '我在玩王者容要', confidence: 0.9 },
+            { delay: 300, type: 'final', text: '你在干什么', confidence: 0.9 }
+        ],
+        expect: {
+            history: ['我在玩王者容要', '你在干什么'],
+            vocabularySuggestions: [1, 0]
+        }
+    },
+    {
+        name: '登録語彙による自動修正',
+        settings: { punctuationRestoration: false, sentenceStitching: false, vocabularyBiasMode: 'auto' },
+        profileData: {
+            vocabulary: ['王者荣耀']
+        },
+        events: [
+            { delay: 200, type: 'final', text: '我在玩王者容要', confidence: 0.9 }
+        ],
+        expect: {
+            history: ['我在玩王者荣耀'],
+            lines: ['我在玩王者荣耀'],
+            vocabularySuggestions: [0]
+        }
+    },
+    {
+        name: '発話間隔による段落のまとめ',
+        settings: { punctuationRestoration: false, sentenceStitching: false, paragraphGapSeconds: 2 },
+        events: [
+            { delay: 200, type: 'final', text: '我们先看第一个例子', confidence: 0.9 },
+            { delay: 500, type: 'final', text: '这个例子比较简单', confidence: 0.9 },
+            { delay: 3000, type: 'final', text: '接下来换一个话题', confidence: 0.9 }
+        ],
+        expect: {
+            lines: ['我们先看第一个例子', '这个例子比较简单', '接下来换一个话题'],
+            paragraphs: [2, 1]
+        }
+    }
+];
+
+class RecognitionScenarioRunner {
+    constructor() {
+        this.constants = SCENARIO_RUNNER_CONSTANTS;
+        this.isRunning = false;
+    }
+
+    /**
+     * シナリオ実行が可能か判定
+     * 擬似認識バックエンドが有効な場合のみ実行できる
+     *
+     * @returns {boolean} 実行可否
+     */
+    isEnabled() {
+        return RecognitionBackendFactory.isFakeEnabled();
+    }
+
+    /**
+     * 組み込みシナリオの取得
+     *
+     * @returns {Array<Object>} 組み込みシナリオ（複製）
+     */
+    getBuiltinScenarios() {
+        return Utils.deepClone(BUILTIN_SCENARIOS);
+    }
+
+    /**
+     * 複数シナリオの順次実行
+     *
+     * @param {Array<Object>} [scenarios] - シナリオの配列（省略時は組み込みシナリオ）
+     * @returns {Promise<Object>} 実行結果 { passed, total, failed, results }
+     */
+    async runAll(scenarios = this.getBuiltinScenarios()) {
+        const results = [];
+
+        for (const scenario of scenarios) {
+            results.push(await this.run(scenario));
+        }
+
+        const failed = results.filter(result => !result.passed).length;
+        return {
+            passed: failed === 0,
+            total: results.length,
+            failed: failed,
+            results: results
+        };
+    }
+
+    /**
+     * シナリオの実行
+     * 表示と重複判定の状態をクリアしてから認識を開始し、全イベントの再生後に停止して期待値と照合
+     *
+     * @param {Object|string} scenario - シナリオ（JSON文字列も可）
+     * @returns {Promise<Object>} 実行結果 { name, passed, failures, history, lines, suppressedDuplicates, restartCounts, lineDetails, paragraphs, replacementHits, duration }
+     */
+    async run(scenario) {
+        const definition = typeof scenario === 'string' ? Utils.safeJsonParse(scenario) : scenario;
+        const name = definition?.name || '(名前なし)';
+
+        if (!this.isEnabled()) {
+            return this.createErrorResult(name, '擬似認識バックエンドが無効です（?fakeRecognition=1 で有効化）');
+        }
+        if (!definition || !Array.isArray(definition.events)) {
+            return this.createErrorResult(name, 'シナリオにeventsの配列がありません');
+        }
+        if (this.isRunning) {
+            return this.createErrorResult(name, '別のシナリオを実行中です');
+        }
+
+        this.isRunning = true;
+        const startTime = Date.now();
+        const restoreSettings = this.applySettings({ ...SCENARIO_BASE_SETTINGS, ...(definition.settings || {}) });
+        const restoreProfileData = this.applyProfileData(definition.profileData || {});
+
+        try {
+            await this.resetEnvironment();
+
+            const existingIds = new Set(stateManager.state.textHistory.map(entry => entry.id));
+            const script = FakeSpeechRecognition.load(definition);
+
+            // 擬似バックエンドで再初期化して開始
+            speechRecognitionManager.changeBackend();
+            uiController.startRecognition();
+
+            const completed = await this.waitForCompletion(script, definition.timeout || this.constants.DEFAULT_TIMEOUT);
+            await this.delay(this.constants.SETTLE_DELAY);
+
+            uiController.stopRecognition();
+            await this.delay(this.constants.POLL_INTERVAL);
+
+            const actual = {
+                history: stateManager.state.textHistory
+                    .filter(entry => !existingIds.has(entry.id))
+                    .reverse()
+                    .map(entry => entry.originalText),
+                lines: this.getDisplayedLines(),
+                suppressedDuplicates: speechRecognitionManager.suppressedDuplicateCount,
+                restartCounts: recognitionDiagnostics.getSummary().restartCounts,
+                lineDetails: this.getLineDetails(),
+                paragraphs: this.getParagraphSizes(),
+                replacementHits: this.getReplacementHits()
+            };
+
+            const failures = this.verify(definition.expect || {}, actual);
+            if (!completed) {
+                failures.unshift(`タイムアウトまでに全イベントを再生できませんでした（${script.cursor}/${script.events.length}）`);
+            }
+
+            return {
+                name: name,
+                passed: failures.length === 0,
+                failures: failures,
+                ...actual,
+                duration: Date.now() - startTime
+            };
+
+        } catch (error) {
+            return this.createErrorResult(name, error.message);
+        } finally {
+            restoreProfileData();
+            restoreSettings();
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * 実行前の状態リセット
+     * 認識を停止し、表示・文結合・重複判定・診断記録をクリア
+     * @private
+     *
+     * @returns {Promise<void>}
+     */
+    async resetEnvironment() {
+        uiController.stopRecognition();
+        await this.delay(this.constants.POLL_INTERVAL);
+
+        uiController.clearMainText();
+        speechRecognitionManager.clearRecentResults();
+        restartPolicy.reset();
+        recognitionDiagnostics.reset();
+    }
+
+    /**
+     * シナリオ用の設定を一時的に適用
+     * @private
+     *
+     * @param {Object} settings - 適用する設定（config配下のキーと値）
+     * @returns {Function} 元の設定に戻す関数
+     */
+    applySettings(settings) {
+        const originals = {};
+
+        Object.entries(settings).forEach(([key, value]) => {
+            originals[key] = stateManager.getState(`config.${key}`);
+            stateManager.setState(`config.${key}`, value);
+        });
+
+        return () => {
+            Object.entries(originals).forEach(([key, value]) => {
+                stateManager.setState(`config.${key}`, value);
+            });
+        };
+    }
+
+    /**
+     * シナリオ用のプロフィールデータを一時的に使用
+     * 使用中のプロフィールに保存して置換辞書と語彙を読み込み直す
+     * @private
+     *
+     * @param {Object} profileData - プロフィールデータ（replacements、vocabularyなどのキーと値）
+     * @returns {Function} 元のデータに戻す関数
+     */
+    applyProfileData(profileData) {
+        const profile = stateManager.getState('config.activeProfile');
+        const originals = {};
+
+        if (Object.keys(profileData).length === 0) {
+            return () => {};
+        }
+
+        Object.entries(profileData).forEach(([key, value]) => {
+            originals[key] = Utils.deepClone(stateManager.getProfileData(profile, key));
+            stateManager.saveProfileData(profile, key, Utils.deepClone(value));
+        });
+        this.reloadProfileData();
+
+        return () => {
+            Object.entries(originals).forEach(([key, value]) => {
+                stateManager.saveProfileData(profile, key, value);
+            });
+            this.reloadProfileData();
+        };
+    }
+
+    /**
+     * プロフィールデータを使用するモジュールの再読み込み
+     * @private
+     */
+    reloadProfileData() {
+        window.replacementDictionary?.load();
+        window.vocabularyBiaser?.load();
+    }
+
+    /**
+     * 全イベントの再生完了を待機
+     * @private
+     *
+     * @param {Object} script - 共有スクリプト
+     * @param {number} timeout - タイムアウト（ミリ秒）
+     * @returns {Promise<boolean>} タイムアウト前に完了したかどうか
+     */
+    async waitForCompletion(script, timeout) {
+        const deadline = Date.now() + timeout;
+
+        while (Date.now() < deadline) {
+            if (script.log.length >= script.events.length) {
+                return true;
+            }
+            await this.delay(this.constants.POLL_INTERVAL);
+        }
+
+        return false;
+    }
+
+    /**
+     * 表示中の確定行の原文を取得
+     * ルビ（rt）を除いたテキストを古い順に返す
+     * @private
+     *
+     * @returns {Array<string>} 表示行の原文
+     */
+    getDisplayedLines() {
+        return uiController.elements.$mainTextArea.find('.text-line .chinese-text').map((index, element) => {
+            const $clone = $(element).clone();
+            $clone.find('rt, rp').remove();
+            return $clone.text().replace(/\s+/g, '');
+        }).get();
+    }
+
+    /**
+     * 表示中の確定行ごとの表示内容を取得
+     * @private
+     *
+     * @returns {Object} 行ごとの配列 { alternatives, lowConfidence, keywords, vocabularySuggestions }（古い順）
+     */
+    getLineDetails() {
+        const $lines = uiController.elements.$mainTextArea.find('.text-line');
+
+        return {
+            alternatives: $lines.map((index, element) => $(element).find('.alternatives-picker [data-alternative-index]').length).get(),
+            lowConfidence: $lines.map((index, element) => $(element).hasClass('low-confidence')).get(),
+            keywords: $lines.get().map(element => $(element).find('.keyword-badge').map((index, badge) => $(badge).text()).get()),
+            vocabularySuggestions: $lines.map((index, element) => $(element).find('.vocabulary-suggestion').length).get()
+        };
+    }
+
+    /**
+     * 段落ごとの行数を取得
+     * @private
+     *
+     * @returns {Array<number>} 段落ごとの行数（古い順）
+     */
+    getParagraphSizes() {
+        return uiController.elements.$mainTextArea.find('.text-paragraph').map((index, element) => {
+            return $(element).find('.text-line').length;
+        }).get();
+    }
+
+    /**
+     * 置換ルールごとの適用回数を取得
+     * @private
+     *
+     * @returns {Object} 置換前の文字列ごとの適用回数
+     */
+    getReplacementHits() {
+        const hits = {};
+
+        (window.replacementDictionary?.getRules() || []).forEach(rule => {
+            hits[rule.pattern] = rule.hitCount;
+        });
+
+        return hits;
+    }
+
+    /**
+     * 期待値との照合
+     * @private
+     *
+     * @param {Object} expect - 期待値
+     * @param {Object} actual - 実行結果
+     * @returns {Array<string>} 不一致の説明
+     */
+    verify(expect, actual) {
+        const failures = [];
+        const format = value => JSON.stringify(value);
+
+        ['history', 'lines'].forEach(key => {
+            if (Array.isArray(expect[key]) && format(expect[key]) !== format(actual[key])) {
+                failures.push(`${key}: 期待値 ${format(expect[key])}、実際 ${format(actual[key])}`);
+            }
+        });
+
+        SCENARIO_LINE_KEYS.forEach(key => {
+            if (Array.isArray(expect[key]) && format(expect[key]) !== format(actual.lineDetails[key])) {
+                failures.push(`${key}: 期待値 ${format(expect[key])}、実際 ${format(actual.lineDetails[key])}`);
+            }
+        });
+
+        if (Array.isArray(expect.paragraphs) && format(expect.paragraphs) !== format(actual.paragraphs)) {
+            failures.push(`paragraphs: 期待値 ${format(expect.paragraphs)}、実際 ${format(actual.paragraphs)}`);
+        }
+
+        if (typeof expect.suppressedDuplicates === 'number' && expect.suppressedDuplicates !== actual.suppressedDuplicates) {
+            failures.push(`suppressedDuplicates: 期待値 ${expect.suppressedDuplicates}、実際 ${actual.suppressedDuplicates}`);
+        }
+
+        Object.entries(expect.restarts || {}).forEach(([reason, count]) => {
+            const actualCount = actual.restartCounts[reason] || 0;
+            if (actualCount !== count) {
+                failures.push(`restarts[${reason}]: 期待値 ${count}、実際 ${actualCount}`);
+            }
+        });
+
+        Object.entries(expect.replacementHits || {}).forEach(([pattern, count]) => {
+            const actualCount = actual.replacementHits[pattern] || 0;
+            if (actualCount !== count) {
+                failures.push(`replacementHits[${pattern}]: 期待値 ${count}、実際 ${actualCount}`);
+            }
+        });
+
+        return failures;
+    }
+
+    /**
+     * 実行できなかった場合の結果を生成
+     * @private
+     *
+     * @param {string} name - シナリオ名
+     * @param {string} message - 理由
+     * @returns {Object} 実行結果
+     */
+    createErrorResult(name, message) {
+        return {
+            name: name,
+            passed: false,
+            failures: [message],
+            history: [],
+            lines: [],
+            suppressedDuplicates: 0,
+            restartCounts: {},
+            lineDetails: {},
+            paragraphs: [],
+            replacementHits: {},
+            duration: 0
+        };
+    }
+
+    /**
+     * 指定時間の待機
+     * @private
+     *
+     * @param {number} ms - 待機時間（ミリ秒）
+     * @returns {Promise<void>}
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// グローバルインスタンス
+window.recognitionScenarioRunner = new RecognitionScenarioRunner();
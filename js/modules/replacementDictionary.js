@@ -0,0 +1,317 @@
+/**
+ * 置換辞書モジュール
+ * Chinese Speech to Text
+ *
+ * Web Speech APIが配信者の名前・ゲーム内用語・スラングを毎回同じように誤認識する場合に、
+ * 確定した認識結果をユーザー定義の置換ルールで修正する
+ * 句読点復元の後、ピンイン変換と履歴保存の前に適用されるため、修正はピンイン・翻訳にも反映される
+ *
+ * 置換ルールはプロフィールごとにlocalStorageへ保存し、JSONでインポート・エクスポートできる
+ *
+ * 【注意】ルールは一覧の上から順に適用されます
+ * 正規表現のルールでは置換後の文字列に $1 などの参照を使用できます
+ */
+
+// 置換辞書設定定数
+const REPLACEMENT_DICTIONARY_CONSTANTS = {
+    PROFILE_DATA_KEY: 'replacements',  // プロフィール別データのキー
+    EXPORT_FORMAT: 'chinese-speech-to-text/replacements',
+    EXPORT_VERSION: 1
+};
+
+class ReplacementDictionary {
+    constructor() {
+        this.constants = REPLACEMENT_DICTIONARY_CONSTANTS;
+
+        this.profile = null;               // 読み込み済みのプロフィール名
+        this.rules = [];                   // 置換ルール（{ id, pattern, replacement, isRegex, enabled, hitCount }）
+        this.compiledRules = [];           // 適用用にコンパイルしたルール
+    }
+
+    /**
+     * 置換辞書の初期化
+     * 使用中のプロフィールのルールを読み込み、プロフィールの切り替えを監視
+     */
+    initialize() {
+        this.load();
+
+        $(document).on('state:profileChanged', () => {
+            this.load();
+        });
+    }
+
+    /**
+     * 使用中のプロフィールのルールを読み込み
+     */
+    load() {
+        this.profile = stateManager.getState('config.activeProfile');
+
+        const rules = stateManager.getProfileData(this.profile, this.constants.PROFILE_DATA_KEY, []);
+        this.rules = Array.isArray(rules) ? rules.map(rule => this.normalizeRule(rule)).filter(Boolean) : [];
+        this.compile();
+
+        $(document).trigger('replacementDictionaryUpdated');
+    }
+
+    /**
+     * 置換ルールの一覧を取得
+     *
+     * @returns {Array<Object>} 置換ルールの配列（適用順）
+     */
+    getRules() {
+        return this.rules;
+    }
+
+    /**
+     * 置換ルールの一覧を置き換えて保存
+     * 不正なルールがある場合は保存せずにエラーを返す
+     *
+     * @param {Array<Object>} rules - 置換ルールの配列（idのないルールは新規として扱う）
+     * @returns {Array<Object>} エラー（{ index, message }）の配列、成功時は空配列
+     */
+    setRules(rules) {
+        const errors = [];
+        const normalized = [];
+
+        rules.forEach((rule, index) => {
+            const message = this.validateRule(rule);
+            if (message) {
+                errors.push({ index, message });
+                return;
+            }
+            normalized.push(this.normalizeRule(rule));
+        });
+
+        if (errors.length === 0) {
+            this.rules = normalized;
+            this.compile();
+            this.save();
+        }
+
+        return errors;
+    }
+
+    /**
+     * 置換ルールの検証
+     *
+     * @param {Object} rule - 置換ルール
+     * @returns {string|null} エラーメッセージ（正常な場合はnull）
+     */
+    validateRule(rule) {
+        if (!rule || typeof rule.pattern !== 'string' || !rule.pattern) {
+            return '置換前の文字列が空です';
+        }
+
+        if (rule.isRegex) {
+            let regex;
+            try {
+                regex = new RegExp(rule.pattern, 'g');
+            } catch (error) {
+                return `不正な正規表現です: ${rule.pattern}`;
+            }
+
+            // 空文字列に一致する正規表現は文字の間すべてに置換後の文字列を挿入してしまう
+            if (regex.test('')) {
+                return `空文字列に一致する正規表現は使用できません: ${rule.pattern}`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 置換ルールの正規化
+     * インポートしたデータなど不足する項目を補完する
+     * @private
+     *
+     * @param {Object} rule - 置換ルール
+     * @returns {Object|null} 正規化した置換ルール（置換前の文字列がない場合はnull）
+     */
+    normalizeRule(rule) {
+        if (!rule || typeof rule.pattern !== 'string' || !rule.pattern) {
+            return null;
+        }
+
+        return {
+            id: rule.id || Utils.generateId('rule'),
+            pattern: rule.pattern,
+            replacement: typeof rule.replacement === 'string' ? rule.replacement : '',
+            isRegex: !!rule.isRegex,
+            enabled: rule.enabled !== false,
+            hitCount: Number.isFinite(rule.hitCount) ? rule.hitCount : 0
+        };
+    }
+
+    /**
+     * 有効なルールを適用用にコンパイル
+     * 文字列のルールも正規表現に変換し、検証を通らないルール（保存済みの不正な正規表現など）は除外
+     * @private
+     */
+    compile() {
+        this.compiledRules = [];
+
+        this.rules.forEach(rule => {
+            if (!rule.enabled || this.validateRule(rule)) {
+                return;
+            }
+
+            try {
+                this.compiledRules.push({
+                    rule: rule,
+                    regex: rule.isRegex
+                        ? new RegExp(rule.pattern, 'g')
+                        : new RegExp(rule.pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g')
+                });
+            } catch (error) {
+            }
+        });
+    }
+
+    /**
+     * テキストへの置換ルールの適用
+     *
+     * @param {string} text - 確定テキスト
+     * @param {Object} [options={}] - 適用オプション
+     * @param {boolean} [options.recordHits=true] - 適用回数を記録するかどうか（認識候補などの表示用はfalse）
+     * @param {string} [options.countedText] - 適用回数を記録済みのテキスト（行の結合時の前半）。このテキストでの一致数を差し引いて記録する
+     * @returns {string} 置換後のテキスト
+     */
+    apply(text, options = {}) {
+        try {
+            if (!text || this.compiledRules.length === 0) {
+                return text;
+            }
+
+            const recordHits = options.recordHits !== false;
+            let result = text;
+            let countedResult = options.countedText || '';
+            let hasHits = false;
+
+            this.compiledRules.forEach(({ rule, regex }) => {
+                const matches = result.match(regex);
+                if (!matches) {
+                    return;
+                }
+
+                // 記録済みのテキストも同じ順にルールを適用し、そこでの一致は二重に数えない
+                const countedMatches = countedResult.match(regex) || [];
+                countedResult = this.replace(countedResult, rule, regex);
+                result = this.replace(result, rule, regex);
+
+                const hits = matches.length - countedMatches.length;
+                if (recordHits && hits > 0) {
+                    rule.hitCount += hits;
+                    hasHits = true;
+                }
+            });
+
+            if (hasHits) {
+                this.save();
+                $(document).trigger('replacementDictionaryUpdated');
+            }
+
+            return result;
+
+        } catch (error) {
+            return text;
+        }
+    }
+
+    /**
+     * 1つの置換ルールの適用
+     * 文字列のルールは置換後の文字列をそのまま使用する（$などを解釈しない）
+     * @private
+     *
+     * @param {string} text - 対象テキスト
+     * @param {Object} rule - 置換ルール
+     * @param {RegExp} regex - ルールのコンパイル済み正規表現
+     * @returns {string} 置換後のテキスト
+     */
+    replace(text, rule, regex) {
+        return rule.isRegex
+            ? text.replace(regex, rule.replacement)
+            : text.replace(regex, () => rule.replacement);
+    }
+
+    /**
+     * 適用回数のリセット
+     */
+    resetHitCounts() {
+        this.rules.forEach(rule => {
+            rule.hitCount = 0;
+        });
+        this.save();
+        $(document).trigger('replacementDictionaryUpdated');
+    }
+
+    /**
+     * 置換ルールのJSONエクスポート
+     *
+     * @returns {string} JSON文字列
+     */
+    exportJSON() {
+        return JSON.stringify({
+            format: this.constants.EXPORT_FORMAT,
+            version: this.constants.EXPORT_VERSION,
+            profile: this.profile,
+            exportedAt: new Date().toISOString(),
+            rules: this.rules.map(({ pattern, replacement, isRegex, enabled, hitCount }) => ({
+                pattern, replacement, isRegex, enabled, hitCount
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * 置換ルールのJSONインポート
+     * エクスポート形式またはルールの配列を受け付け、使用中のプロフィールに追加する
+     * 置換前の文字列と種類が同じルールは置換後の文字列などを上書きする
+     *
+     * @param {string} json - JSON文字列
+     * @returns {Object} 結果 { added, updated, skipped }
+     * @throws {Error} JSONとして読み込めない場合
+     */
+    importJSON(json) {
+        const data = JSON.parse(json);
+        const rules = Array.isArray(data) ? data : data?.rules;
+
+        if (!Array.isArray(rules)) {
+            throw new Error('置換ルールが見つかりません');
+        }
+
+        const result = { added: 0, updated: 0, skipped: 0 };
+
+        rules.forEach(rule => {
+            if (this.validateRule(rule)) {
+                result.skipped++;
+                return;
+            }
+
+            const existing = this.rules.find(item => item.pattern === rule.pattern && item.isRegex === !!rule.isRegex);
+            if (existing) {
+                existing.replacement = typeof rule.replacement === 'string' ? rule.replacement : '';
+                existing.enabled = rule.enabled !== false;
+                result.updated++;
+            } else {
+                this.rules.push(this.normalizeRule({ ...rule, id: null, hitCount: 0 }));
+                result.added++;
+            }
+        });
+
+        this.compile();
+        this.save();
+        $(document).trigger('replacementDictionaryUpdated');
+
+        return result;
+    }
+
+    /**
+     * 使用中のプロフィールにルールを保存
+     * @private
+     */
+    save() {
+        stateManager.saveProfileData(this.profile, this.constants.PROFILE_DATA_KEY, this.rules);
+    }
+}
+
+// グローバルインスタンス
+window.replacementDictionary = new ReplacementDictionary();
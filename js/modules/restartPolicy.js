@@ -0,0 +1,206 @@
+/**
+ * 再起動ポリシーモジュール
+ * Chinese Speech to Text
+ *
+ * 音声認識の自動再開までの待機時間を決定する
+ * 固定・線形・指数バックオフ（ジッター付き）の戦略と、一定時間あたりの最大再起動回数を設定で選択でき、
+ * ネットワーク・音声キャプチャのエラーが続いた場合はサーキットブレーカーで再起動を一時停止して、
+ * 待機時間の経過後に1回だけ試行（ハーフオープン）する
+ */
+
+// 再起動ポリシー設定定数
+const RESTART_POLICY_CONSTANTS = {
+    ATTEMPT_WINDOW: 60000,             // 最大再起動回数を数える期間（ミリ秒）
+    MAX_DELAY: 30000,                  // バックオフの最大待機時間（ミリ秒）
+    JITTER_RATIO: 0.3,                 // 指数バックオフのジッター幅（待機時間に対する割合）
+    HEALTHY_SESSION_TIME: 5000,        // 正常とみなすセッション継続時間（ミリ秒）
+    CIRCUIT_FAILURE_THRESHOLD: 3,      // サーキットを開く連続失敗回数
+    CIRCUIT_OPEN_TIME: 30000,          // サーキットを開いておく初回の時間（ミリ秒）
+    CIRCUIT_MAX_OPEN_TIME: 300000      // サーキットを開いておく最大時間（ミリ秒）
+};
+
+// サーキットブレーカーの対象とするエラー（認識バックエンドのエラーコード）
+const CIRCUIT_BREAKER_ERRORS = ['network', 'audio-capture'];
+
+class RestartPolicy {
+    constructor() {
+        this.constants = RESTART_POLICY_CONSTANTS;
+        this.reset();
+    }
+
+    /**
+     * ポリシー状態の初期化
+     * 手動停止時などに呼び出され、バックオフとサーキットをリセット
+     */
+    reset() {
+        this.consecutiveRestarts = 0;    // 正常なセッションを挟まない連続再起動回数
+        this.attemptTimes = [];          // 期間内の再起動時刻
+        this.consecutiveFailures = 0;    // サーキット対象エラーの連続回数
+        this.circuitState = 'closed';    // closed / open / half-open
+        this.circuitOpenCount = 0;       // 連続してサーキットを開いた回数
+        this.circuitOpenUntil = 0;       // サーキットを閉じる（試行を再開する）時刻
+    }
+
+    /**
+     * 現在の設定を取得
+     * @private
+     *
+     * @returns {Object} 戦略、基本待機時間、期間あたりの最大再起動回数
+     */
+    getSettings() {
+        return {
+            strategy: stateManager.getState('config.restartStrategy') || APP_CONFIG.DEFAULT_SETTINGS.restartStrategy,
+            baseDelay: stateManager.getState('config.restartBaseDelay') ?? APP_CONFIG.DEFAULT_SETTINGS.restartBaseDelay,
+            maxAttempts: stateManager.getState('config.restartMaxAttempts') || APP_CONFIG.DEFAULT_SETTINGS.restartMaxAttempts
+        };
+    }
+
+    /**
+     * 次の再起動の判定
+     * サーキットが開いている場合は閉じる時刻まで、期間あたりの上限に達している場合は
+     * 最も古い再起動が期間外になるまで待機し、それ以外は戦略に応じたバックオフで再起動する
+     *
+     * @returns {Object} 判定結果 { delay, status }（statusはbackoff / rate-limited / circuit-open）
+     */
+    evaluate() {
+        const now = Date.now();
+        const settings = this.getSettings();
+
+        if (this.circuitState === 'open') {
+            if (now < this.circuitOpenUntil) {
+                return { delay: this.circuitOpenUntil - now, status: 'circuit-open' };
+            }
+            this.circuitState = 'half-open';
+        }
+
+        this.attemptTimes = this.attemptTimes.filter(time => now - time < this.constants.ATTEMPT_WINDOW);
+        if (this.attemptTimes.length >= settings.maxAttempts) {
+            return {
+                delay: this.attemptTimes[0] + this.constants.ATTEMPT_WINDOW - now,
+                status: 'rate-limited'
+            };
+        }
+
+        return { delay: this.calculateBackoff(settings), status: 'backoff' };
+    }
+
+    /**
+     * 戦略に応じたバックオフ時間の算出
+     * @private
+     *
+     * @param {Object} settings - getSettings()の戻り値
+     * @returns {number} 待機時間（ミリ秒）
+     */
+    calculateBackoff(settings) {
+        const attempt = this.consecutiveRestarts;
+        let delay;
+
+        switch (settings.strategy) {
+            case 'linear':
+                delay = settings.baseDelay * (attempt + 1);
+                break;
+            case 'exponential': {
+                const exponential = settings.baseDelay * Math.pow(2, attempt);
+                const jitter = exponential * this.constants.JITTER_RATIO * (Math.random() * 2 - 1);
+                delay = exponential + jitter;
+                break;
+            }
+            default:
+                delay = settings.baseDelay;
+        }
+
+        return Math.round(Math.min(this.constants.MAX_DELAY, Math.max(0, delay)));
+    }
+
+    /**
+     * 再起動の実行を記録
+     * 期間あたりの回数と連続再起動回数を更新
+     */
+    recordAttempt() {
+        this.attemptTimes.push(Date.now());
+        this.consecutiveRestarts++;
+    }
+
+    /**
+     * 正常なセッションの記録
+     * 結果を受信した、または一定時間以上継続したセッションの終了時に呼び出され、
+     * バックオフとサーキットをリセットする
+     */
+    recordSuccess() {
+        this.consecutiveRestarts = 0;
+        this.consecutiveFailures = 0;
+        this.circuitState = 'closed';
+        this.circuitOpenCount = 0;
+    }
+
+    /**
+     * セッション終了の記録
+     * 継続時間が正常とみなす時間以上の場合のみ正常なセッションとして扱う
+     *
+     * @param {number} duration - セッション継続時間（ミリ秒）
+     */
+    recordSessionEnd(duration) {
+        if (duration >= this.constants.HEALTHY_SESSION_TIME && this.consecutiveFailures === 0) {
+            this.recordSuccess();
+        }
+    }
+
+    /**
+     * エラーの記録
+     * サーキット対象のエラーが閾値回数続いた場合、またはハーフオープン中に失敗した場合は
+     * サーキットを開く（開く時間は連続するたびに倍増）
+     *
+     * @param {string} error - 認識バックエンドのエラーコード
+     * @returns {boolean} サーキットを開いたかどうか
+     */
+    recordFailure(error) {
+        if (!CIRCUIT_BREAKER_ERRORS.includes(error)) {
+            return false;
+        }
+
+        this.consecutiveFailures++;
+
+        if (this.circuitState === 'half-open' || this.consecutiveFailures >= this.constants.CIRCUIT_FAILURE_THRESHOLD) {
+            this.openCircuit();
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * サーキットを開く
+     * 開いている間は再起動せず、開く時間は連続するたびに倍増する
+     * エラー回数の上限到達時にも呼び出される
+     */
+    openCircuit() {
+        const openTime = Math.min(
+            this.constants.CIRCUIT_MAX_OPEN_TIME,
+            this.constants.CIRCUIT_OPEN_TIME * Math.pow(2, this.circuitOpenCount)
+        );
+
+        this.circuitState = 'open';
+        this.circuitOpenCount++;
+        this.circuitOpenUntil = Date.now() + openTime;
+    }
+
+    /**
+     * 再起動待機状態の説明文を取得
+     * 認識ボタンの表示とツールチップに使用
+     *
+     * @param {Object} restartState - 再起動待機状態 { status, retryAt }
+     * @returns {Object} 表示情報 { label, description }
+     */
+    describe(restartState) {
+        const seconds = Math.max(0, Math.ceil((restartState.retryAt - Date.now()) / 1000));
+        const texts = APP_CONFIG.UI_CONFIG.restartStatusTexts[restartState.status] || APP_CONFIG.UI_CONFIG.restartStatusTexts.backoff;
+
+        return {
+            label: `${texts.label}（${seconds}秒）`,
+            description: `${texts.description}（クリックで停止）`
+        };
+    }
+}
+
+// グローバルインスタンス
+window.restartPolicy = new RestartPolicy();
@@ -0,0 +1,126 @@
+/**
+ * 文結合モジュール
+ * Chinese Speech to Text
+ *
+ * Watchdogによる再起動や自動再開でセッションが切り替わると、1つの文が途中で
+ * 分割されて2行として表示・翻訳されることがある
+ * 直前の確定行を断片として保持し、次の確定結果が別セッションから短い間隔で届き、
+ * かつ直前の断片が文として完結していない場合に結合対象として返す
+ *
+ * 【間隔の基準】結果タイムアウトによる再起動は結果が deadTime（5秒）以上途絶えてから
+ * 発生するため、直前の断片の終了時刻から測ると常に MAX_MERGE_GAP を超えてしまう
+ * 認識が止まっている間は話者の間を判定できないため、新しいセッションの開始時刻が
+ * 直前の断片の終了より後の場合は、セッション開始から次の発話開始までの間隔で判定する
+ */
+
+// 文結合設定定数
+const SENTENCE_ASSEMBLY_CONSTANTS = {
+    MAX_MERGE_GAP: 2500,               // 結合する断片間の最大間隔（ミリ秒）
+    MAX_MERGED_LENGTH: 150             // 結合後の最大文字数（これを超える場合は結合しない）
+};
+
+// 文の終わりを示す句読点
+const TERMINAL_PUNCTUATION_PATTERN = /[。？！.?!…]$/;
+
+class SentenceAssembler {
+    constructor() {
+        this.constants = SENTENCE_ASSEMBLY_CONSTANTS;
+
+        // 直前の確定行の断片
+        // { id, text, rawText, sessionId, sessionStartTime, pauseMarks, confidence, speechStartTime, speechEndTime }
+        this.lastFragment = null;
+    }
+
+    /**
+     * 確定行の断片を保持
+     * 次の確定結果の結合判定に使用する
+     *
+     * @param {Object} fragment - 確定行の断片
+     * @param {string} fragment.id - テキスト履歴エントリID
+     * @param {string} fragment.text - 表示中のテキスト（句読点復元後）
+     * @param {string} fragment.rawText - 句読点復元前の認識テキスト
+     * @param {string} fragment.sessionId - 認識セッションID
+     * @param {number|null} fragment.speechEndTime - 発話終了時刻（ミリ秒）
+     */
+    remember(fragment) {
+        this.lastFragment = fragment;
+    }
+
+    /**
+     * 結合対象の断片を検索
+     * 直前の断片が別セッションのもので、間隔が短く、文として完結しておらず、
+     * 表示中の行が変更されていない場合のみ返す
+     *
+     * @param {Object} fragment - 新しい確定結果
+     * @param {string} fragment.rawText - 句読点復元前の認識テキスト
+     * @param {string} fragment.sessionId - 認識セッションID
+     * @param {number|null} fragment.sessionStartTime - 認識セッションの開始時刻（ミリ秒）
+     * @param {number|null} fragment.speechStartTime - 発話開始時刻（ミリ秒）
+     * @returns {Object|null} 結合対象の断片（結合しない場合はnull）
+     */
+    findMergeTarget(fragment) {
+        const previous = this.lastFragment;
+
+        if (!previous || !fragment.sessionId || previous.sessionId === fragment.sessionId) {
+            return null;
+        }
+
+        // 発話時刻が不明な場合は間隔を判定できないため結合しない
+        if (!previous.speechEndTime || !fragment.speechStartTime) {
+            return null;
+        }
+
+        // 再起動で認識が止まっていた時間は間隔に含めない（新しいセッションの開始から測る）
+        const gapStartTime = Math.max(previous.speechEndTime, fragment.sessionStartTime || 0);
+        const gap = fragment.speechStartTime - gapStartTime;
+        if (gap < 0 || gap > this.constants.MAX_MERGE_GAP) {
+            return null;
+        }
+
+        if (this.isSentenceComplete(previous.rawText)) {
+            return null;
+        }
+
+        if (previous.rawText.length + fragment.rawText.length > this.constants.MAX_MERGED_LENGTH) {
+            return null;
+        }
+
+        // 行が削除・差し替えされている場合は結合しない
+        const entry = stateManager.getTextHistoryEntry(previous.id);
+        if (!entry || entry.originalText !== previous.text) {
+            return null;
+        }
+
+        return previous;
+    }
+
+    /**
+     * テキストが文として完結しているか判定
+     * 文末の句読点または文末助詞で終わる場合は完結とみなす
+     *
+     * @param {string} text - 判定対象テキスト（句読点復元前）
+     * @returns {boolean} 完結しているかどうか
+     */
+    isSentenceComplete(text) {
+        if (!text) {
+            return true;
+        }
+
+        if (TERMINAL_PUNCTUATION_PATTERN.test(text)) {
+            return true;
+        }
+
+        return window.punctuationRestorer ? punctuationRestorer.endsWithParticle(text) : false;
+    }
+
+    /**
+     * 保持中の断片をクリア
+     * テキストクリア時などに呼び出される
+     */
+    clear() {
+        this.lastFragment = null;
+    }
+}
+
+// グローバルインスタンス
+window.sentenceAssembler = new SentenceAssembler();
@@ -0,0 +1,354 @@
+/**
+ * セッションスケジューラーモジュール
+ * Chinese Speech to Text
+ *
+ * 配信開始時刻に合わせた音声認識の予約開始と、止め忘れによる自動翻訳の
+ * API使用量の浪費を防ぐための自動停止を管理する
+ * 認識開始からの経過時間、または認識結果が途絶えてからの時間で停止し、
+ * タイマーで停止したセッションの記録をlocalStorageに保存する
+ * また、行の経過時間表示（VODとの照合用）の基準となる配信開始時刻を提供する
+ *
+ * 【注意】lastResultTimeはセッションの自動再開のたびに更新されるため、
+ * 無音の判定には結果受信時のみ更新されるlastRecognizedTimeを使用します
+ *
+ * 【注意】重大なエラーなどで認識が再開待ちにならずに停止した場合も計測を終えます
+ * 再起動やバックエンドの切り替えでも一時的に停止状態になるため、停止が INACTIVE_GRACE 続いた場合のみ終了します
+ */
+
+// スケジューラー設定定数
+const SESSION_SCHEDULER_CONSTANTS = {
+    TICK_INTERVAL: 1000,               // 予約・停止時刻の確認間隔（ミリ秒）
+    MAX_SUMMARY_RECORDS: 50,           // 保存するセッション記録の最大数
+    INACTIVE_GRACE: 3000               // 認識が停止したとみなすまでの時間（ミリ秒、再起動中の一時的な停止を除外）
+};
+
+// 自動停止理由の表示名
+const SESSION_END_REASON_LABELS = {
+    'duration': '設定時間の経過',
+    'silence': '無音の継続'
+};
+
+class SessionScheduler {
+    constructor() {
+        this.constants = SESSION_SCHEDULER_CONSTANTS;
+
+        this.tickTimer = null;             // 確認タイマー
+        this.scheduledStartAt = null;      // 予約開始時刻（ミリ秒、予約なしの場合はnull）
+        this.activeSession = null;         // 計測中のセッション
+        this.clockStartTime = null;        // 最後に認識を開始した時刻（経過時間の基準、停止後も保持）
+        this.inactiveSince = null;         // 認識が再開待ちでなく停止した時刻（動作中はnull）
+    }
+
+    /**
+     * スケジューラーの初期化
+     * 設定の予約開始時刻を反映し、確認タイマーと認識結果の集計、認識の停止の監視を開始
+     */
+    initialize() {
+        this.armScheduledStart();
+
+        // 認識が停止した時刻を記録（計測の終了はtickで判定）
+        $(document).on('state:recognitionStateChanged', (event, state) => {
+            this.inactiveSince = this.isRecognitionStopped(state) ? (this.inactiveSince || Date.now()) : null;
+        });
+
+        // タイマーで停止した際の記録用に行数・文字数を集計
+        $(document).on('textRecognized', (event, data) => {
+            if (this.activeSession && data?.text) {
+                this.activeSession.lineCount++;
+                this.activeSession.charCount += data.text.length;
+            }
+        });
+
+        this.tickTimer = setInterval(() => this.tick(), this.constants.TICK_INTERVAL);
+    }
+
+    /**
+     * 予約開始の設定
+     * 設定の予約開始時刻（HH:MM）の次の到来時刻を予約する
+     * 当日の時刻を過ぎている場合は翌日の同時刻、空欄の場合は予約を解除
+     */
+    armScheduledStart() {
+        this.scheduledStartAt = this.getNextOccurrence(stateManager.getState('config.scheduledStartTime'));
+        this.emitUpdate();
+    }
+
+    /**
+     * 時刻文字列の次の到来時刻を算出
+     * @private
+     *
+     * @param {string} time - 時刻（HH:MM）
+     * @returns {number|null} 到来時刻（ミリ秒）、不正な時刻の場合はnull
+     */
+    getNextOccurrence(time) {
+        const date = this.parseTimeOfDay(time);
+        if (!date) {
+            return null;
+        }
+
+        if (date.getTime() <= Date.now()) {
+            date.setDate(date.getDate() + 1);
+        }
+
+        return date.getTime();
+    }
+
+    /**
+     * 時刻文字列の当日の日時を作成
+     * @private
+     *
+     * @param {string} time - 時刻（HH:MMまたはHH:MM:SS）
+     * @returns {Date|null} 当日の日時、不正な時刻の場合はnull
+     */
+    parseTimeOfDay(time) {
+        const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(time || '');
+        if (!match) {
+            return null;
+        }
+
+        const hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        const seconds = parseInt(match[3] || '0', 10);
+        if (hours > 23 || minutes > 59 || seconds > 59) {
+            return null;
+        }
+
+        const date = new Date();
+        date.setHours(hours, minutes, seconds, 0);
+        return date;
+    }
+
+    /**
+     * 経過時間表示の基準時刻を取得
+     * 設定の配信開始時刻がある場合は現在に最も近い到来時刻（日付をまたぐ配信に対応）、
+     * ない場合は指定された認識開始時刻（省略時は最後に認識を開始した時刻）を基準とする
+     *
+     * @param {number|null} [sessionStartTime] - 行を認識したセッションの開始時刻（ミリ秒）
+     * @returns {number|null} 基準時刻（ミリ秒）、基準がない場合はnull
+     */
+    getClockReference(sessionStartTime = this.clockStartTime) {
+        const date = this.parseTimeOfDay(stateManager.getState('config.streamStartTime'));
+        if (!date) {
+            return sessionStartTime || null;
+        }
+
+        const now = Date.now();
+        const oneDay = 24 * 60 * 60 * 1000;
+        const candidates = [date.getTime() - oneDay, date.getTime(), date.getTime() + oneDay];
+
+        return candidates.reduce((nearest, candidate) =>
+            Math.abs(candidate - now) < Math.abs(nearest - now) ? candidate : nearest
+        );
+    }
+
+    /**
+     * セッション計測の開始
+     * ユーザーまたは予約による認識開始時に呼び出され、自動停止の基準時刻とする
+     * 計測中の場合は何もしない
+     *
+     * @param {boolean} [isScheduled=false] - 予約による開始かどうか
+     */
+    beginSession(isScheduled = false) {
+        if (this.activeSession) {
+            return;
+        }
+
+        const diagnostics = recognitionDiagnostics.getSummary();
+
+        this.clockStartTime = Date.now();
+        // 開始直後は認識の開始イベント前のため、開始に失敗した場合も停止として扱う
+        this.inactiveSince = this.isRecognitionStopped(stateManager.state.recognition) ? this.clockStartTime : null;
+        this.activeSession = {
+            startTime: this.clockStartTime,
+            isScheduled: isScheduled,
+            lineCount: 0,
+            charCount: 0,
+            restartCountAtStart: diagnostics.restartCount,
+            errorCountAtStart: diagnostics.errorCount
+        };
+
+        this.emitUpdate();
+    }
+
+    /**
+     * セッション計測の終了
+     * 手動停止時と、認識が自動再開されずに停止した場合に呼び出され、記録を保存せずに計測を終える
+     */
+    endSession() {
+        if (!this.activeSession) {
+            return;
+        }
+
+        this.activeSession = null;
+        this.emitUpdate();
+    }
+
+    /**
+     * 予約開始・自動停止の確認
+     * @private
+     */
+    tick() {
+        try {
+            const now = Date.now();
+
+            // 予約時刻の到来（1回限り、設定の保存または再読み込みで再設定）
+            if (this.scheduledStartAt && now >= this.scheduledStartAt) {
+                this.scheduledStartAt = null;
+                if (!this.activeSession) {
+                    $(document).trigger('scheduledSessionStart');
+                }
+            }
+
+            // 認識が自動再開されずに停止した場合は記録を保存せずに計測を終える
+            if (this.activeSession && this.inactiveSince && now - this.inactiveSince >= this.constants.INACTIVE_GRACE) {
+                this.endSession();
+                return;
+            }
+
+            if (this.activeSession) {
+                const expiry = this.getExpiry(now);
+                if (expiry && expiry.remaining <= 0) {
+                    this.finishSession(expiry.type);
+                    return;
+                }
+            }
+
+            this.emitUpdate();
+
+        } catch (error) {
+        }
+    }
+
+    /**
+     * 認識が停止しているか判定
+     * 自動再開の待機中（バックオフ・サーキットオープンなど）は停止とみなさない
+     * @private
+     *
+     * @param {Object} state - 認識状態
+     * @returns {boolean} 停止しているかどうか
+     */
+    isRecognitionStopped(state) {
+        return !state?.isActive && !state?.restartState;
+    }
+
+    /**
+     * 最も早い自動停止の取得
+     * @private
+     *
+     * @param {number} now - 現在時刻（ミリ秒）
+     * @returns {Object|null} 自動停止 { type, remaining }（typeはstop / silence）、無効の場合はnull
+     */
+    getExpiry(now) {
+        const session = this.activeSession;
+        const stopMinutes = stateManager.getState('config.autoStopAfterMinutes') || 0;
+        const silenceMinutes = stateManager.getState('config.silenceStopAfterMinutes') || 0;
+        const candidates = [];
+
+        if (stopMinutes > 0) {
+            candidates.push({
+                type: 'stop',
+                remaining: session.startTime + stopMinutes * 60000 - now
+            });
+        }
+
+        if (silenceMinutes > 0) {
+            const lastRecognizedTime = window.speechRecognitionManager?.lastRecognizedTime || 0;
+            candidates.push({
+                type: 'silence',
+                remaining: Math.max(session.startTime, lastRecognizedTime) + silenceMinutes * 60000 - now
+            });
+        }
+
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        return candidates.reduce((nearest, candidate) => candidate.remaining < nearest.remaining ? candidate : nearest);
+    }
+
+    /**
+     * ヘッダーに表示するカウントダウンの取得
+     * 計測中は自動停止まで、それ以外は予約開始までの残り時間を返す
+     *
+     * @returns {Object|null} カウントダウン { type, remaining, at }（typeはstart / stop / silence）、表示しない場合はnull
+     */
+    getCountdown() {
+        const now = Date.now();
+
+        if (this.activeSession) {
+            const expiry = this.getExpiry(now);
+            return expiry ? { ...expiry, remaining: Math.max(0, expiry.remaining), at: now + Math.max(0, expiry.remaining) } : null;
+        }
+
+        if (this.scheduledStartAt) {
+            return { type: 'start', remaining: Math.max(0, this.scheduledStartAt - now), at: this.scheduledStartAt };
+        }
+
+        return null;
+    }
+
+    /**
+     * タイマーによるセッション終了
+     * セッション記録を保存し、認識停止のためのイベントを発行
+     * @private
+     *
+     * @param {string} type - 自動停止の種類（stop / silence）
+     */
+    finishSession(type) {
+        const session = this.activeSession;
+        const endTime = Date.now();
+        const diagnostics = recognitionDiagnostics.getSummary();
+
+        this.activeSession = null;
+
+        const summary = {
+            id: Utils.generateId('session_summary'),
+            startTime: session.startTime,
+            endTime: endTime,
+            duration: endTime - session.startTime,
+            reason: type === 'silence' ? 'silence' : 'duration',
+            isScheduled: session.isScheduled,
+            language: stateManager.getState('config.language'),
+            lineCount: session.lineCount,
+            charCount: session.charCount,
+            // 診断記録がリセットされた場合は負にならないよう補正
+            restartCount: Math.max(0, diagnostics.restartCount - session.restartCountAtStart),
+            errorCount: Math.max(0, diagnostics.errorCount - session.errorCountAtStart)
+        };
+
+        stateManager.saveSessionSummary(summary, this.constants.MAX_SUMMARY_RECORDS);
+
+        $(document).trigger('scheduledSessionEnd', summary);
+        this.emitUpdate();
+    }
+
+    /**
+     * 自動停止理由の表示名を取得
+     *
+     * @param {string} reason - 停止理由（duration / silence）
+     * @returns {string} 表示名
+     */
+    getReasonLabel(reason) {
+        return SESSION_END_REASON_LABELS[reason] || reason;
+    }
+
+    /**
+     * カウントダウン更新の通知
+     * @private
+     */
+    emitUpdate() {
+        $(document).trigger('sessionScheduleUpdated', [this.getCountdown()]);
+    }
+
+    /**
+     * スケジューラーの破棄
+     */
+    destroy() {
+        if (this.tickTimer) {
+            clearInterval(this.tickTimer);
+            this.tickTimer = null;
+        }
+    }
+}
+
+// グローバルインスタンス
+window.sessionScheduler = new SessionScheduler();
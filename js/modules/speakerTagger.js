@@ -0,0 +1,170 @@
+/**
+ * 話者タグ付けモジュール
+ * Chinese Speech to Text
+ *
+ * コラボ配信など複数人が話す配信で、どの発言が誰のものか分かるよう
+ * 確定した認識結果の行に手動で話者ラベルを付ける
+ * ホットキーなどで選択した「現在の話者」が以降の行に付き、行ごとに後から付け替えることもできる
+ * 話者の名前と口調は翻訳プロンプトに渡され、話者ごとに訳文の口調を変えられる
+ *
+ * 【注意】話者一覧は設定で1行に1人、「名前,色,口調」の形式で指定します
+ * 色と口調は省略でき、色を省略した話者には既定の色を順に割り当てます
+ */
+
+// 話者タグ付け設定定数
+const SPEAKER_TAGGER_CONSTANTS = {
+    MAX_SPEAKERS: 9,                   // ホットキー（Alt+1〜9）で選択できる話者数
+    DEFAULT_COLORS: [                  // 色を省略した話者に順に割り当てる色
+        '#e8590c', '#1c7ed6', '#2f9e44', '#ae3ec9', '#f59f00',
+        '#0c8599', '#e64980', '#5c940d', '#7048e8'
+    ],
+    UNKNOWN_COLOR: '#868e96'           // 話者一覧にない話者の色
+};
+
+class SpeakerTagger {
+    constructor() {
+        this.constants = SPEAKER_TAGGER_CONSTANTS;
+
+        this.currentSpeakerName = null;    // 以降の行に付ける話者の名前（null=話者なし）
+        this.cachedSource = null;          // 解析済みの話者一覧の元テキスト
+        this.cachedSpeakers = [];          // 解析済みの話者一覧
+    }
+
+    /**
+     * 話者一覧の解析
+     * 名前が重複する行と上限を超える行は無視する
+     *
+     * @param {string} source - 話者一覧（1行に1人、「名前,色,口調」）
+     * @returns {Array<Object>} 話者（{ name, color, style }）の配列
+     */
+    parseSpeakerList(source) {
+        const speakers = [];
+
+        (source || '').split('\n').forEach(line => {
+            const [name = '', color = '', ...styleParts] = line.split(',').map(part => part.trim());
+            if (!name || speakers.length >= this.constants.MAX_SPEAKERS || speakers.some(speaker => speaker.name === name)) {
+                return;
+            }
+
+            speakers.push({
+                name: name,
+                color: this.isValidColor(color)
+                    ? color
+                    : this.constants.DEFAULT_COLORS[speakers.length % this.constants.DEFAULT_COLORS.length],
+                style: styleParts.join(',').trim()
+            });
+        });
+
+        return speakers;
+    }
+
+    /**
+     * 色の指定として使用できるか判定
+     * @private
+     *
+     * @param {string} color - 色の指定（#rgb、#rrggbb、CSSの色名）
+     * @returns {boolean} 使用できるかどうか
+     */
+    isValidColor(color) {
+        return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color) || /^[a-z]+$/i.test(color);
+    }
+
+    /**
+     * 現在の設定の話者一覧を取得
+     * 話者一覧が変更された場合のみ再解析する
+     *
+     * @returns {Array<Object>} 話者（{ name, color, style }）の配列
+     */
+    getSpeakers() {
+        const source = stateManager.getState('config.speakerList') || '';
+        if (source !== this.cachedSource) {
+            this.cachedSpeakers = this.parseSpeakerList(source);
+            this.cachedSource = source;
+        }
+        return this.cachedSpeakers;
+    }
+
+    /**
+     * 名前による話者の検索
+     *
+     * @param {string|null} name - 話者の名前
+     * @returns {Object|null} 話者（話者一覧にない場合はnull）
+     */
+    findSpeaker(name) {
+        if (!name) {
+            return null;
+        }
+        return this.getSpeakers().find(speaker => speaker.name === name) || null;
+    }
+
+    /**
+     * 話者の表示色を取得
+     *
+     * @param {string} name - 話者の名前
+     * @returns {string} 色（話者一覧から削除された話者は灰色）
+     */
+    getColor(name) {
+        return this.findSpeaker(name)?.color || this.constants.UNKNOWN_COLOR;
+    }
+
+    /**
+     * 現在の話者を取得
+     * 話者一覧から削除された話者は話者なしとして扱う
+     *
+     * @returns {Object|null} 話者（話者なしの場合はnull）
+     */
+    getCurrentSpeaker() {
+        return this.findSpeaker(this.currentSpeakerName);
+    }
+
+    /**
+     * 現在の話者の切り替え
+     * 以降に確定した行に付く話者を変更する（表示済みの行は変更しない）
+     *
+     * @param {number|null} index - 話者一覧のインデックス（nullの場合は話者なし）
+     * @returns {Object|null} 切り替え後の話者（存在しないインデックスの場合は変更せずnull）
+     */
+    setCurrentSpeaker(index) {
+        const speaker = index === null ? null : this.getSpeakers()[index];
+        if (index !== null && !speaker) {
+            return null;
+        }
+
+        this.currentSpeakerName = speaker ? speaker.name : null;
+        $(document).trigger('currentSpeakerChanged', [speaker]);
+
+        return speaker;
+    }
+
+    /**
+     * 行の話者の付け替え
+     * テキスト履歴のエントリを更新し、表示の更新を通知する
+     *
+     * @param {string} id - テキスト履歴エントリID
+     * @param {string|null} name - 話者の名前（nullの場合は話者なし）
+     * @returns {Object|null} 更新後のエントリ（存在しない場合はnull）
+     */
+    relabel(id, name) {
+        const entry = stateManager.updateTextHistory(id, { speaker: name || null });
+        if (entry) {
+            $(document).trigger('speakerRelabeled', [{ id: id, speaker: entry.speaker }]);
+        }
+        return entry;
+    }
+
+    /**
+     * 翻訳プロンプトに渡す話者情報を取得
+     *
+     * @param {string|null} name - 話者の名前
+     * @returns {Object|null} 話者情報 { name, style }（話者なしの場合はnull）
+     */
+    getPromptSpeaker(name) {
+        if (!name) {
+            return null;
+        }
+        return { name: name, style: this.findSpeaker(name)?.style || '' };
+    }
+}
+
+// グローバルインスタンス
+window.speakerTagger = new SpeakerTagger();
@@ -6,7 +6,7 @@
  * 自動再起動、エラー処理、ピンイン変換機能を含む
  * 
  * 機能概要:
- * - Web Speech APIを使用した中国語音声認識
+ * - Web Speech APIまたはローカル認識サーバー（recognitionBackends.js）を使用した中国語音声認識
  * - セッション管理による安定した認識処理
  * - Watchdog機能による自動再起動
  * - エラーハンドリングと自動復旧
@@ -18,14 +18,16 @@
 const RECOGNITION_CONSTANTS = {
     MAX_SESSION_TIMEOUT: 30000,        // セッションタイムアウト（30秒）
     RESTART_COOLDOWN: 500,             // 再起動時の待機時間（ミリ秒）
+    RESTART_NOTICE_THRESHOLD: 1000,    // 再起動待機をボタンに表示する最小待機時間（ミリ秒）
     ERROR_THRESHOLD: 5,                // エラー回数の閾値
     RESULT_BUFFER_SIZE: 100            // 結果バッファサイズ
 };
 
 class SpeechRecognitionManager {
     constructor() {
-        // Web Speech API認識インスタンス
+        // 認識バックエンドインスタンス（Web Speech APIまたは互換バックエンド）
         this.recognition = null;
+        this.backendType = null;          // 使用中のバックエンド種別
         
         // 認識状態管理
         this.isRecognizing = false;       // 現在認識中かどうか
@@ -34,20 +36,34 @@ class SpeechRecognitionManager {
         // Watchdog機能（認識停止検知・自動再起動）
         this.watchdogTimer = null;        // Watchdogタイマー
         this.lastResultTime = 0;          // 最後に結果を受信した時刻
+        this.lastRecognizedTime = 0;      // 最後に結果を受信した時刻（セッション開始では更新しない、無音停止の判定用）
         this.sessionStartTime = 0;        // セッション開始時刻
         
+        // 発話区間の追跡（行ごとの発話開始・終了時刻）
+        this.utteranceStartTime = null;   // 確定待ちの発話の開始時刻
+        
+        // ポーズ検出（句読点復元用）
+        this.pauseMarks = [];             // 確定待ちの発話中に検出したポーズ
+        this.lastGrowthText = '';         // 最後に伸長した発話テキスト
+        this.lastGrowthTime = 0;          // 最後に発話テキストが伸長した時刻
+        
         // エラー管理
         this.errorCount = 0;              // 連続エラー回数
+        this.lastErrorCode = null;        // セッション中の最後のエラーコード（終了理由の記録用）
         
         // 外部連携
         this.pinyinConverter = null;      // ピンイン変換器インスタンス
         
         // 重複防止
-        this.processedTexts = new Set();  // 処理済みテキストの追跡
+        this.recentFinalTexts = [];       // 直近の確定テキスト（{ text, time }、新しい順）
+        this.suppressedDuplicateCount = 0; // 重複として破棄した結果の件数
         
         // 手動停止フラグ
         this.manualStop = false;          // 手動停止時の自動再開防止
         
+        // 自動再開の予約（restartPolicy.jsの判定に基づく）
+        this.restartTimer = null;         // 自動再開タイマー
+        
         // 設定の読み込み
         this.config = APP_CONFIG.SPEECH_CONFIG;
         
@@ -57,7 +73,7 @@ class SpeechRecognitionManager {
 
     /**
      * 音声認識の初期化
-     * Web Speech APIの利用可能性を確認し、認識インスタンスを作成
+     * 設定で選択された認識バックエンドの利用可能性を確認し、認識インスタンスを作成
      * ブラウザ対応チェックと基本設定を実行
      * 
      * @returns {boolean} 初期化成功可否
@@ -65,14 +81,18 @@ class SpeechRecognitionManager {
     initializeRecognition() {
         try {
             // ブラウザ対応確認
-            const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+            const backendType = RecognitionBackendFactory.resolveType(stateManager.getState('config.recognitionBackend'));
             
-            if (!SpeechRecognition) {
+            if (!RecognitionBackendFactory.isSupported(backendType)) {
                 stateManager.setError('SPEECH_RECOGNITION', 'NOT_SUPPORTED');
                 return false;
             }
 
-            this.recognition = new SpeechRecognition();
+            this.recognition = RecognitionBackendFactory.create(backendType, {
+                serverUrl: stateManager.getState('config.recognitionServerUrl'),
+                deviceId: stateManager.getState('config.audioInputDeviceId')
+            });
+            this.backendType = backendType;
             this.setupRecognitionConfig();
             this.setupEventHandlers();
             
@@ -94,7 +114,7 @@ class SpeechRecognitionManager {
 
         this.recognition.continuous = this.config.continuous;
         this.recognition.interimResults = this.config.interimResults;
-        this.recognition.maxAlternatives = this.config.maxAlternatives;
+        this.recognition.maxAlternatives = stateManager.getState('config.maxAlternatives') || this.config.maxAlternatives;
         
         // 言語設定
         const language = stateManager.getState('config.language') || 'zh-CN';
@@ -109,6 +129,9 @@ class SpeechRecognitionManager {
     setupEventHandlers() {
         if (!this.recognition) return;
 
+        // このインスタンスで実行中のセッションID（診断記録で再初期化前の終了イベントを区別）
+        let instanceSessionId = null;
+
         // 音声認識開始イベント
         // セッションIDを生成し、状態管理とWatchdogを開始
         this.recognition.onstart = () => {
@@ -117,6 +140,10 @@ class SpeechRecognitionManager {
             this.lastResultTime = Date.now();
             this.sessionStartTime = Date.now();
             this.errorCount = 0;
+            this.lastErrorCode = null;
+            instanceSessionId = this.sessionId;
+            
+            recognitionDiagnostics.recordSessionStart(this.sessionId, this.backendType);
             
             stateManager.updateRecognitionState({
                 isActive: true,
@@ -131,24 +158,27 @@ class SpeechRecognitionManager {
         // 音声認識終了イベント
         this.recognition.onend = () => {
             this.isRecognizing = false;
+            this.utteranceStartTime = null;
+            
+            // 終了理由を診断に記録（エラー > 手動停止 > 自然終了の順で判定）
+            const endReason = this.lastErrorCode
+                ? `error:${this.lastErrorCode}`
+                : (this.manualStop ? 'manual' : 'onend');
+            recognitionDiagnostics.recordSessionEnd(endReason, instanceSessionId);
+            
+            // セッション終了時は音声検出状態を解除
+            stateManager.updateRecognitionState({
+                isHearingSound: false,
+                isSpeaking: false
+            });
 
             // Watchdogを停止
             this.stopWatchdog();
 
-            // 手動停止でない場合は即座に再開
+            // 手動停止でない場合は再起動ポリシーに従って再開
             if (!this.manualStop) {
-                // 状態は維持したまま再開（テキストをクリアしない）
-                stateManager.updateRecognitionState({
-                    isActive: true,
-                    isListening: false
-                });
-
-                setTimeout(() => {
-                    // 重複開始を防ぐため状態チェック
-                    if (!this.isRecognizing) {
-                        this.start();
-                    }
-                }, this.config.restartDelay);
+                restartPolicy.recordSessionEnd(Date.now() - this.sessionStartTime);
+                this.scheduleRestart();
             } else {
                 // 手動停止の場合のみ完全リセット
                 this.resetInternalState();
@@ -179,27 +209,41 @@ class SpeechRecognitionManager {
         };
 
         // 音声入力開始イベント
-        // マイクロフォンから音声の検出開始
+        // マイクロフォンから音声の検出開始（無音と認識停止の区別に使用）
         this.recognition.onsoundstart = () => {
-            // 現在は特別な処理なし（将来的にUI状態更新など）
+            stateManager.updateRecognitionState({
+                isHearingSound: true
+            });
         };
 
         // 音声入力終了イベント
         // マイクロフォンからの音声検出終了
         this.recognition.onsoundend = () => {
-            // 現在は特別な処理なし（将来的にUI状態更新など）
+            stateManager.updateRecognitionState({
+                isHearingSound: false,
+                isSpeaking: false
+            });
         };
 
         // 発話開始イベント
-        // 認識可能な音声の開始検出
+        // 認識可能な音声の開始検出、確定待ちの発話の開始時刻として記録
         this.recognition.onspeechstart = () => {
-            // 現在は特別な処理なし（将来的にリアルタイム状態表示など）
+            const now = Date.now();
+            this.utteranceStartTime = now;
+            
+            stateManager.updateRecognitionState({
+                isSpeaking: true,
+                lastSpeechStartTime: now
+            });
         };
 
         // 発話終了イベント
         // 認識可能な音声の終了検出
         this.recognition.onspeechend = () => {
-            // 現在は特別な処理なし（将来的にリアルタイム状態表示など）
+            stateManager.updateRecognitionState({
+                isSpeaking: false,
+                lastSpeechEndTime: Date.now()
+            });
         };
     }
 
@@ -215,9 +259,17 @@ class SpeechRecognitionManager {
         try {
             const currentSessionId = this.sessionId;
             this.lastResultTime = Date.now();
+            this.lastRecognizedTime = this.lastResultTime;
+            
+            // 連続認識では発話開始イベントがセッション初回のみのため、
+            // 確定後の最初の結果受信を次の発話の開始とみなす
+            if (!this.utteranceStartTime) {
+                this.utteranceStartTime = this.lastResultTime;
+            }
             
             let interimTranscript = '';
             let finalTranscript = '';
+            const finalResults = [];
             
             // 結果を処理
             for (let i = event.resultIndex; i < event.results.length; i++) {
@@ -226,6 +278,7 @@ class SpeechRecognitionManager {
                 
                 if (result.isFinal) {
                     finalTranscript += transcript;
+                    finalResults.push(result);
                 } else {
                     interimTranscript += transcript;
                 }
@@ -236,6 +289,9 @@ class SpeechRecognitionManager {
                 return;
             }
             
+            recognitionDiagnostics.recordResult(!!finalTranscript);
+            restartPolicy.recordSuccess();
+            
             // 状態更新
             if (interimTranscript) {
                 stateManager.updateRecognitionState({
@@ -249,67 +305,644 @@ class SpeechRecognitionManager {
                 });
             }
             
+            // 発話テキストの伸長間隔からポーズを検出
+            this.trackPauses(finalTranscript + interimTranscript, this.lastResultTime);
+            
             if (finalTranscript) {
-                this.processFinalResult(finalTranscript);
+                const speechStartTime = this.utteranceStartTime;
+                const pauseMarks = this.pauseMarks;
+                this.utteranceStartTime = null;
+                this.resetPauseTracking(interimTranscript);
+                
+                this.processFinalResult(finalTranscript, {
+                    sessionId: currentSessionId,
+                    sessionStartTime: this.sessionStartTime,
+                    alternatives: this.collectAlternatives(finalResults),
+                    confidence: this.calculateConfidence(finalResults),
+                    speechStartTime: speechStartTime,
+                    speechEndTime: this.lastResultTime,
+                    pauseMarks: pauseMarks
+                });
             }
             
         } catch (error) {
         }
     }
 
+    /**
+     * 発話中のポーズ検出
+     * 中間結果のテキストが伸長するまでの間隔が読点の閾値以上の場合、
+     * 伸長前のテキストをポーズ位置として記録する
+     * @private
+     * 
+     * @param {string} utteranceText - 確定待ちの発話テキスト（確定分と中間分の連結）
+     * @param {number} now - 結果受信時刻（ミリ秒）
+     */
+    trackPauses(utteranceText, now) {
+        const text = Utils.trimText(utteranceText);
+        
+        if (text.length <= this.lastGrowthText.length) {
+            // 伸長しない更新（認識の修正）はテキストのみ追従
+            if (text) {
+                this.lastGrowthText = text;
+            }
+            return;
+        }
+        
+        const gap = now - this.lastGrowthTime;
+        if (this.lastGrowthText && text.startsWith(this.lastGrowthText) && gap >= punctuationRestorer.constants.SHORT_PAUSE) {
+            this.pauseMarks.push({
+                prefix: this.lastGrowthText,
+                duration: gap
+            });
+        }
+        
+        this.lastGrowthText = text;
+        this.lastGrowthTime = now;
+    }
+
+    /**
+     * ポーズ検出状態のリセット
+     * 結果確定後、同じイベント内で始まった次の発話の中間結果を起点にする
+     * @private
+     * 
+     * @param {string} [nextText=''] - 次の発話の中間結果
+     */
+    resetPauseTracking(nextText = '') {
+        this.pauseMarks = [];
+        this.lastGrowthText = Utils.trimText(nextText);
+        this.lastGrowthTime = this.lastResultTime;
+    }
+
+    /**
+     * 句読点の復元
+     * 設定で有効かつ中国語の場合のみ、検出したポーズと文末助詞から句読点を挿入
+     * @private
+     * 
+     * @param {string} text - 確定テキスト
+     * @param {Array<Object>} [pauseMarks=[]] - 検出したポーズ（{ prefix, duration }）の配列
+     * @returns {string} 句読点を挿入したテキスト（無効時は元のテキスト）
+     */
+    restorePunctuation(text, pauseMarks = []) {
+        if (!window.punctuationRestorer ||
+            !stateManager.getState('config.punctuationRestoration') ||
+            !punctuationRestorer.isSupportedLanguage(stateManager.getState('config.language'))) {
+            return text;
+        }
+        
+        // ポーズ位置を確定テキスト上の文字位置に変換（修正で一致しなくなったポーズは除外）
+        const pauses = pauseMarks
+            .filter(mark => text.startsWith(mark.prefix))
+            .map(mark => ({ position: mark.prefix.length, duration: mark.duration }));
+        
+        return punctuationRestorer.restore(text, { pauses });
+    }
+
+    /**
+     * 最終結果の認識候補を収集
+     * 1イベントに複数の最終結果が含まれる場合は候補順位ごとに連結し、
+     * 順位の足りない結果は第1候補で補完する
+     * 
+     * @param {Array<SpeechRecognitionResult>} finalResults - 最終結果の配列
+     * @returns {Array<Object>} 認識候補（{ transcript, confidence }）の配列（第1候補が先頭）
+     */
+    collectAlternatives(finalResults) {
+        const maxCount = Math.max(0, ...finalResults.map(result => result.length));
+        const alternatives = [];
+        
+        for (let rank = 0; rank < maxCount; rank++) {
+            let transcript = '';
+            let confidenceSum = 0;
+            
+            finalResults.forEach(result => {
+                const alternative = result[rank] || result[0];
+                transcript += alternative.transcript;
+                confidenceSum += alternative.confidence || 0;
+            });
+            
+            const trimmedTranscript = Utils.trimText(transcript);
+            if (!trimmedTranscript || alternatives.some(alt => alt.transcript === trimmedTranscript)) {
+                continue;
+            }
+            
+            alternatives.push({
+                transcript: trimmedTranscript,
+                confidence: finalResults.length > 0 ? confidenceSum / finalResults.length : 0
+            });
+        }
+        
+        return alternatives;
+    }
+
+    /**
+     * 最終結果の信頼度を算出
+     * 第1候補の信頼度を平均し、信頼度が提供されない場合（0）はnullとする
+     * Web Speech APIは信頼度を取得できない場合に0を返すため、0は「不明」として扱う
+     * 
+     * @param {Array<SpeechRecognitionResult>} finalResults - 最終結果の配列
+     * @returns {number|null} 0〜1の信頼度、または不明時はnull
+     */
+    calculateConfidence(finalResults) {
+        const confidences = finalResults
+            .map(result => result[0]?.confidence)
+            .filter(confidence => typeof confidence === 'number' && confidence > 0);
+        
+        if (confidences.length === 0) {
+            return null;
+        }
+        
+        return confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length;
+    }
+
     /**
      * 最終認識結果の処理とピンイン変換
      * 確定したテキストをクリーニングし、ピンイン変換を実行
      * テキスト履歴への追加とUI更新イベントを発火
      * 
      * @param {string} text - 認識された最終テキスト
+     * @param {Object} [details={}] - 認識結果の付加情報
+     * @param {string} [details.sessionId] - 結果を受信した認識セッションID
+     * @param {number} [details.sessionStartTime] - 結果を受信した認識セッションの開始時刻（ミリ秒）
+     * @param {Array<Object>} [details.alternatives] - 認識候補（{ transcript, confidence }）の配列
+     * @param {number|null} [details.confidence] - 信頼度（0〜1、不明時はnull）
+     * @param {number|null} [details.speechStartTime] - 発話開始時刻（ミリ秒）
+     * @param {number|null} [details.speechEndTime] - 発話終了時刻（ミリ秒）
+     * @param {Array<Object>} [details.pauseMarks] - 発話中に検出したポーズ（句読点復元用）
      * @returns {Promise<void>}
      */
-    async processFinalResult(text) {
+    async processFinalResult(text, details = {}) {
         try {
             let trimmedText = Utils.trimText(text);
             if (!trimmedText) return;
             
-            // 重複処理チェック：同じテキストを短時間で複数回処理しない
-            if (this.processedTexts.has(trimmedText)) {
+            // 重複処理チェック：再起動後に再送された同じ文（一部違い・部分文字列）を処理しない
+            if (this.isDuplicateText(trimmedText)) {
+                this.suppressedDuplicateCount++;
                 return;
             }
             
-            // 処理済みテキストに追加（設定時間後に自動削除）
-            this.processedTexts.add(trimmedText);
-            setTimeout(() => {
-                this.processedTexts.delete(trimmedText);
-            }, this.config.duplicateCheckTimeout);
+            this.rememberFinalText(trimmedText);
             
-            // ピンイン変換
-            let rubyText = trimmedText;
-            if (this.pinyinConverter) {
-                try {
-                    rubyText = await this.pinyinConverter.convertToRuby(trimmedText);
-                } catch (error) {
-                }
+            const rawText = trimmedText;
+            const fragment = {
+                rawText: rawText,
+                sessionId: details.sessionId || null,
+                sessionStartTime: details.sessionStartTime ?? null,
+                pauseMarks: details.pauseMarks || [],
+                confidence: details.confidence ?? null,
+                speechStartTime: details.speechStartTime ?? null,
+                speechEndTime: details.speechEndTime ?? null
+            };
+            
+            // セッション切り替えで分割された文は直前の行に結合
+            const mergeTarget = this.findMergeTarget(fragment);
+            if (mergeTarget) {
+                await this.mergeIntoLine(mergeTarget, fragment, details.alternatives);
+                return;
             }
             
+            // 句読点復元（ピンイン変換・履歴保存の前に適用）
+            trimmedText = this.restorePunctuation(rawText, fragment.pauseMarks);
+            
+            // 置換辞書による誤認識の修正（句読点を含めたテキストに適用）
+            trimmedText = Utils.trimText(this.applyReplacements(trimmedText));
+            if (!trimmedText) return;
+            
+            // 登録語彙と発音が近い区間の自動修正・修正候補の検出
+            const biased = this.applyVocabularyBias(trimmedText);
+            trimmedText = biased.text;
+            
+            // ピンイン変換（修正候補の区間は下線付きで表示）
+            const rubyText = await this.convertToRuby(trimmedText, biased.suggestions);
+            
+            // 認識候補（候補がない場合は確定テキストのみ）
+            const confidence = fragment.confidence;
+            const alternatives = this.buildAlternatives(details.alternatives, rawText, trimmedText, confidence);
+            
             // テキスト履歴に追加
-            stateManager.addTextHistory({
+            const entry = stateManager.addTextHistory({
                 originalText: trimmedText,
                 rubyText: rubyText,
-                language: stateManager.getState('config.language')
+                language: stateManager.getState('config.language'),
+                confidence: confidence,
+                alternatives: alternatives,
+                selectedAlternative: 0,
+                vocabularySuggestions: biased.suggestions,
+                speaker: window.speakerTagger?.getCurrentSpeaker()?.name || null,
+                translation: null,
+                speechStartTime: fragment.speechStartTime,
+                speechEndTime: fragment.speechEndTime
             });
             
+            // 次の確定結果との結合判定用に断片を保持
+            if (window.sentenceAssembler) {
+                sentenceAssembler.remember({
+                    ...fragment,
+                    id: entry.id,
+                    text: trimmedText
+                });
+            }
+            
             // 状態更新
             stateManager.updateRecognitionState({
                 finalText: trimmedText,
                 currentText: trimmedText
             });
             
+            // キーワード監視（表示時に強調できるよう通知前に照合）
+            this.checkKeywords(entry.id, trimmedText);
+            
             // UIに表示を通知
             $(document).trigger('textRecognized', {
+                id: entry.id,
+                text: trimmedText,
+                rubyText: rubyText,
+                confidence: confidence,
+                alternatives: alternatives,
+                selectedAlternative: 0,
+                speaker: entry.speaker,
+                speechStartTime: entry.speechStartTime,
+                speechEndTime: entry.speechEndTime
+            });
+            
+        } catch (error) {
+        }
+    }
+
+    /**
+     * 重複判定用のテキスト正規化
+     * 句読点と空白を除去して比較する
+     * @private
+     * 
+     * @param {string} text - 正規化対象テキスト
+     * @returns {string} 正規化済みテキスト
+     */
+    normalizeForDuplicateCheck(text) {
+        return text.replace(/[\s\u3000，。？！、；：,.?!;:…～~]/g, '');
+    }
+
+    /**
+     * 直近の確定行との重複判定
+     * 設定の秒数以内に確定した直近N行と比較し、類似度が閾値以上の場合、
+     * または直近の行の一部（前方・後方・部分一致）にすぎない場合は重複とみなす
+     * 
+     * @param {string} text - 判定対象の確定テキスト
+     * @returns {boolean} 重複かどうか
+     */
+    isDuplicateText(text) {
+        const normalized = this.normalizeForDuplicateCheck(text);
+        const windowMs = (stateManager.getState('config.duplicateCheckSeconds') ?? APP_CONFIG.DEFAULT_SETTINGS.duplicateCheckSeconds) * 1000;
+        if (!normalized || windowMs <= 0) {
+            return false;
+        }
+        
+        const threshold = stateManager.getState('config.duplicateSimilarityThreshold') || APP_CONFIG.DEFAULT_SETTINGS.duplicateSimilarityThreshold;
+        const now = Date.now();
+        
+        return this.recentFinalTexts.some(recent => {
+            if (now - recent.time > windowMs) {
+                return false;
+            }
+            
+            if (recent.text === normalized) {
+                return true;
+            }
+            
+            if (normalized.length >= this.config.duplicateMinContainedLength && recent.text.includes(normalized)) {
+                return true;
+            }
+            
+            return Utils.calculateSimilarity(recent.text, normalized) >= threshold;
+        });
+    }
+
+    /**
+     * 確定テキストを重複判定用に記録
+     * 直近N行のみ保持し、古いものから破棄する
+     * @private
+     * 
+     * @param {string} text - 確定テキスト
+     */
+    rememberFinalText(text) {
+        this.recentFinalTexts.unshift({
+            text: this.normalizeForDuplicateCheck(text),
+            time: Date.now()
+        });
+        
+        if (this.recentFinalTexts.length > this.config.duplicateCheckLines) {
+            this.recentFinalTexts.length = this.config.duplicateCheckLines;
+        }
+    }
+
+    /**
+     * 重複判定用の直近の確定テキストと破棄件数のクリア
+     * シナリオ再生の開始時など、直前の結果を重複判定の対象外にする場合に呼び出される
+     */
+    clearRecentResults() {
+        this.recentFinalTexts = [];
+        this.suppressedDuplicateCount = 0;
+    }
+
+    /**
+     * 句読点復元後の認識候補を生成
+     * 第1候補は確定テキストと同じポーズ情報で、その他の候補は文末助詞のみで句読点を復元
+     * その他の候補にも置換辞書を適用する（適用回数は記録しない）
+     * 候補がない場合は確定テキストのみを候補とする
+     * @private
+     * 
+     * @param {Array<Object>|undefined} rawAlternatives - 句読点復元前の認識候補
+     * @param {string} rawText - 句読点復元前の確定テキスト
+     * @param {string} text - 句読点復元・置換辞書適用後の確定テキスト
+     * @param {number|null} confidence - 確定テキストの信頼度
+     * @param {string} [prefix=''] - 各候補の前に連結するテキスト（文結合時の前半部分）
+     * @returns {Array<Object>} 認識候補（{ transcript, confidence }）の配列
+     */
+    buildAlternatives(rawAlternatives, rawText, text, confidence, prefix = '') {
+        if (!rawAlternatives?.length) {
+            return [{ transcript: text, confidence: confidence || 0 }];
+        }
+        
+        return rawAlternatives.map(alt => ({
+            ...alt,
+            transcript: prefix + alt.transcript === rawText
+                ? text
+                : this.applyReplacements(this.restorePunctuation(prefix + alt.transcript), { recordHits: false })
+        }));
+    }
+
+    /**
+     * 文結合の対象行を検索
+     * 文結合が有効な場合のみ、直前の行が同じ文の前半とみなせるか判定
+     * @private
+     * 
+     * @param {Object} fragment - 新しい確定結果の断片
+     * @returns {Object|null} 結合対象の断片（結合しない場合はnull）
+     */
+    findMergeTarget(fragment) {
+        if (!window.sentenceAssembler || !stateManager.getState('config.sentenceStitching')) {
+            return null;
+        }
+        
+        return sentenceAssembler.findMergeTarget(fragment);
+    }
+
+    /**
+     * 確定結果を直前の行に結合
+     * 前半と後半の認識テキストを連結して句読点復元をやり直し、
+     * 前半の行を結合後のテキストで差し替える（後半は新しい行として追加しない）
+     * @private
+     * 
+     * @param {Object} target - 結合対象（前半）の断片
+     * @param {Object} fragment - 新しい確定結果（後半）の断片
+     * @param {Array<Object>} [rawAlternatives] - 後半の認識候補
+     * @returns {Promise<boolean>} 結合成功可否
+     */
+    async mergeIntoLine(target, fragment, rawAlternatives) {
+        const rawText = target.rawText + fragment.rawText;
+        
+        // 後半のポーズ位置は前半のテキストを前置して結合後の位置に合わせる
+        const pauseMarks = [
+            ...target.pauseMarks,
+            ...fragment.pauseMarks.map(mark => ({
+                prefix: target.rawText + mark.prefix,
+                duration: mark.duration
+            }))
+        ];
+        
+        // 前半の行で計上済みの適用回数を差し引き、後半と結合部分で新たに一致した分だけ記録する
+        const biased = this.applyVocabularyBias(
+            this.applyReplacements(this.restorePunctuation(rawText, pauseMarks), {
+                countedText: this.restorePunctuation(target.rawText, target.pauseMarks)
+            })
+        );
+        const text = biased.text;
+        
+        const confidences = [target.confidence, fragment.confidence].filter(value => typeof value === 'number');
+        const confidence = confidences.length
+            ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+            : null;
+        
+        const alternatives = this.buildAlternatives(rawAlternatives, rawText, text, confidence, target.rawText);
+        
+        const success = await this.replaceLineText(target.id, text, {
+            confidence: confidence,
+            alternatives: alternatives,
+            selectedAlternative: 0,
+            vocabularySuggestions: biased.suggestions,
+            speechEndTime: fragment.speechEndTime
+        });
+        
+        if (success) {
+            this.rememberFinalText(rawText);
+            
+            sentenceAssembler.remember({
+                ...target,
+                rawText: rawText,
+                text: text,
+                sessionId: fragment.sessionId,
+                pauseMarks: pauseMarks,
+                confidence: confidence,
+                speechEndTime: fragment.speechEndTime
+            });
+            
+            stateManager.updateRecognitionState({
+                finalText: text,
+                currentText: text
+            });
+            
+            // 結合で新たに含まれたキーワードを照合
+            this.checkKeywords(target.id, text);
+        }
+        
+        return success;
+    }
+
+    /**
+     * 置換辞書の適用
+     * 誤認識されやすい名前・用語を使用中のプロフィールの置換ルールで修正する
+     * @private
+     * 
+     * @param {string} text - 句読点復元後のテキスト
+     * @param {Object} [options] - replacementDictionary.apply()のオプション
+     * @returns {string} 置換後のテキスト
+     */
+    applyReplacements(text, options) {
+        if (!window.replacementDictionary) {
+            return text;
+        }
+        
+        return replacementDictionary.apply(text, options);
+    }
+
+    /**
+     * 語彙バイアスの適用
+     * 登録語彙と発音が近い区間を自動修正、または修正候補として検出する
+     * @private
+     * 
+     * @param {string} text - 置換辞書適用後のテキスト
+     * @returns {Object} 結果 { text, suggestions }
+     */
+    applyVocabularyBias(text) {
+        if (!window.vocabularyBiaser) {
+            return { text, suggestions: [] };
+        }
+        
+        return vocabularyBiaser.apply(text);
+    }
+
+    /**
+     * 確定テキストのキーワード照合
+     * 一致した場合の強調表示・通知・一覧への記録はkeywordWatcherが行う
+     * @private
+     * 
+     * @param {string} id - テキスト履歴エントリID
+     * @param {string} text - 確定テキスト
+     */
+    checkKeywords(id, text) {
+        if (window.keywordWatcher) {
+            keywordWatcher.check(id, text);
+        }
+    }
+
+    /**
+     * テキストのピンイン（ruby）変換
+     * 変換器が未設定または変換失敗時は元のテキストを返す
+     * 語彙の修正候補の区間は下線表示用の要素で囲む
+     * @private
+     * 
+     * @param {string} text - 変換対象テキスト
+     * @param {Array<Object>} [suggestions=[]] - 語彙の修正候補（位置順）
+     * @returns {Promise<string>} ピンイン付きHTMLまたは元のテキスト
+     */
+    async convertToRuby(text, suggestions = []) {
+        if (!this.pinyinConverter) {
+            return text;
+        }
+        
+        try {
+            if (suggestions.length === 0) {
+                return await this.pinyinConverter.convertToRuby(text);
+            }
+            
+            // 修正候補の区間ごとに変換し、クリックで採用できる下線で囲む
+            const chars = Array.from(text);
+            let html = '';
+            let position = 0;
+            
+            for (const [index, suggestion] of suggestions.entries()) {
+                html += await this.pinyinConverter.convertToRuby(chars.slice(position, suggestion.start).join(''));
+                
+                const title = `「${suggestion.term}」に修正（類似度 ${Math.round(suggestion.similarity * 100)}%）`;
+                const segment = await this.pinyinConverter.convertToRuby(chars.slice(suggestion.start, suggestion.start + suggestion.length).join(''));
+                html += `<span class="vocabulary-suggestion" data-suggestion-index="${index}" title="${Utils.escapeHtml(title).replace(/"/g, '&quot;')}">${segment}</span>`;
+                
+                position = suggestion.start + suggestion.length;
+            }
+            
+            return html + await this.pinyinConverter.convertToRuby(chars.slice(position).join(''));
+            
+        } catch (error) {
+            return text;
+        }
+    }
+
+    /**
+     * 確定済み行の認識候補の切り替え
+     * 選択された候補で原文を差し替え、ピンイン変換をやり直して履歴とUIを更新
+     * 
+     * @param {string} id - テキスト履歴エントリID
+     * @param {number} index - 選択する認識候補のインデックス
+     * @returns {Promise<boolean>} 切り替え成功可否
+     */
+    async selectAlternative(id, index) {
+        const entry = stateManager.getTextHistoryEntry(id);
+        const alternative = entry?.alternatives?.[index];
+        
+        if (!alternative || entry.selectedAlternative === index) {
+            return false;
+        }
+        
+        const biased = this.applyVocabularyBias(alternative.transcript);
+        
+        return this.replaceLineText(id, biased.text, {
+            selectedAlternative: index,
+            confidence: alternative.confidence > 0 ? alternative.confidence : null,
+            vocabularySuggestions: biased.suggestions
+        });
+    }
+
+    /**
+     * 語彙の修正候補の採用
+     * 候補の区間を語彙の表記に置き換え、残りの候補を保持したまま行を更新
+     * 
+     * @param {string} id - テキスト履歴エントリID
+     * @param {number} index - 採用する修正候補のインデックス
+     * @returns {Promise<boolean>} 採用成功可否
+     */
+    async acceptVocabularySuggestion(id, index) {
+        const entry = stateManager.getTextHistoryEntry(id);
+        const suggestion = entry?.vocabularySuggestions?.[index];
+        
+        if (!suggestion) {
+            return false;
+        }
+        
+        const chars = Array.from(entry.originalText);
+        if (chars.slice(suggestion.start, suggestion.start + suggestion.length).join('') !== suggestion.original) {
+            return false;
+        }
+        
+        // 語彙と区間は同じ文字数のため、残りの候補の位置は変わらない
+        chars.splice(suggestion.start, suggestion.length, ...Array.from(suggestion.term));
+        
+        return this.replaceLineText(id, chars.join(''), {
+            vocabularySuggestions: entry.vocabularySuggestions.filter((_, i) => i !== index)
+        });
+    }
+
+    /**
+     * 確定済み行のテキスト差し替え
+     * 既存行の原文を変更してピンイン変換をやり直し、履歴を更新してUIに通知
+     * 
+     * @param {string} id - テキスト履歴エントリID
+     * @param {string} text - 新しい原文
+     * @param {Object} [extraUpdates={}] - 履歴エントリに追加で反映する値
+     * @returns {Promise<boolean>} 差し替え成功可否
+     */
+    async replaceLineText(id, text, extraUpdates = {}) {
+        try {
+            const trimmedText = Utils.trimText(text || '');
+            if (!trimmedText || !stateManager.getTextHistoryEntry(id)) {
+                return false;
+            }
+            
+            // 修正候補は差し替え前のテキストの位置のため、指定がない場合は破棄
+            const vocabularySuggestions = extraUpdates.vocabularySuggestions || [];
+            const rubyText = await this.convertToRuby(trimmedText, vocabularySuggestions);
+            
+            const entry = stateManager.updateTextHistory(id, {
+                originalText: trimmedText,
+                rubyText: rubyText,
+                translation: null,
+                ...extraUpdates,
+                vocabularySuggestions: vocabularySuggestions
+            });
+            
+            $(document).trigger('textReplaced', {
+                id: id,
                 text: trimmedText,
-                rubyText: rubyText
+                rubyText: rubyText,
+                confidence: entry.confidence,
+                alternatives: entry.alternatives,
+                selectedAlternative: entry.selectedAlternative,
+                speechStartTime: entry.speechStartTime,
+                speechEndTime: entry.speechEndTime
             });
             
+            return true;
+            
         } catch (error) {
+            return false;
         }
     }
 
@@ -324,6 +957,9 @@ class SpeechRecognitionManager {
     handleError(event) {
         this.errorCount++;
         const errorCode = this.mapErrorCode(event.error);
+        this.lastErrorCode = errorCode;
+        
+        recognitionDiagnostics.recordError(errorCode, event.error);
 
 
         // エラー回数を更新（UIには反映するが、認識は止めない）
@@ -331,6 +967,14 @@ class SpeechRecognitionManager {
             errorCount: this.errorCount
         });
 
+        // ローカル認識サーバーへの接続失敗はユーザーに通知（認識は継続して再接続を試みる）
+        if (this.backendType === 'websocket' && event.error === 'network') {
+            stateManager.setError('SPEECH_RECOGNITION', 'SERVER_UNAVAILABLE', event.message);
+        }
+
+        // ネットワーク・音声キャプチャのエラーが続いた場合はサーキットを開く（onendで待機状態になる）
+        restartPolicy.recordFailure(event.error);
+
         // 重大なエラーの場合のみ停止
         const criticalErrors = ['not-allowed', 'service-not-allowed'];
         if (criticalErrors.includes(event.error)) {
@@ -339,9 +983,10 @@ class SpeechRecognitionManager {
             return;
         }
 
-        // 一定回数以上エラーが発生した場合は停止
+        // 一定回数以上エラーが発生した場合はサーキットを開いて一定時間後に再試行
         if (this.errorCount >= this.config.maxErrorCount) {
-            this.stop();
+            restartPolicy.openCircuit();
+            this.forceStopRecognition();
             return;
         }
 
@@ -349,6 +994,56 @@ class SpeechRecognitionManager {
         // 音声認識が自然に終了した場合、onendイベントで自動再開される
     }
 
+    /**
+     * 再起動ポリシーに従った自動再開の予約
+     * バックオフ待機中、期間あたりの上限到達時、サーキットが開いている間は
+     * 待機理由と再開予定時刻を認識状態に設定してボタンに表示する
+     * 待機理由がバックオフ以外の場合は、待機後に改めて判定する
+     */
+    scheduleRestart() {
+        this.cancelScheduledRestart();
+        
+        const decision = restartPolicy.evaluate();
+        const showNotice = decision.status !== 'backoff' || decision.delay >= RECOGNITION_CONSTANTS.RESTART_NOTICE_THRESHOLD;
+        
+        // 状態は維持したまま再開（テキストをクリアしない）
+        stateManager.updateRecognitionState({
+            isActive: true,
+            isListening: false,
+            restartState: showNotice ? {
+                status: decision.status,
+                retryAt: Date.now() + decision.delay
+            } : null
+        });
+        
+        this.restartTimer = setTimeout(() => {
+            this.restartTimer = null;
+            
+            if (decision.status !== 'backoff') {
+                this.scheduleRestart();
+                return;
+            }
+            
+            restartPolicy.recordAttempt();
+            
+            // 重複開始を防ぐため状態チェック
+            if (!this.isRecognizing) {
+                this.start();
+            }
+        }, decision.delay);
+    }
+
+    /**
+     * 予約済みの自動再開の取り消し
+     * @private
+     */
+    cancelScheduledRestart() {
+        if (this.restartTimer) {
+            clearTimeout(this.restartTimer);
+            this.restartTimer = null;
+        }
+    }
+
     /**
      * Web Speech APIエラーコードをアプリケーション内部コードにマッピング
      * ブラウザ固有のエラーコードを統一的な形式に変換
@@ -404,7 +1099,7 @@ class SpeechRecognitionManager {
             const isSessionTimeout = timeSinceSessionStart > this.config.maxSessionTime;
             
             if (isResultTimeout || isSessionTimeout) {
-                this.safeRestart();
+                this.safeRestart(isResultTimeout ? 'result-timeout' : 'session-timeout');
             }
         }, this.config.watchdogInterval);
     }
@@ -440,6 +1135,9 @@ class SpeechRecognitionManager {
      */
     resetInternalState() {
         this.isRecognizing = false;
+        this.utteranceStartTime = null;
+        this.pauseMarks = [];
+        this.lastGrowthText = '';
         this.stopWatchdog();
     }
 
@@ -451,7 +1149,10 @@ class SpeechRecognitionManager {
     resetStateManagerState(clearTexts = false) {
         const stateUpdate = {
             isActive: false,
-            isListening: false
+            isListening: false,
+            isHearingSound: false,
+            isSpeaking: false,
+            restartState: null
         };
         
         if (clearTexts) {
@@ -513,6 +1214,12 @@ class SpeechRecognitionManager {
                 return true;
             }
             
+            // 自動再開の待機を終了
+            this.cancelScheduledRestart();
+            if (stateManager.getState('recognition.restartState')) {
+                stateManager.updateRecognitionState({ restartState: null });
+            }
+            
             // 認識インスタンスが既に動作中の場合は強制停止
             this.forceStopRecognition();
             
@@ -565,11 +1272,21 @@ class SpeechRecognitionManager {
             }
             
             // 手動停止フラグを設定
+            const hasActiveSession = this.isRecognizing;
             this.manualStop = true;
             
+            // 自動再開の待機を取り消し、再起動ポリシーをリセット
+            this.cancelScheduledRestart();
+            restartPolicy.reset();
+            
             // 状態をリセット
             this.performFullReset(true);
             
+            // 再開待ち中はセッションが動作しておらず終了イベントが発生しないため、フラグを残さない
+            if (!hasActiveSession) {
+                this.manualStop = false;
+            }
+            
             // 手動停止時の追加保険（遅延クリア）
             const stopDelays = [100, 200];
             stopDelays.forEach(delay => {
@@ -591,15 +1308,23 @@ class SpeechRecognitionManager {
      * 現在の状態を保存してから一旦停止し、設定遅延後に再開
      * 言語設定の引き継ぎと状態復旧を保証
      * Watchdogタイムアウトや一時的エラーからの復旧に使用
+     * 
+     * @param {string} [reason='onend'] - 再起動理由（診断記録用）
      */
-    safeRestart() {
+    safeRestart(reason = 'onend') {
         try {
+            // 強制停止後の終了イベントを待たずに再起動理由を記録
+            recognitionDiagnostics.recordSessionEnd(reason, this.sessionId);
 
             const currentLanguage = stateManager.getState('config.language');
 
             // 強制的に状態をクリア
             this.performFullReset(true);
 
+            // 停止を要求したインスタンスのハンドラーを解除
+            // （WebSocketバックエンドは最終結果を待ってから終了するため、古いonendが新しいセッションを終了させないように）
+            this.detachRecognition();
+
             // エラー状態をクリア（エラーカウントをリセット）
             this.errorCount = 0;
             stateManager.updateRecognitionState({
@@ -627,14 +1352,14 @@ class SpeechRecognitionManager {
     /**
      * 音声認識言語の変更
      * 認識中の場合は一旦停止してから言語を変更し、再開
-     * 簡体字（zh-CN）と繁体字（zh-TW）の切り替えに対応
+     * 簡体字（zh-CN）、繁体字（zh-TW）、広東語（yue-Hant-HK, zh-HK）の切り替えに対応
      * 
      * 【注意】Web Speech API zh-TWモデルの精度限界について：
      * - 日本語Chrome・Edge環境では zh-TW を指定しても実質 zh-CN モデルが使われることがある（Google側の実装依存）
      * - zh-TW特有の語彙（例：你們講的話、打拚、家裡、咩啦）などは誤認識が多く発生しやすい
      * - より高精度なzh-TW認識が必要な場合は専用の音声認識サービスの利用を検討すること
      * 
-     * @param {string} language - 新しい言語コード（zh-CN, zh-TW）
+     * @param {string} language - 新しい言語コード（zh-CN, zh-TW, yue-Hant-HK, zh-HK）
      * @returns {boolean} 言語変更成功可否
      */
     changeLanguage(language) {
@@ -666,6 +1391,59 @@ class SpeechRecognitionManager {
         }
     }
 
+    /**
+     * 認識バックエンドの切り替え
+     * 認識中の場合は一旦停止し、現在のインスタンスのハンドラーを解除してから
+     * 新しいバックエンドで再初期化して再開
+     * 
+     * @returns {boolean} 切り替え成功可否
+     */
+    changeBackend() {
+        try {
+            const wasRecognizing = this.isRecognizing;
+            
+            if (wasRecognizing) {
+                this.stop();
+            }
+            
+            this.detachRecognition();
+            
+            if (!this.initializeRecognition()) {
+                return false;
+            }
+            
+            if (wasRecognizing) {
+                setTimeout(() => {
+                    this.start();
+                }, this.config.restartDelay);
+            }
+            
+            return true;
+            
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 認識インスタンスのイベントハンドラー解除と破棄
+     * @private
+     */
+    detachRecognition() {
+        if (this.recognition) {
+            this.recognition.onstart = null;
+            this.recognition.onend = null;
+            this.recognition.onresult = null;
+            this.recognition.onerror = null;
+            this.recognition.onnomatch = null;
+            this.recognition.onsoundstart = null;
+            this.recognition.onsoundend = null;
+            this.recognition.onspeechstart = null;
+            this.recognition.onspeechend = null;
+            this.recognition = null;
+        }
+    }
+
     /**
      * ピンイン変換器インスタンスの設定
      * 音声認識結果にピンイン（ruby）タグを付与するために使用
@@ -686,8 +1464,12 @@ class SpeechRecognitionManager {
      * @returns {string|null} returns.sessionId - 現在のセッションID
      * @returns {number} returns.errorCount - 連続エラー回数
      * @returns {string} returns.language - 現在の認識言語
+     * @returns {string} returns.backend - 使用中の認識バックエンド種別
      * @returns {number} returns.lastResultTime - 最後の結果受信時刻
+     * @returns {number} returns.lastRecognizedTime - 最後の結果受信時刻（セッション開始では更新されない）
      * @returns {boolean} returns.hasWatchdog - Watchdog動作中フラグ
+     * @returns {number} returns.suppressedDuplicateCount - 重複として破棄した結果の件数
+     * @returns {string} returns.circuitState - 再起動ポリシーのサーキット状態
      */
     getStatus() {
         return {
@@ -695,8 +1477,12 @@ class SpeechRecognitionManager {
             sessionId: this.sessionId,
             errorCount: this.errorCount,
             language: this.recognition?.lang,
+            backend: this.backendType,
             lastResultTime: this.lastResultTime,
-            hasWatchdog: !!this.watchdogTimer
+            lastRecognizedTime: this.lastRecognizedTime,
+            hasWatchdog: !!this.watchdogTimer,
+            suppressedDuplicateCount: this.suppressedDuplicateCount,
+            circuitState: restartPolicy.circuitState
         };
     }
 
@@ -718,19 +1504,7 @@ class SpeechRecognitionManager {
     destroy() {
         try {
             this.stop();
-            
-            if (this.recognition) {
-                this.recognition.onstart = null;
-                this.recognition.onend = null;
-                this.recognition.onresult = null;
-                this.recognition.onerror = null;
-                this.recognition.onnomatch = null;
-                this.recognition.onsoundstart = null;
-                this.recognition.onsoundend = null;
-                this.recognition.onspeechstart = null;
-                this.recognition.onspeechend = null;
-                this.recognition = null;
-            }
+            this.detachRecognition();
             
         } catch (error) {
         }
@@ -44,14 +44,54 @@ class StateManager {
             // アプリケーションの基本設定
             config: {
                 language: savedSettings.settings?.language || APP_CONFIG.DEFAULT_SETTINGS.language,
+                targetLanguage: savedSettings.settings?.targetLanguage || APP_CONFIG.DEFAULT_SETTINGS.targetLanguage,
+                secondaryTargetLanguage: savedSettings.settings?.secondaryTargetLanguage || APP_CONFIG.DEFAULT_SETTINGS.secondaryTargetLanguage,
+                recognitionBackend: savedSettings.settings?.recognitionBackend || APP_CONFIG.DEFAULT_SETTINGS.recognitionBackend,
+                recognitionServerUrl: savedSettings.settings?.recognitionServerUrl || APP_CONFIG.DEFAULT_SETTINGS.recognitionServerUrl,
+                audioInputDeviceId: savedSettings.settings?.audioInputDeviceId || APP_CONFIG.DEFAULT_SETTINGS.audioInputDeviceId,
+                inputLevelWarning: savedSettings.settings?.inputLevelWarning !== undefined ? savedSettings.settings.inputLevelWarning : APP_CONFIG.DEFAULT_SETTINGS.inputLevelWarning,
+                maxAlternatives: savedSettings.settings?.maxAlternatives || APP_CONFIG.DEFAULT_SETTINGS.maxAlternatives,
+                lowConfidenceThreshold: savedSettings.settings?.lowConfidenceThreshold !== undefined ? savedSettings.settings.lowConfidenceThreshold : APP_CONFIG.DEFAULT_SETTINGS.lowConfidenceThreshold,
+                skipLowConfidenceTranslation: savedSettings.settings?.skipLowConfidenceTranslation !== undefined ? savedSettings.settings.skipLowConfidenceTranslation : APP_CONFIG.DEFAULT_SETTINGS.skipLowConfidenceTranslation,
+                punctuationRestoration: savedSettings.settings?.punctuationRestoration !== undefined ? savedSettings.settings.punctuationRestoration : APP_CONFIG.DEFAULT_SETTINGS.punctuationRestoration,
+                sentenceStitching: savedSettings.settings?.sentenceStitching !== undefined ? savedSettings.settings.sentenceStitching : APP_CONFIG.DEFAULT_SETTINGS.sentenceStitching,
+                duplicateSimilarityThreshold: savedSettings.settings?.duplicateSimilarityThreshold || APP_CONFIG.DEFAULT_SETTINGS.duplicateSimilarityThreshold,
+                duplicateCheckSeconds: savedSettings.settings?.duplicateCheckSeconds ?? APP_CONFIG.DEFAULT_SETTINGS.duplicateCheckSeconds,
+                vocabularyBiasMode: savedSettings.settings?.vocabularyBiasMode || APP_CONFIG.DEFAULT_SETTINGS.vocabularyBiasMode,
+                vocabularySimilarityThreshold: savedSettings.settings?.vocabularySimilarityThreshold ?? APP_CONFIG.DEFAULT_SETTINGS.vocabularySimilarityThreshold,
+                restartStrategy: savedSettings.settings?.restartStrategy || APP_CONFIG.DEFAULT_SETTINGS.restartStrategy,
+                restartBaseDelay: savedSettings.settings?.restartBaseDelay ?? APP_CONFIG.DEFAULT_SETTINGS.restartBaseDelay,
+                restartMaxAttempts: savedSettings.settings?.restartMaxAttempts || APP_CONFIG.DEFAULT_SETTINGS.restartMaxAttempts,
+                scheduledStartTime: savedSettings.settings?.scheduledStartTime || APP_CONFIG.DEFAULT_SETTINGS.scheduledStartTime,
+                autoStopAfterMinutes: savedSettings.settings?.autoStopAfterMinutes ?? APP_CONFIG.DEFAULT_SETTINGS.autoStopAfterMinutes,
+                silenceStopAfterMinutes: savedSettings.settings?.silenceStopAfterMinutes ?? APP_CONFIG.DEFAULT_SETTINGS.silenceStopAfterMinutes,
+                timestampMode: savedSettings.settings?.timestampMode || APP_CONFIG.DEFAULT_SETTINGS.timestampMode,
+                streamStartTime: savedSettings.settings?.streamStartTime || APP_CONFIG.DEFAULT_SETTINGS.streamStartTime,
+                paragraphGapSeconds: savedSettings.settings?.paragraphGapSeconds ?? APP_CONFIG.DEFAULT_SETTINGS.paragraphGapSeconds,
+                activeProfile: savedSettings.settings?.activeProfile || APP_CONFIG.DEFAULT_SETTINGS.activeProfile,
+                keywordWatchList: savedSettings.settings?.keywordWatchList || APP_CONFIG.DEFAULT_SETTINGS.keywordWatchList,
+                keywordAlertSound: savedSettings.settings?.keywordAlertSound !== undefined ? savedSettings.settings.keywordAlertSound : APP_CONFIG.DEFAULT_SETTINGS.keywordAlertSound,
+                keywordAlertNotification: savedSettings.settings?.keywordAlertNotification !== undefined ? savedSettings.settings.keywordAlertNotification : APP_CONFIG.DEFAULT_SETTINGS.keywordAlertNotification,
+                speakerList: savedSettings.settings?.speakerList || APP_CONFIG.DEFAULT_SETTINGS.speakerList,
+                translationProvider: savedSettings.settings?.translationProvider || APP_CONFIG.DEFAULT_SETTINGS.translationProvider,
                 geminiApiKey: apiKey,
                 geminiModel: savedSettings.settings?.geminiModel || APP_CONFIG.DEFAULT_SETTINGS.geminiModel,
+                streamingTranslation: savedSettings.settings?.streamingTranslation !== undefined ? savedSettings.settings.streamingTranslation : APP_CONFIG.DEFAULT_SETTINGS.streamingTranslation,
+                openaiEndpoint: savedSettings.settings?.openaiEndpoint || APP_CONFIG.DEFAULT_SETTINGS.openaiEndpoint,
+                openaiApiKey: this.storage.getApiKey('openai'),
+                openaiModel: savedSettings.settings?.openaiModel || APP_CONFIG.DEFAULT_SETTINGS.openaiModel,
+                deeplEndpoint: savedSettings.settings?.deeplEndpoint || APP_CONFIG.DEFAULT_SETTINGS.deeplEndpoint,
+                deeplApiKey: this.storage.getApiKey('deepl'),
                 maxTextLines: savedSettings.settings?.maxTextLines || APP_CONFIG.DEFAULT_SETTINGS.maxTextLines,
                 autoScroll: true, // 常にONでスタート
                 fontSize: savedSettings.preferences?.fontSize || APP_CONFIG.DEFAULT_SETTINGS.fontSize,
                 autoTranslate: savedSettings.preferences?.autoTranslate || APP_CONFIG.DEFAULT_SETTINGS.autoTranslate,
                 theme: savedSettings.settings?.theme || APP_CONFIG.DEFAULT_SETTINGS.theme,
                 translationStyle: savedSettings.settings?.translationStyle || APP_CONFIG.DEFAULT_SETTINGS.translationStyle,
+                contextLineCount: savedSettings.settings?.contextLineCount ?? APP_CONFIG.DEFAULT_SETTINGS.contextLineCount,
+                contextTokenBudget: savedSettings.settings?.contextTokenBudget ?? APP_CONFIG.DEFAULT_SETTINGS.contextTokenBudget,
+                contextIncludeTranslations: savedSettings.settings?.contextIncludeTranslations !== undefined ? savedSettings.settings.contextIncludeTranslations : APP_CONFIG.DEFAULT_SETTINGS.contextIncludeTranslations,
+                translationCacheEnabled: savedSettings.settings?.translationCacheEnabled !== undefined ? savedSettings.settings.translationCacheEnabled : APP_CONFIG.DEFAULT_SETTINGS.translationCacheEnabled,
                 showTranslationArea: savedSettings.settings?.showTranslationArea !== undefined ? savedSettings.settings.showTranslationArea : APP_CONFIG.DEFAULT_SETTINGS.showTranslationArea
             },
             
@@ -64,12 +104,18 @@ class StateManager {
                 interimText: '',
                 finalText: '',
                 lastResultTime: 0,
+                isHearingSound: false,      // マイクから音声を検出中
+                isSpeaking: false,          // 認識可能な発話を検出中
+                lastSpeechStartTime: 0,     // 最後の発話開始時刻
+                lastSpeechEndTime: 0,       // 最後の発話終了時刻
+                restartState: null,         // 自動再開の待機状態（{ status, retryAt }）
+                isInputFlat: false,         // 入力レベルが平坦（無信号）な状態が続いている
                 errorCount: 0,
                 recognitionInstance: null
             },
             
             // 認識されたテキストの履歴管理
-            // 各エントリにはタイムスタンプ、原文、ピンイン付きテキストを含む
+            // 各エントリにはタイムスタンプ、原文、ピンイン付きテキスト、認識候補を含む
             textHistory: [],
             
             // 翻訳モジュールの状態管理
@@ -305,13 +351,18 @@ class StateManager {
      * 最大行数制限を適用し、古いエントリを自動削除
      * 履歴更新イベントを発行してUI更新をトリガー
      * 
-     * @param {Object} textData - テキストデータ（originalText, rubyText, languageなど）
+     * 発話開始・終了時刻が不明な場合はnullとして記録（無音と認識停止の切り分け用）
+     * 
+     * @param {Object} textData - テキストデータ（originalText, rubyText, language, speechStartTime, speechEndTimeなど）
+     * @returns {Object} 追加されたエントリ（id, timestampを含む）
      */
     addTextHistory(textData) {
         const history = this.state.textHistory;
         const newEntry = {
             id: Utils.generateId('text'),
             timestamp: Date.now(),
+            speechStartTime: null,
+            speechEndTime: null,
             ...textData
         };
         
@@ -324,6 +375,39 @@ class StateManager {
         }
         
         this.emit('textHistoryChanged', newEntry);
+        
+        return newEntry;
+    }
+
+    /**
+     * IDによるテキスト履歴エントリの取得
+     * 
+     * @param {string} id - エントリID
+     * @returns {Object|undefined} 該当エントリ（存在しない場合はundefined）
+     */
+    getTextHistoryEntry(id) {
+        return this.state.textHistory.find(entry => entry.id === id);
+    }
+
+    /**
+     * 既存テキスト履歴エントリの部分更新
+     * 認識候補の切り替えなどで原文やピンインを差し替える際に使用
+     * 更新イベントを発行してUI更新をトリガー
+     * 
+     * @param {string} id - エントリID
+     * @param {Object} updates - 更新するプロパティ
+     * @returns {Object|null} 更新後のエントリ（存在しない場合はnull）
+     */
+    updateTextHistory(id, updates) {
+        const entry = this.getTextHistoryEntry(id);
+        if (!entry) {
+            return null;
+        }
+        
+        Object.assign(entry, updates);
+        this.emit('textHistoryUpdated', entry);
+        
+        return entry;
     }
 
     /**
@@ -364,12 +448,52 @@ class StateManager {
                 version: APP_CONFIG.STORAGE_CONFIG.VERSION,
                 settings: {
                     language: this.state.config.language,
+                    targetLanguage: this.state.config.targetLanguage,
+                    secondaryTargetLanguage: this.state.config.secondaryTargetLanguage,
+                    recognitionBackend: this.state.config.recognitionBackend,
+                    recognitionServerUrl: this.state.config.recognitionServerUrl,
+                    audioInputDeviceId: this.state.config.audioInputDeviceId,
+                    inputLevelWarning: this.state.config.inputLevelWarning,
+                    maxAlternatives: this.state.config.maxAlternatives,
+                    lowConfidenceThreshold: this.state.config.lowConfidenceThreshold,
+                    skipLowConfidenceTranslation: this.state.config.skipLowConfidenceTranslation,
+                    punctuationRestoration: this.state.config.punctuationRestoration,
+                    sentenceStitching: this.state.config.sentenceStitching,
+                    duplicateSimilarityThreshold: this.state.config.duplicateSimilarityThreshold,
+                    duplicateCheckSeconds: this.state.config.duplicateCheckSeconds,
+                    vocabularyBiasMode: this.state.config.vocabularyBiasMode,
+                    vocabularySimilarityThreshold: this.state.config.vocabularySimilarityThreshold,
+                    restartStrategy: this.state.config.restartStrategy,
+                    restartBaseDelay: this.state.config.restartBaseDelay,
+                    restartMaxAttempts: this.state.config.restartMaxAttempts,
+                    scheduledStartTime: this.state.config.scheduledStartTime,
+                    autoStopAfterMinutes: this.state.config.autoStopAfterMinutes,
+                    silenceStopAfterMinutes: this.state.config.silenceStopAfterMinutes,
+                    timestampMode: this.state.config.timestampMode,
+                    streamStartTime: this.state.config.streamStartTime,
+                    paragraphGapSeconds: this.state.config.paragraphGapSeconds,
+                    activeProfile: this.state.config.activeProfile,
+                    keywordWatchList: this.state.config.keywordWatchList,
+                    keywordAlertSound: this.state.config.keywordAlertSound,
+                    keywordAlertNotification: this.state.config.keywordAlertNotification,
+                    speakerList: this.state.config.speakerList,
+                    translationProvider: this.state.config.translationProvider,
                     geminiApiKey: this.state.config.geminiApiKey ? btoa(this.state.config.geminiApiKey) : '',
                     geminiModel: this.state.config.geminiModel,
+                    streamingTranslation: this.state.config.streamingTranslation,
+                    openaiEndpoint: this.state.config.openaiEndpoint,
+                    openaiApiKey: this.state.config.openaiApiKey ? btoa(this.state.config.openaiApiKey) : '',
+                    openaiModel: this.state.config.openaiModel,
+                    deeplEndpoint: this.state.config.deeplEndpoint,
+                    deeplApiKey: this.state.config.deeplApiKey ? btoa(this.state.config.deeplApiKey) : '',
                     maxTextLines: this.state.config.maxTextLines,
                     autoScroll: this.state.config.autoScroll,
                     theme: this.state.config.theme,
                     translationStyle: this.state.config.translationStyle,
+                    contextLineCount: this.state.config.contextLineCount,
+                    contextTokenBudget: this.state.config.contextTokenBudget,
+                    contextIncludeTranslations: this.state.config.contextIncludeTranslations,
+                    translationCacheEnabled: this.state.config.translationCacheEnabled,
                     showTranslationArea: this.state.config.showTranslationArea
                 },
                 preferences: {
@@ -400,20 +524,21 @@ class StateManager {
     }
 
     /**
-     * Google Gemini APIキーの個別保存
+     * 翻訳プロバイダーのAPIキーの個別保存
      * システム状態とlocalStorageの両方を更新し、一貫性を保持
      * 簡易暗号化（Base64）でストレージに保存
      * 
-     * @param {string} apiKey - Google Gemini APIキー
+     * @param {string} apiKey - APIキー
+     * @param {string} [provider='gemini'] - 翻訳プロバイダー（gemini / openai / deepl）
      * @returns {boolean} 保存成功可否
      */
-    saveApiKey(apiKey) {
+    saveApiKey(apiKey, provider = 'gemini') {
         try {
-            this.state.config.geminiApiKey = apiKey;
-            const success = this.storage.saveApiKey(apiKey);
+            this.state.config[`${provider}ApiKey`] = apiKey;
+            const success = this.storage.saveApiKey(apiKey, provider);
             
             if (success) {
-                this.emit('apiKeySaved', { hasKey: !!apiKey });
+                this.emit('apiKeySaved', { provider: provider, hasKey: !!apiKey });
             } else {
             }
             
@@ -424,9 +549,136 @@ class StateManager {
         }
     }
 
+    /**
+     * セッション記録の保存
+     * タイマーで終了した認識セッションの記録を設定とは別のキーに追加
+     * 
+     * @param {Object} summary - セッション記録
+     * @param {number} maxRecords - 保持する記録の最大数
+     * @returns {boolean} 保存成功可否
+     */
+    saveSessionSummary(summary, maxRecords) {
+        try {
+            const success = this.storage.saveSessionSummary(summary, maxRecords);
+            
+            if (success) {
+                this.emit('sessionSummarySaved', summary);
+            }
+            
+            return success;
+        } catch (error) {
+            this.setError('SYSTEM', 'STORAGE_ERROR', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * 保存済みセッション記録の取得
+     * 
+     * @returns {Array<Object>} セッション記録（新しい順）
+     */
+    getSessionSummaries() {
+        return this.storage.loadSessionSummaries();
+    }
+
+    /**
+     * 保存済みプロフィール名の一覧を取得
+     * 使用中のプロフィールは保存データがなくても一覧に含める
+     * 
+     * @returns {Array<string>} プロフィール名の配列
+     */
+    getProfileNames() {
+        const names = Object.keys(this.storage.loadProfiles());
+        const activeProfile = this.state.config.activeProfile;
+        
+        if (!names.includes(activeProfile)) {
+            names.unshift(activeProfile);
+        }
+        
+        return names;
+    }
+
+    /**
+     * プロフィールのデータを取得
+     * 
+     * @param {string} profile - プロフィール名
+     * @param {string} key - データの種類（replacementsなど）
+     * @param {*} [defaultValue=null] - データがない場合の値
+     * @returns {*} 保存されたデータ
+     */
+    getProfileData(profile, key, defaultValue = null) {
+        const data = this.storage.loadProfiles()[profile];
+        return data && data[key] !== undefined ? data[key] : defaultValue;
+    }
+
+    /**
+     * プロフィールのデータを保存
+     * 設定とは別のキーにプロフィールごとに保存
+     * 
+     * @param {string} profile - プロフィール名
+     * @param {string} key - データの種類（replacementsなど）
+     * @param {*} value - 保存するデータ
+     * @returns {boolean} 保存成功可否
+     */
+    saveProfileData(profile, key, value) {
+        try {
+            const profiles = this.storage.loadProfiles();
+            profiles[profile] = { ...profiles[profile], [key]: value };
+            return this.storage.saveProfiles(profiles);
+        } catch (error) {
+            this.setError('SYSTEM', 'STORAGE_ERROR', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * プロフィールの作成
+     * 既に存在する場合は何もしない
+     * 
+     * @param {string} profile - プロフィール名
+     * @returns {boolean} 保存成功可否
+     */
+    createProfile(profile) {
+        const profiles = this.storage.loadProfiles();
+        if (profiles[profile]) {
+            return true;
+        }
+        
+        profiles[profile] = {};
+        return this.storage.saveProfiles(profiles);
+    }
+
+    /**
+     * プロフィールの削除
+     * 
+     * @param {string} profile - プロフィール名
+     * @returns {boolean} 削除成功可否
+     */
+    deleteProfile(profile) {
+        const profiles = this.storage.loadProfiles();
+        delete profiles[profile];
+        return this.storage.saveProfiles(profiles);
+    }
+
+    /**
+     * 使用中のプロフィールの切り替え
+     * 設定を保存し、プロフィール単位のデータを持つモジュールに通知
+     * 
+     * @param {string} profile - プロフィール名
+     */
+    setActiveProfile(profile) {
+        if (!profile || profile === this.state.config.activeProfile) {
+            return;
+        }
+        
+        this.setState('config.activeProfile', profile);
+        this.saveSettings();
+        this.emit('profileChanged', profile);
+    }
+
     /**
      * 音声認識状態とUIの同期処理
-     * 認識ボタンの状態（アクティブ、エラー、スタンバイ）を管理
+     * 認識ボタンの状態（アクティブ、再開待ち、エラー、スタンバイ）を管理
      * ボタンの色、テキスト、アニメーションを認識状態に応じて更新
      */
     syncRecognitionUI() {
@@ -434,11 +686,17 @@ class StateManager {
         const $btn = this.state.ui.$recognitionBtn;
         
         if ($btn && $btn.length) {
-            $btn.removeClass('btn-secondary btn-success btn-danger');
+            $btn.removeClass('btn-secondary btn-success btn-danger btn-warning');
+            $btn.removeAttr('title');
             
             if (recognition.isListening) {
                 $btn.addClass('btn-success');
                 $btn.find('#btn-text').text(APP_CONFIG.UI_CONFIG.buttonTexts.recognizing);
+            } else if (recognition.restartState) {
+                const restartInfo = restartPolicy.describe(recognition.restartState);
+                $btn.addClass('btn-warning');
+                $btn.attr('title', restartInfo.description);
+                $btn.find('#btn-text').text(restartInfo.label);
             } else if (recognition.errorCount > 0) {
                 $btn.addClass('btn-danger');
                 $btn.find('#btn-text').text(APP_CONFIG.UI_CONFIG.buttonTexts.error);
@@ -571,6 +829,8 @@ class StateManager {
 class LocalStorageManager {
     constructor() {
         this.storageKey = `${APP_CONFIG.STORAGE_CONFIG.KEY_PREFIX}${APP_CONFIG.STORAGE_CONFIG.SETTINGS_KEY}`;
+        this.sessionSummariesKey = `${APP_CONFIG.STORAGE_CONFIG.KEY_PREFIX}${APP_CONFIG.STORAGE_CONFIG.SESSION_SUMMARIES_KEY}`;
+        this.profilesKey = `${APP_CONFIG.STORAGE_CONFIG.KEY_PREFIX}${APP_CONFIG.STORAGE_CONFIG.PROFILES_KEY}`;
         this.defaultData = this.getDefaultData();
     }
 
@@ -649,12 +909,13 @@ class LocalStorageManager {
      * Base64で簡易暗号化してlocalStorageに保存
      * プレーンテキストでのAPIキー保存を防止
      * 
-     * @param {string} apiKey - Google Gemini APIキー
+     * @param {string} apiKey - APIキー
+     * @param {string} [provider='gemini'] - 翻訳プロバイダー（gemini / openai / deepl）
      * @returns {boolean} 保存成功可否
      */
-    saveApiKey(apiKey) {
+    saveApiKey(apiKey, provider = 'gemini') {
         const data = this.load();
-        data.settings.geminiApiKey = btoa(apiKey); // 簡易暗号化
+        data.settings[`${provider}ApiKey`] = btoa(apiKey); // 簡易暗号化
         return this.save(data);
     }
 
@@ -663,17 +924,82 @@ class LocalStorageManager {
      * Base64で暗号化されたAPIキーを復号化して返す
      * 復号化エラー時は空文字列を返して安全に処理
      * 
+     * @param {string} [provider='gemini'] - 翻訳プロバイダー（gemini / openai / deepl）
      * @returns {string} 復号化されたAPIキーまたは空文字列
      */
-    getApiKey() {
+    getApiKey(provider = 'gemini') {
         const data = this.load();
+        const encoded = data.settings?.[`${provider}ApiKey`];
         try {
-            return data.settings.geminiApiKey ? atob(data.settings.geminiApiKey) : '';
+            return encoded ? atob(encoded) : '';
         } catch {
             return '';
         }
     }
 
+    /**
+     * セッション記録の読み込み
+     * 
+     * @returns {Array<Object>} セッション記録（新しい順）、読み込めない場合は空配列
+     */
+    loadSessionSummaries() {
+        try {
+            const data = localStorage.getItem(this.sessionSummariesKey);
+            const summaries = data ? Utils.safeJsonParse(data, []) : [];
+            return Array.isArray(summaries) ? summaries : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * セッション記録の追加保存
+     * 先頭に追加し、最大数を超えた古い記録は削除
+     * 
+     * @param {Object} summary - セッション記録
+     * @param {number} maxRecords - 保持する記録の最大数
+     * @returns {boolean} 保存成功可否
+     */
+    saveSessionSummary(summary, maxRecords) {
+        try {
+            const summaries = [summary, ...this.loadSessionSummaries()].slice(0, maxRecords);
+            localStorage.setItem(this.sessionSummariesKey, JSON.stringify(summaries));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * プロフィール別データの読み込み
+     * 
+     * @returns {Object} プロフィール名をキーとするデータ、読み込めない場合は空オブジェクト
+     */
+    loadProfiles() {
+        try {
+            const data = localStorage.getItem(this.profilesKey);
+            const profiles = data ? Utils.safeJsonParse(data, {}) : {};
+            return profiles && typeof profiles === 'object' && !Array.isArray(profiles) ? profiles : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * プロフィール別データの保存
+     * 
+     * @param {Object} profiles - プロフィール名をキーとするデータ
+     * @returns {boolean} 保存成功可否
+     */
+    saveProfiles(profiles) {
+        try {
+            localStorage.setItem(this.profilesKey, JSON.stringify(profiles));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
     /**
      * 全設定データの削除
      * localStorageからアプリケーション関連設定を完全削除
@@ -0,0 +1,311 @@
+/**
+ * 翻訳キャッシュモジュール
+ * Chinese Speech to Text
+ *
+ * パネルの原文・翻訳の切り替えや「谢谢大家」のような定型句の翻訳で同じAPI呼び出しを繰り返さないよう、
+ * 翻訳結果をIndexedDBに保存して再利用する
+ * キーは正規化した原文と、訳文に影響する設定（翻訳エンジン・モデル・エンドポイント・言語・翻訳スタイル・話者・用語集）から作る
+ *
+ * 保存件数が上限を超えた場合は最後に使われた日時が古いものから削除する
+ * IndexedDBを使用できない環境（プライベートブラウズなど）ではメモリ上に保存する
+ *
+ * 【注意】直前の行の文脈はキーに含めません（含めると同じ原文でもほぼ一致しなくなるため）
+ */
+
+// 翻訳キャッシュ設定定数
+const TRANSLATION_CACHE_CONSTANTS = {
+    DB_NAME: 'chinese-speech-to-text', // IndexedDBのデータベース名
+    DB_VERSION: 1,
+    STORE_NAME: 'translations',        // 翻訳結果のオブジェクトストア名
+    LAST_USED_INDEX: 'lastUsedAt',     // 削除順の判定に使う最終使用日時のインデックス名
+    MAX_ENTRIES: 5000,                 // 保存する翻訳結果の上限件数
+    MAX_TEXT_LENGTH: 500               // 保存する原文の最大文字数（長文は繰り返されにくいため保存しない）
+};
+
+class TranslationCache {
+    constructor() {
+        this.constants = TRANSLATION_CACHE_CONSTANTS;
+
+        this.databasePromise = null;       // IndexedDBの接続（使用できない場合はnullで解決）
+        this.memoryCache = new Map();      // IndexedDBを使用できない場合の保存先（挿入順=使用順）
+        this.usesMemory = false;           // IndexedDBを使用できずメモリに保存しているか
+        this.hits = 0;                     // キャッシュから返した回数
+        this.misses = 0;                   // キャッシュになかった回数
+    }
+
+    /**
+     * キャッシュを使用する設定か判定
+     *
+     * @returns {boolean} 使用するかどうか
+     */
+    isEnabled() {
+        return stateManager.getState('config.translationCacheEnabled') !== false;
+    }
+
+    /**
+     * キャッシュキーの生成
+     * 空白の違いや全角・半角の違いを正規化した原文と、訳文に影響する設定を組み合わせる
+     *
+     * @param {string} text - 原文
+     * @param {Object} [params={}] - 訳文に影響する設定
+     * @param {string} [params.provider] - 翻訳エンジン
+     * @param {string} [params.model] - モデル
+     * @param {string} [params.endpoint] - APIエンドポイント（同じモデル名でも接続先のサーバーごとに区別）
+     * @param {string} [params.sourceLang] - ソース言語
+     * @param {string} [params.targetLang] - ターゲット言語
+     * @param {string} [params.style] - 翻訳スタイル
+     * @param {Object|null} [params.speaker] - 話者 { name, style }
+     * @param {Array<Object>} [params.glossary] - 原文に含まれる用語集の用語
+     * @returns {string|null} キャッシュキー（保存対象外の長文の場合はnull）
+     */
+    buildKey(text, params = {}) {
+        const normalizedText = (text || '').normalize('NFKC').replace(/\s+/g, ' ').trim();
+        if (!normalizedText || normalizedText.length > this.constants.MAX_TEXT_LENGTH) {
+            return null;
+        }
+
+        return JSON.stringify([
+            normalizedText,
+            params.provider || '',
+            params.model || '',
+            params.endpoint || '',
+            params.sourceLang || '',
+            params.targetLang || '',
+            params.style || '',
+            params.speaker ? [params.speaker.name, params.speaker.style || ''] : null,
+            (params.glossary || []).map(entry => [entry.source, entry.target, entry.note || ''])
+        ]);
+    }
+
+    /**
+     * キャッシュされた訳文の取得
+     * 見つかった場合は最終使用日時を更新する
+     *
+     * @param {string} key - キャッシュキー
+     * @returns {Promise<string|null>} 訳文（ない場合やキャッシュを使用しない場合はnull）
+     */
+    async get(key) {
+        if (!key || !this.isEnabled()) {
+            return null;
+        }
+
+        let record = null;
+
+        try {
+            const database = await this.openDatabase();
+
+            if (database) {
+                record = await this.runTransaction(database, 'readwrite', (store, setResult) => {
+                    const request = store.get(key);
+                    request.onsuccess = () => {
+                        if (request.result) {
+                            store.put({ ...request.result, lastUsedAt: Date.now() });
+                        }
+                        setResult(request.result || null);
+                    };
+                });
+            } else if (this.memoryCache.has(key)) {
+                // 使用順を更新するため末尾に移動
+                record = this.memoryCache.get(key);
+                this.memoryCache.delete(key);
+                this.memoryCache.set(key, record);
+            }
+        } catch (error) {
+        }
+
+        if (record) {
+            this.hits++;
+            return record.translatedText;
+        }
+
+        this.misses++;
+        return null;
+    }
+
+    /**
+     * 訳文の保存
+     * 上限件数を超えた場合は最後に使われた日時が古いものから削除する
+     *
+     * @param {string} key - キャッシュキー
+     * @param {string} translatedText - 訳文
+     * @returns {Promise<void>}
+     */
+    async set(key, translatedText) {
+        if (!key || !translatedText || !this.isEnabled()) {
+            return;
+        }
+
+        const now = Date.now();
+        const record = { key: key, translatedText: translatedText, createdAt: now, lastUsedAt: now };
+
+        try {
+            const database = await this.openDatabase();
+
+            if (database) {
+                await this.runTransaction(database, 'readwrite', store => {
+                    store.put(record);
+                });
+                await this.evict(database);
+            } else {
+                this.memoryCache.delete(key);
+                this.memoryCache.set(key, record);
+                while (this.memoryCache.size > this.constants.MAX_ENTRIES) {
+                    this.memoryCache.delete(this.memoryCache.keys().next().value);
+                }
+            }
+        } catch (error) {
+        }
+    }
+
+    /**
+     * 保存件数の取得
+     *
+     * @returns {Promise<number>} 保存件数
+     */
+    async count() {
+        try {
+            const database = await this.openDatabase();
+            if (!database) {
+                return this.memoryCache.size;
+            }
+
+            return await this.runTransaction(database, 'readonly', (store, setResult) => {
+                const request = store.count();
+                request.onsuccess = () => setResult(request.result);
+            });
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    /**
+     * キャッシュの全削除
+     * ヒット率の集計もリセットする
+     *
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.memoryCache.clear();
+        this.hits = 0;
+        this.misses = 0;
+
+        try {
+            const database = await this.openDatabase();
+            if (database) {
+                await this.runTransaction(database, 'readwrite', store => {
+                    store.clear();
+                });
+            }
+        } catch (error) {
+        }
+    }
+
+    /**
+     * キャッシュの統計情報を取得
+     *
+     * @returns {Object} 統計情報 { hits, misses, hitRate, storage }（hitRateは0〜1）
+     */
+    getStats() {
+        const total = this.hits + this.misses;
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: total > 0 ? Math.round(this.hits / total * 1000) / 1000 : 0,
+            storage: this.usesMemory ? 'memory' : 'indexedDB'
+        };
+    }
+
+    /**
+     * IndexedDBへの接続
+     * 初回のみ接続し、使用できない場合はnullで解決する
+     * @private
+     *
+     * @returns {Promise<IDBDatabase|null>} データベース
+     */
+    openDatabase() {
+        if (this.databasePromise) {
+            return this.databasePromise;
+        }
+
+        this.databasePromise = new Promise(resolve => {
+            const fallback = () => {
+                this.usesMemory = true;
+                resolve(null);
+            };
+
+            try {
+                if (!window.indexedDB) {
+                    fallback();
+                    return;
+                }
+
+                const request = indexedDB.open(this.constants.DB_NAME, this.constants.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.constants.STORE_NAME, { keyPath: 'key' });
+                    store.createIndex(this.constants.LAST_USED_INDEX, 'lastUsedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = fallback;
+            } catch (error) {
+                fallback();
+            }
+        });
+
+        return this.databasePromise;
+    }
+
+    /**
+     * トランザクションの実行
+     * @private
+     *
+     * @param {IDBDatabase} database - データベース
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} operation - (store, setResult) を受け取り、ストアを操作する関数
+     * @returns {Promise<*>} setResultに渡された値（トランザクション完了時に解決）
+     */
+    runTransaction(database, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.constants.STORE_NAME, mode);
+            let result;
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+
+            operation(transaction.objectStore(this.constants.STORE_NAME), value => {
+                result = value;
+            });
+        });
+    }
+
+    /**
+     * 上限件数を超えた分の削除（最終使用日時の古い順）
+     * @private
+     *
+     * @param {IDBDatabase} database - データベース
+     * @returns {Promise<void>}
+     */
+    evict(database) {
+        return this.runTransaction(database, 'readwrite', store => {
+            const countRequest = store.count();
+            countRequest.onsuccess = () => {
+                let excess = countRequest.result - this.constants.MAX_ENTRIES;
+                if (excess <= 0) {
+                    return;
+                }
+
+                store.index(this.constants.LAST_USED_INDEX).openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor && excess > 0) {
+                        cursor.delete();
+                        excess--;
+                        cursor.continue();
+                    }
+                };
+            };
+        });
+    }
+}
+
+// グローバルインスタンス
+window.translationCache = new TranslationCache();
@@ -0,0 +1,530 @@
+/**
+ * 翻訳プロバイダーモジュール
+ * Chinese Speech to Text
+ *
+ * GeminiTranslatorが使用する翻訳APIを差し替え可能にするモジュール
+ * Geminiの無料枠を使い切った場合などに、設定から別の翻訳APIへ切り替えられる
+ *
+ * プロバイダーの契約:
+ * - usesPrompt: trueの場合はgeneratePrompt()で生成したプロンプトを、falseの場合は原文をそのまま送信する
+ * - isConfigured(): 翻訳を実行できる設定（APIキーなど）が揃っているか
+ * - request({ prompt, text, context, sourceLang, targetLang }, { signal }): APIを呼び出してレスポンスを返す
+ *   （contextは文脈として渡す直前の行の配列で、プロンプトを使用するプロバイダーではプロンプトに含め済み）
+ * - parseResponse(response): レスポンスから訳文を取り出す（取り出せない場合は例外）
+ * - supportsStreaming: trueの場合はstream(params, { signal, onText })で訳文を逐次受信し、
+ *   受信完了後にrequest()と同じ形式のレスポンスを返す
+ * - signalが中止された場合は name が 'AbortError' の例外を投げる
+ *
+ * 機能概要:
+ * - Google Gemini（generateContent、streamGenerateContentによる逐次受信）プロバイダー
+ * - OpenAI互換のChat Completions APIプロバイダー（Ollama、llama.cppなどのローカルLLMサーバーにも対応）
+ * - DeepL形式のREST APIプロバイダー（プロンプトを使用しない機械翻訳）
+ * - 設定値からプロバイダーを生成するファクトリー
+ *
+ * 【注意】DeepL APIはブラウザからの直接呼び出し（CORS）を許可していないため、
+ * 同じ形式で中継するプロキシのURLをエンドポイントに指定してください
+ */
+
+// 翻訳プロバイダー設定定数
+const TRANSLATION_PROVIDER_CONSTANTS = {
+    TEMPERATURE: 0.3,                  // AIモデルのランダム性設定
+    MAX_OUTPUT_TOKENS: 2048,           // 最大出力トークン数
+    DEEPL_LANGUAGE_CODES: {            // DeepLの原文の言語コード（広東語は中国語として送信、翻訳先はTARGET_LANGUAGE_CONFIGを使用）
+        'zh-CN': 'ZH',
+        'zh-TW': 'ZH',
+        'yue-Hant-HK': 'ZH',
+        'zh-HK': 'ZH'
+    }
+};
+
+/**
+ * 翻訳プロバイダーの基底クラス
+ * タイムアウト付きのJSON POSTとAPIエラーの整形を提供
+ */
+class TranslationProvider {
+    /**
+     * @param {Object} [options={}] - プロバイダー設定
+     * @param {string} [options.apiKey] - APIキー
+     * @param {string} [options.model] - 使用モデル
+     * @param {string} [options.endpoint] - APIエンドポイントURL
+     */
+    constructor(options = {}) {
+        this.apiKey = options.apiKey || '';
+        this.model = options.model || '';
+        this.endpoint = options.endpoint || '';
+        this.usesPrompt = true;
+        this.supportsStreaming = false;
+        this.config = APP_CONFIG.API_CONFIG;
+    }
+
+    /**
+     * 翻訳を実行できる設定が揃っているか判定
+     *
+     * @returns {boolean} 設定済みかどうか
+     */
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    /**
+     * JSONのPOSTリクエスト実行
+     * @private
+     *
+     * @param {string} url - リクエストURL
+     * @param {Object} body - リクエストボディ
+     * @param {Object} [headers={}] - 追加のリクエストヘッダー
+     * @param {AbortSignal} [signal] - 呼び出し元からの中止シグナル
+     * @returns {Promise<Object>} レスポンスのJSON
+     * @throws {Error} APIエラー、ネットワークエラー、タイムアウトエラー、中止（AbortError）
+     */
+    async postJSON(url, body, headers = {}, signal) {
+        const scope = this.createRequestScope(signal);
+
+        try {
+            const response = await this.post(url, body, headers, scope);
+            return await response.json();
+
+        } catch (error) {
+            throw this.normalizeError(error, signal);
+        } finally {
+            scope.release();
+        }
+    }
+
+    /**
+     * Server-Sent Events形式で応答するPOSTリクエスト実行
+     * イベントごとにdata行のJSONをコールバックに渡す（[DONE]は無視）
+     * タイムアウトはデータを受信するたびに延長する
+     * @private
+     *
+     * @param {string} url - リクエストURL
+     * @param {Object} body - リクエストボディ
+     * @param {Object} [headers={}] - 追加のリクエストヘッダー
+     * @param {AbortSignal} [signal] - 呼び出し元からの中止シグナル
+     * @param {Function} onEvent - イベントのJSONを受け取るコールバック（例外を投げると受信を中断）
+     * @returns {Promise<void>} 受信完了時に解決されるPromise
+     * @throws {Error} APIエラー、ネットワークエラー、タイムアウトエラー、中止（AbortError）
+     */
+    async postStream(url, body, headers = {}, signal, onEvent) {
+        const scope = this.createRequestScope(signal);
+
+        try {
+            const response = await this.post(url, body, headers, scope);
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            while (true) {
+                const { done, value } = await reader.read();
+                scope.resetTimeout();
+
+                buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+                // 空行で区切られたイベントのうち、受信が完了したものを処理
+                const events = buffer.split(/\r?\n\r?\n/);
+                buffer = done ? '' : events.pop();
+                events.forEach(event => this.dispatchEvent(event, onEvent));
+
+                if (done) {
+                    break;
+                }
+            }
+
+        } catch (error) {
+            throw this.normalizeError(error, signal);
+        } finally {
+            scope.release();
+        }
+    }
+
+    /**
+     * SSEの1イベントの解析とコールバック呼び出し
+     * @private
+     *
+     * @param {string} event - イベントのテキスト（複数行）
+     * @param {Function} onEvent - イベントのJSONを受け取るコールバック
+     */
+    dispatchEvent(event, onEvent) {
+        const data = event.split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trim())
+            .join('\n');
+
+        if (!data || data === '[DONE]') {
+            return;
+        }
+
+        onEvent(JSON.parse(data));
+    }
+
+    /**
+     * POSTリクエストの送信とHTTPエラーの判定
+     * @private
+     *
+     * @param {string} url - リクエストURL
+     * @param {Object} body - リクエストボディ
+     * @param {Object} headers - 追加のリクエストヘッダー
+     * @param {Object} scope - createRequestScope()の戻り値
+     * @returns {Promise<Response>} 成功したレスポンス
+     * @throws {Error} APIエラー（APIのエラーメッセージを含む）
+     */
+    async post(url, body, headers, scope) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...headers
+            },
+            body: JSON.stringify(body),
+            signal: scope.signal
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(`API Error: ${response.status} - ${this.getErrorMessage(errorData) || response.statusText}`);
+        }
+
+        return response;
+    }
+
+    /**
+     * タイムアウトと呼び出し元の中止シグナルをまとめたリクエストの中止制御を作成
+     * @private
+     *
+     * @param {AbortSignal} [signal] - 呼び出し元からの中止シグナル
+     * @returns {Object} 中止制御 { signal, resetTimeout, release }
+     */
+    createRequestScope(signal) {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        let timeoutId = null;
+
+        const scope = {
+            signal: controller.signal,
+            resetTimeout: () => {
+                clearTimeout(timeoutId);
+                timeoutId = setTimeout(abort, this.config.REQUEST_TIMEOUT);
+            },
+            release: () => {
+                clearTimeout(timeoutId);
+                signal?.removeEventListener('abort', abort);
+            }
+        };
+
+        if (signal?.aborted) {
+            abort();
+        } else {
+            signal?.addEventListener('abort', abort);
+        }
+        scope.resetTimeout();
+
+        return scope;
+    }
+
+    /**
+     * 通信エラーの整形
+     * 呼び出し元による中止はAbortErrorのまま、タイムアウトによる中止はタイムアウトエラーにする
+     * @private
+     *
+     * @param {Error} error - 発生したエラー
+     * @param {AbortSignal} [signal] - 呼び出し元からの中止シグナル
+     * @returns {Error} 整形したエラー
+     */
+    normalizeError(error, signal) {
+        if (error.name !== 'AbortError') {
+            return error;
+        }
+
+        if (signal?.aborted) {
+            const abortError = new Error('翻訳を中止しました');
+            abortError.name = 'AbortError';
+            return abortError;
+        }
+
+        return new Error('リクエストがタイムアウトしました');
+    }
+
+    /**
+     * エラーレスポンスからメッセージを取得
+     * @private
+     *
+     * @param {Object} errorData - エラーレスポンスのJSON
+     * @returns {string} エラーメッセージ（取得できない場合は空文字列）
+     */
+    getErrorMessage(errorData) {
+        return errorData?.error?.message || errorData?.message || '';
+    }
+
+    /**
+     * 翻訳APIの呼び出し
+     *
+     * @param {Object} params - リクエスト内容 { prompt, text, context, sourceLang, targetLang }
+     * @param {Object} [options={}] - 通信オプション
+     * @param {AbortSignal} [options.signal] - 中止シグナル
+     * @returns {Promise<Object>} APIレスポンス
+     */
+    async request(params, options = {}) {
+        throw new Error('request() is not implemented');
+    }
+
+    /**
+     * 翻訳APIの呼び出し（訳文の逐次受信）
+     *
+     * @param {Object} params - リクエスト内容 { prompt, text, context, sourceLang, targetLang }
+     * @param {Object} [options={}] - 通信オプション
+     * @param {AbortSignal} [options.signal] - 中止シグナル
+     * @param {Function} [options.onText] - 受信済みの訳文全体を受け取るコールバック
+     * @returns {Promise<Object>} request()と同じ形式のAPIレスポンス
+     */
+    async stream(params, options = {}) {
+        throw new Error('stream() is not implemented');
+    }
+
+    /**
+     * APIレスポンスから訳文を取り出す
+     *
+     * @param {Object} response - APIレスポンス
+     * @returns {string} 訳文
+     */
+    parseResponse(response) {
+        throw new Error('parseResponse() is not implemented');
+    }
+}
+
+/**
+ * Google Gemini プロバイダー
+ * generateContentにプロンプトを送信し、candidatesから訳文を取り出す
+ * 逐次受信ではstreamGenerateContent（SSE）で受信した断片を連結する
+ */
+class GeminiTranslationProvider extends TranslationProvider {
+    constructor(options = {}) {
+        super(options);
+        this.supportsStreaming = true;
+    }
+
+    async request({ prompt }, options = {}) {
+        const url = `${this.config.GEMINI_BASE_URL}${this.model}:generateContent?key=${this.apiKey}`;
+        return this.postJSON(url, this.buildRequestBody(prompt), {}, options.signal);
+    }
+
+    async stream({ prompt }, options = {}) {
+        const url = `${this.config.GEMINI_BASE_URL}${this.model}:streamGenerateContent?alt=sse&key=${this.apiKey}`;
+        let text = '';
+        let finishReason = null;
+
+        await this.postStream(url, this.buildRequestBody(prompt), {}, options.signal, chunk => {
+            if (chunk.error) {
+                throw new Error(`API Error: ${chunk.error.code} - ${chunk.error.message}`);
+            }
+            if (chunk.promptFeedback?.blockReason) {
+                throw new Error(`blockReason: ${chunk.promptFeedback.blockReason}`);
+            }
+
+            const candidate = chunk.candidates?.[0];
+            if (!candidate) {
+                return;
+            }
+
+            finishReason = candidate.finishReason || finishReason;
+
+            const part = (candidate.content?.parts || []).map(item => item.text || '').join('');
+            if (part) {
+                text += part;
+                options.onText?.(text);
+            }
+        });
+
+        // generateContentと同じ形式にまとめて返す
+        return {
+            candidates: [{
+                finishReason: finishReason,
+                content: { parts: [{ text: text }] }
+            }]
+        };
+    }
+
+    /**
+     * generateContent / streamGenerateContent のリクエストボディ生成
+     * @private
+     *
+     * @param {string} prompt - 翻訳プロンプト
+     * @returns {Object} リクエストボディ
+     */
+    buildRequestBody(prompt) {
+        return {
+            contents: [{
+                parts: [{
+                    text: prompt
+                }]
+            }],
+            generationConfig: {
+                temperature: TRANSLATION_PROVIDER_CONSTANTS.TEMPERATURE,
+                topK: 40,
+                topP: 0.95,
+                maxOutputTokens: TRANSLATION_PROVIDER_CONSTANTS.MAX_OUTPUT_TOKENS
+            },
+            safetySettings: [
+                {
+                    category: "HARM_CATEGORY_HARASSMENT",
+                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
+                },
+                {
+                    category: "HARM_CATEGORY_HATE_SPEECH",
+                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
+                },
+                {
+                    category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
+                },
+                {
+                    category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
+                }
+            ]
+        };
+    }
+
+    parseResponse(response) {
+        if (!response || !response.candidates || !response.candidates[0]) {
+            throw new Error('無効なAPI応答です');
+        }
+
+        const candidate = response.candidates[0];
+
+        // Gemini API finishReasonのチェック（STOP以外は異常終了）
+        if (candidate.finishReason && candidate.finishReason !== 'STOP') {
+            throw new Error(`finishReason: ${candidate.finishReason}`);
+        }
+
+        if (!candidate.content || !candidate.content.parts || !candidate.content.parts[0]) {
+            throw new Error('API_RESPONSE_NO_CONTENT');
+        }
+
+        return candidate.content.parts[0].text;
+    }
+}
+
+/**
+ * OpenAI互換 Chat Completions プロバイダー
+ * エンドポイント（例: https://api.openai.com/v1、http://localhost:11434/v1）の /chat/completions に送信
+ * ローカルLLMサーバーはAPIキー不要のため、エンドポイントとモデルが設定されていれば使用可能とする
+ */
+class OpenAICompatibleTranslationProvider extends TranslationProvider {
+    isConfigured() {
+        return !!(this.endpoint && this.model);
+    }
+
+    async request({ prompt }, options = {}) {
+        const url = `${this.endpoint.replace(/\/+$/, '')}/chat/completions`;
+        const headers = this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+
+        return this.postJSON(url, {
+            model: this.model,
+            messages: [{
+                role: 'user',
+                content: prompt
+            }],
+            temperature: TRANSLATION_PROVIDER_CONSTANTS.TEMPERATURE,
+            max_tokens: TRANSLATION_PROVIDER_CONSTANTS.MAX_OUTPUT_TOKENS
+        }, headers, options.signal);
+    }
+
+    parseResponse(response) {
+        const choice = response?.choices?.[0];
+        if (!choice) {
+            throw new Error('無効なAPI応答です');
+        }
+
+        // 出力の打ち切り・フィルターは異常終了として扱う
+        if (choice.finish_reason && choice.finish_reason !== 'stop') {
+            throw new Error(`finish_reason: ${choice.finish_reason}`);
+        }
+
+        if (!choice.message) {
+            throw new Error('API_RESPONSE_NO_CONTENT');
+        }
+
+        return choice.message.content;
+    }
+}
+
+/**
+ * DeepL形式 REST プロバイダー
+ * プロンプトを使わず原文と言語コードを送信する（翻訳スタイル・話者の指定は反映されない）
+ */
+class DeepLTranslationProvider extends TranslationProvider {
+    constructor(options = {}) {
+        super(options);
+        this.usesPrompt = false;
+    }
+
+    isConfigured() {
+        return !!(this.apiKey && this.endpoint);
+    }
+
+    getErrorMessage(errorData) {
+        return errorData?.message || super.getErrorMessage(errorData);
+    }
+
+    async request({ text, context = [], sourceLang, targetLang }, options = {}) {
+        const codes = TRANSLATION_PROVIDER_CONSTANTS.DEEPL_LANGUAGE_CODES;
+        const targetCode = APP_CONFIG.TARGET_LANGUAGE_CONFIG[targetLang]?.deepl;
+
+        if (!targetCode) {
+            throw new Error(`DeepLは翻訳先の言語（${targetLang}）に対応していません`);
+        }
+
+        const body = {
+            text: [text],
+            source_lang: codes[sourceLang] || 'ZH',
+            target_lang: targetCode
+        };
+
+        // 直前の行の原文はcontextパラメーターで渡す（翻訳・課金の対象外）
+        if (context.length > 0) {
+            body.context = context.map(line => line.text).join('\n');
+        }
+
+        return this.postJSON(this.endpoint, body, {
+            'Authorization': `DeepL-Auth-Key ${this.apiKey}`
+        }, options.signal);
+    }
+
+    parseResponse(response) {
+        const translation = response?.translations?.[0];
+        if (!translation) {
+            throw new Error('API_RESPONSE_NO_CONTENT');
+        }
+
+        return translation.text;
+    }
+}
+
+/**
+ * 翻訳プロバイダーのファクトリー
+ * 設定値（'gemini' | 'openai' | 'deepl'）から対応するプロバイダーを生成
+ */
+const TranslationProviderFactory = {
+    /**
+     * プロバイダーインスタンスの生成
+     *
+     * @param {string} type - プロバイダー種別
+     * @param {Object} [options={}] - プロバイダー設定 { apiKey, model, endpoint }
+     * @returns {TranslationProvider} 翻訳プロバイダーインスタンス
+     */
+    create(type, options = {}) {
+        switch (type) {
+            case 'openai':
+                return new OpenAICompatibleTranslationProvider(options);
+            case 'deepl':
+                return new DeepLTranslationProvider(options);
+            case 'gemini':
+            default:
+                return new GeminiTranslationProvider(options);
+        }
+    }
+};
+
+// グローバル公開
+window.TranslationProvider = TranslationProvider;
+window.TranslationProviderFactory = TranslationProviderFactory;
@@ -2,16 +2,18 @@
  * 翻訳モジュール
  * Chinese Speech to Text
  * 
- * Google Gemini APIを使用して中国語テキストを日本語に翻訳するモジュール
+ * Google Gemini APIなどの翻訳APIを使用して中国語テキストを日本語（設定で英語・韓国語なども選択可）に翻訳するモジュール
  * レート制限、エラーハンドリング、バッチ処理に対応
+ * API呼び出しとレスポンスの解析は設定で選択した翻訳プロバイダー（translationProviders.js）が行う
  * 
  * 機能概要:
- * - Google Gemini APIを使用した高精度な中国語→日本語翻訳
+ * - Google Gemini API、OpenAI互換API、DeepL形式APIを切り替えた中国語→日本語翻訳
+ * - 翻訳先言語の選択と、翻訳先言語ごとの文言によるプロンプト生成
  * - レート制限とタイムアウト処理で安定したAPI呼び出し
  * - エラータイプに応じた自動リトライとフォールバック
  * - キューシステムによるバッチ処理と同時リクエスト制御
  * - 簡体字・繁体字中国語の自動語言検出と適切なプロンプト生成
- * - 翻訳履歴の管理とコンテキストを考慮した翻訳品質向上
+ * - 直前の認識結果（と訳文）を文脈としてプロンプトに含める翻訳品質向上
  * - コネクションテストとAPIキー検証機能
  */
 
@@ -22,8 +24,96 @@ const TRANSLATION_CONSTANTS = {
     MIN_REQUEST_INTERVAL: 1000,           // 最小リクエスト間隔（ミリ秒）
     QUEUE_PROCESS_DELAY: 500,             // キュー処理間の遅延
     MAX_RETRY_COUNT: 3,                   // 最大リトライ回数
-    TEMPERATURE: 0.3,                     // AIモデルのランダム性設定
-    MAX_OUTPUT_TOKENS: 2048               // 最大出力トークン数
+    CHARS_PER_TOKEN: 4                    // 漢字・かな以外の文字の1トークンあたりの文字数（トークン数の概算用）
+};
+
+// 翻訳先言語ごとのプロンプトの文言（指示を翻訳先の言語で書くと訳文が自然になりやすいため）
+// 専用の文言がない翻訳先は英語の文言に TARGET_LANGUAGE_CONFIG の promptName を組み合わせる
+const PROMPT_TEMPLATES = {
+    'ja': {
+        targetName: '日本語',
+        sourceNames: {
+            'zh-CN': '簡体字中国語',
+            'zh-TW': '繁体字中国語',
+            'yue-Hant-HK': '広東語（粤語）',
+            'zh-HK': '広東語（香港で話される粤語）'
+        },
+        defaultSourceName: '中国語',
+        header: (source, target) => `以下のテキストを${source}から${target}に翻訳してください。`,
+        rulesTitle: '重要な指示:',
+        rules: target => [
+            '翻訳結果のみを出力すること',
+            '説明、前置き、確認メッセージなどは一切含めないこと',
+            'メタ情報や翻訳プロセスの説明は不要',
+            `原文の意味を正確に、自然な${target}で表現すること`
+        ],
+        cantonese: '原文は広東語の口語であり、係・唔・咗・嘅・啲・佢・冇などは広東語の語彙として解釈すること',
+        speaker: (name, style) => `話者: ${name}${style ? `（口調: ${style}）` : ''}。話者に合った口調で翻訳すること`,
+        glossary: '次の用語は指定した訳語を必ず使用すること',
+        note: note => `（${note}）`,
+        context: '「文脈」は直前の発言であり、代名詞・省略された主語・話題の把握にのみ使用し、翻訳・出力しないこと',
+        style: style => `スタイル: ${style}`,
+        contextTitle: '文脈（翻訳しないこと）:',
+        contextTag: '文脈',
+        contextTranslation: translation => `（訳: ${translation}）`,
+        textTitle: '翻訳対象テキスト:'
+    },
+    'en': {
+        targetName: 'English',
+        sourceNames: {
+            'zh-CN': 'Simplified Chinese',
+            'zh-TW': 'Traditional Chinese',
+            'yue-Hant-HK': 'Cantonese',
+            'zh-HK': 'Cantonese (as spoken in Hong Kong)'
+        },
+        defaultSourceName: 'Chinese',
+        header: (source, target) => `Translate the following text from ${source} into ${target}.`,
+        rulesTitle: 'Important instructions:',
+        rules: target => [
+            'Output only the translation',
+            'Do not include any explanations, preambles or confirmation messages',
+            'Do not describe metadata or the translation process',
+            `Convey the meaning of the original accurately in natural ${target}`
+        ],
+        cantonese: 'The original is colloquial Cantonese; interpret 係, 唔, 咗, 嘅, 啲, 佢, 冇 and similar words as Cantonese vocabulary',
+        speaker: (name, style) => `Speaker: ${name}${style ? ` (tone: ${style})` : ''}. Match the speaker's tone in the translation`,
+        glossary: 'Always use the specified translations for the following terms',
+        note: note => ` (${note})`,
+        context: '"Context" contains the preceding utterances; use it only to resolve pronouns, omitted subjects and the topic, and do not translate or output it',
+        style: style => `Style: ${style}`,
+        contextTitle: 'Context (do not translate):',
+        contextTag: 'CONTEXT',
+        contextTranslation: translation => ` (translation: ${translation})`,
+        textTitle: 'Text to translate:'
+    },
+    'ko': {
+        targetName: '한국어',
+        sourceNames: {
+            'zh-CN': '간체 중국어',
+            'zh-TW': '번체 중국어',
+            'yue-Hant-HK': '광둥어(월어)',
+            'zh-HK': '광둥어(홍콩에서 쓰이는 월어)'
+        },
+        defaultSourceName: '중국어',
+        header: (source, target) => `다음 텍스트를 ${source}에서 ${target}로 번역하세요.`,
+        rulesTitle: '중요 지침:',
+        rules: target => [
+            '번역 결과만 출력할 것',
+            '설명, 서두, 확인 메시지 등은 일절 포함하지 말 것',
+            '메타 정보나 번역 과정에 대한 설명은 필요 없음',
+            `원문의 의미를 정확하고 자연스러운 ${target}로 표현할 것`
+        ],
+        cantonese: '원문은 광둥어 구어이며, 係・唔・咗・嘅・啲・佢・冇 등은 광둥어 어휘로 해석할 것',
+        speaker: (name, style) => `화자: ${name}${style ? `(말투: ${style})` : ''}. 화자에 맞는 말투로 번역할 것`,
+        glossary: '다음 용어는 지정한 번역어를 반드시 사용할 것',
+        note: note => `(${note})`,
+        context: '「문맥」은 직전 발언이며, 대명사・생략된 주어・화제를 파악하는 데에만 사용하고 번역하거나 출력하지 말 것',
+        style: style => `스타일: ${style}`,
+        contextTitle: '문맥(번역하지 말 것):',
+        contextTag: '문맥',
+        contextTranslation: translation => `(번역: ${translation})`,
+        textTitle: '번역할 텍스트:'
+    }
 };
 
 class GeminiTranslator {
@@ -32,6 +122,9 @@ class GeminiTranslator {
         this.apiKey = '';                     // APIキー（初期化時に設定）
         this.model = TRANSLATION_CONSTANTS.DEFAULT_MODEL;  // 使用モデル
         
+        // 翻訳プロバイダー（設定の変更時に再生成）
+        this.provider = null;
+        
         // 設定と状態管理
         this.config = APP_CONFIG.API_CONFIG;  // API設定の参照
         
@@ -42,6 +135,9 @@ class GeminiTranslator {
         // レート制限管理
         this.lastRequestTime = 0;             // 最後のリクエスト時刻
         
+        // 翻訳エリアに表示中の翻訳の中止制御（新しい翻訳の開始時に前の翻訳を中止）
+        this.activeController = null;
+        
         // 初期化実行
         this.initializeTranslator();
     }
@@ -57,10 +153,59 @@ class GeminiTranslator {
             this.apiKey = stateManager.storage.getApiKey();
             this.model = stateManager.getState('config.geminiModel') || 'gemini-2.0-flash';
             
+            this.refreshProvider();
+            
         } catch (error) {
         }
     }
 
+    /**
+     * 設定に応じた翻訳プロバイダーの再生成
+     * プロバイダーの種別、APIキー、モデル、エンドポイントの変更時に呼び出す
+     */
+    refreshProvider() {
+        const type = stateManager.getState('config.translationProvider') || 'gemini';
+        this.provider = TranslationProviderFactory.create(type, this.getProviderOptions(type));
+    }
+
+    /**
+     * プロバイダー種別ごとの設定値を取得
+     * @private
+     * 
+     * @param {string} type - プロバイダー種別（gemini / openai / deepl）
+     * @returns {Object} プロバイダー設定 { apiKey, model, endpoint }
+     */
+    getProviderOptions(type) {
+        switch (type) {
+            case 'openai':
+                return {
+                    apiKey: stateManager.getState('config.openaiApiKey'),
+                    model: stateManager.getState('config.openaiModel'),
+                    endpoint: stateManager.getState('config.openaiEndpoint')
+                };
+            case 'deepl':
+                return {
+                    apiKey: stateManager.getState('config.deeplApiKey'),
+                    endpoint: stateManager.getState('config.deeplEndpoint')
+                };
+            case 'gemini':
+            default:
+                return {
+                    apiKey: this.apiKey,
+                    model: this.model
+                };
+        }
+    }
+
+    /**
+     * 選択中の翻訳プロバイダーで翻訳を実行できるか判定
+     * 
+     * @returns {boolean} APIキーなどの設定が揃っているかどうか
+     */
+    isConfigured() {
+        return !!this.provider?.isConfigured();
+    }
+
     /**
      * Google Gemini APIキーの設定
      * 翻訳機能を使用する前に必須の設定
@@ -70,6 +215,7 @@ class GeminiTranslator {
      */
     setApiKey(apiKey) {
         this.apiKey = apiKey;
+        this.refreshProvider();
     }
 
     /**
@@ -81,21 +227,27 @@ class GeminiTranslator {
      */
     setModel(model) {
         this.model = model;
+        this.refreshProvider();
     }
 
     /**
      * 中国語テキストの日本語翻訳メイン関数
      * テキストバリデーション、プロンプト生成、API呼び出し、結果処理を一連で実行
      * エラー時は状態を適切に更新し、ユーザーにフィードバックを提供
+     * 逐次表示が有効な場合は受信途中の訳文を翻訳状態に反映し、実行中の前の翻訳は中止する
      * 
      * @param {string} text - 翻訳対象の中国語テキスト
      * @param {Object} [options={}] - 翻訳オプション（言語指定、コンテキストなど）
      * @returns {Promise<Object>} 翻訳結果オブジェクト（success, translatedText, errorなど）
      */
     async translate(text, options = {}) {
+        this.cancelTranslation();
+        const controller = new AbortController();
+        this.activeController = controller;
+
         try {
             // APIキーチェック
-            if (!this.apiKey) {
+            if (!this.isConfigured()) {
                 stateManager.setError('TRANSLATION', 'API_KEY_MISSING');
                 throw new Error('APIキーが設定されていません');
             }
@@ -125,14 +277,16 @@ class GeminiTranslator {
                 lastTranslationTime: Date.now()
             });
 
-            // プロンプト生成
-            const prompt = this.generatePrompt(trimmedText, options);
-
-            // API呼び出し
-            const response = await this.callGeminiAPI(prompt);
-
-            // 結果処理
-            const translatedText = this.processResponse(response);
+            // API呼び出しと結果処理（受信途中の訳文は読み込み中のまま表示）
+            const translatedText = await this.requestTranslation(trimmedText, {
+                ...options,
+                signal: controller.signal,
+                onProgress: partialText => {
+                    if (this.activeController === controller) {
+                        stateManager.updateTranslationState({ translatedText: partialText });
+                    }
+                }
+            });
 
             // 状態更新（成功時はエラー状態をクリア）
             stateManager.updateTranslationState({
@@ -146,12 +300,23 @@ class GeminiTranslator {
                 success: true,
                 originalText: trimmedText,
                 translatedText: translatedText,
-                model: this.model,
+                model: this.provider.model,
                 timestamp: Date.now()
             };
 
         } catch (error) {
             
+            // 中止された翻訳は、中止した側が状態を更新するためエラーとして扱わない
+            if (error.name === 'AbortError') {
+                return {
+                    success: false,
+                    aborted: true,
+                    error: error.message,
+                    originalText: text,
+                    timestamp: Date.now()
+                };
+            }
+            
             // エラーに応じた処理
             this.handleTranslationError(error);
             
@@ -169,166 +334,285 @@ class GeminiTranslator {
                 originalText: text,
                 timestamp: Date.now()
             };
+        } finally {
+            if (this.activeController === controller) {
+                this.activeController = null;
+            }
+        }
+    }
+
+    /**
+     * 翻訳エリアに表示中の翻訳の中止
+     * 実行中の翻訳がある場合は通信を中止し、読み込み中の状態を解除する
+     *
+     * @returns {boolean} 中止した翻訳があったかどうか
+     */
+    cancelTranslation() {
+        if (!this.activeController) {
+            return false;
         }
+
+        this.activeController.abort();
+        this.activeController = null;
+        stateManager.updateTranslationState({ isLoading: false });
+
+        return true;
     }
 
     /**
-     * Gemini AI用の翻訳プロンプト生成
+     * AIモデル（Gemini、OpenAI互換API）用の翻訳プロンプト生成
      * 翻訳スタイル設定を考慮した高品質な翻訳プロンプトを作成
      * 簡体字・繁体字中国語の区別、文化的ニュアンス、専門用語を考慮
      * 
      * @param {string} text - 翻訳対象テキスト
      * @param {Object} [options={}] - プロンプトオプション
-     * @param {string} [options.sourceLang] - ソース言語（zh-CN, zh-TW）
-     * @param {string} [options.targetLang] - ターゲット言語（ja）
+     * @param {string} [options.sourceLang] - ソース言語（zh-CN, zh-TW, yue-Hant-HK, zh-HK）
+     * @param {string} [options.targetLang] - ターゲット言語（TARGET_LANGUAGE_CONFIGのキー、省略時は設定の翻訳先言語）
+     * @param {Object} [options.speaker] - 発言した話者 { name, style }（口調の指定に使用）
+     * @param {Array<Object>} [options.context] - 文脈として渡す直前の行（getContextLinesの戻り値）
+     * @param {Array<Object>} [options.glossary] - 原文に含まれる用語集の用語 { source, target, note }
      * @returns {string} 生成されたプロンプト文字列
      */
     generatePrompt(text, options = {}) {
         const sourceLang = options.sourceLang || stateManager.getState('config.language') || 'zh-CN';
-        const targetLang = options.targetLang || 'ja';
+        const targetLang = options.targetLang || this.getTargetLanguage();
         
-        const langMap = {
-            'zh-CN': '簡体字中国語',
-            'zh-TW': '繁体字中国語',
-            'ja': '日本語'
-        };
-
-        const sourceLanguage = langMap[sourceLang] || '中国語';
-        const targetLanguage = langMap[targetLang] || '日本語';
+        // 翻訳先言語の文言（専用の文言がない場合は英語）
+        const template = PROMPT_TEMPLATES[targetLang] || PROMPT_TEMPLATES.en;
+        const sourceLanguage = template.sourceNames[sourceLang] || template.defaultSourceName;
+        const targetLanguage = PROMPT_TEMPLATES[targetLang]?.targetName ||
+            APP_CONFIG.TARGET_LANGUAGE_CONFIG[targetLang]?.promptName ||
+            PROMPT_TEMPLATES.ja.targetName;
+        
+        // 広東語は標準中国語として解釈されないよう口語の特徴を指示
+        const cantoneseNote = Utils.isCantonese(sourceLang)
+            ? `- ${template.cantonese}\n`
+            : '';
 
         // 翻訳スタイル設定を取得
         const translationStyle = stateManager.getState('config.translationStyle') || '';
 
+        // 話者ごとに訳文の口調を変えられるよう話者の名前と口調を指示
+        const speaker = options.speaker;
+        const speakerNote = speaker?.name
+            ? `- ${template.speaker(speaker.name, speaker.style)}\n`
+            : '';
+
+        // 名前やゲーム名の訳語が行ごとに変わらないよう、原文に含まれる用語だけ訳語を指示
+        const glossary = options.glossary || [];
+        const glossaryNote = glossary.length > 0
+            ? `- ${template.glossary}\n${glossary.map(entry => `  - ${entry.source} → ${entry.target}${entry.note ? template.note(entry.note) : ''}`).join('\n')}\n`
+            : '';
+
+        // 代名詞や省略された主語を補えるよう直前の行を翻訳対象と区別して渡す
+        const context = options.context || [];
+        const contextNote = context.length > 0
+            ? `- ${template.context}\n`
+            : '';
+        const contextBlock = context.length > 0
+            ? `${template.contextTitle}
+<<<${template.contextTag}
+${context.map(line => this.formatContextLine(line, template)).join('\n')}
+${template.contextTag}>>>
+
+`
+            : '';
+
         // プロンプト生成 
-        const prompt = `以下のテキストを${sourceLanguage}から${targetLanguage}に翻訳してください。
-重要な指示:
-- 翻訳結果のみを出力すること
-- 説明、前置き、確認メッセージなどは一切含めないこと
-- メタ情報や翻訳プロセスの説明は不要
-- 原文の意味を正確に、自然な${targetLanguage}で表現すること
-${translationStyle ? `- スタイル: ${translationStyle}` : ''}
-翻訳対象テキスト:
+        const prompt = `${template.header(sourceLanguage, targetLanguage)}
+${template.rulesTitle}
+${template.rules(targetLanguage).map(rule => `- ${rule}`).join('\n')}
+${cantoneseNote}${speakerNote}${glossaryNote}${contextNote}${translationStyle ? `- ${template.style(translationStyle)}` : ''}
+${contextBlock}${template.textTitle}
 ${text}`;
         return prompt;
     }
 
     /**
-     * Google Gemini APIへの翻訳リクエスト実行
-     * レート制限、タイムアウト、セキュリティ設定を含む安全なAPIコール
-     * AbortControllerでタイムアウト制御、fetch APIでHTTPリクエストを実行
-     * エラーレスポンスの適切なパーシングとユーザーフレンドリーなメッセージ化
+     * 設定の翻訳先言語を取得
      * 
-     * @param {string} prompt - Gemini AIに送信するプロンプト
-     * @returns {Promise<Object>} Gemini APIレスポンスオブジェクト
-     * @throws {Error} APIエラー、ネットワークエラー、タイムアウトエラー
+     * @returns {string} 翻訳先言語（TARGET_LANGUAGE_CONFIGのキー）
      */
-    async callGeminiAPI(prompt) {
-        const url = `${this.config.GEMINI_BASE_URL}${this.model}:generateContent?key=${this.apiKey}`;
-        
-        const requestBody = {
-            contents: [{
-                parts: [{
-                    text: prompt
-                }]
-            }],
-            generationConfig: {
-                temperature: 0.3,
-                topK: 40,
-                topP: 0.95,
-                maxOutputTokens: 2048
-            },
-            safetySettings: [
-                {
-                    category: "HARM_CATEGORY_HARASSMENT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_HATE_SPEECH", 
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                }
-            ]
-        };
-
-        // レート制限対応
-        await this.handleRateLimit();
-
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.config.REQUEST_TIMEOUT);
-
-        try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(requestBody),
-                signal: controller.signal
-            });
-
-            clearTimeout(timeoutId);
+    getTargetLanguage() {
+        const targetLang = stateManager.getState('config.targetLanguage');
+        return APP_CONFIG.TARGET_LANGUAGE_CONFIG[targetLang] ? targetLang : 'ja';
+    }
 
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(`API Error: ${response.status} - ${errorData.error?.message || response.statusText}`);
+    /**
+     * 文脈として渡す直前の行の取得
+     * 指定した行より前の認識結果を新しい順に、設定の行数とトークン数の上限まで集める
+     * 
+     * @param {string} entryId - 翻訳する行（段落の場合は先頭の行）のテキスト履歴エントリID
+     * @returns {Array<Object>} 直前の行（{ text, translation, speaker }）の配列（古い順）
+     */
+    getContextLines(entryId) {
+        const maxLines = stateManager.getState('config.contextLineCount') || 0;
+        const tokenBudget = stateManager.getState('config.contextTokenBudget') || 0;
+        const includeTranslations = stateManager.getState('config.contextIncludeTranslations') !== false;
+        const history = stateManager.getState('textHistory') || [];
+        
+        // テキスト履歴は新しい順のため、指定した行より後ろが直前の行
+        const index = history.findIndex(entry => entry.id === entryId);
+        if (index < 0 || maxLines <= 0 || tokenBudget <= 0) {
+            return [];
+        }
+        
+        const lines = [];
+        let tokens = 0;
+        
+        for (const entry of history.slice(index + 1)) {
+            if (lines.length >= maxLines) {
+                break;
             }
-
-            const data = await response.json();
-            this.lastRequestTime = Date.now();
             
-            return data;
-
-        } catch (error) {
-            clearTimeout(timeoutId);
+            const line = {
+                text: entry.originalText,
+                translation: includeTranslations ? entry.translation || null : null,
+                speaker: entry.speaker || null
+            };
             
-            if (error.name === 'AbortError') {
-                throw new Error('リクエストがタイムアウトしました');
+            tokens += this.estimateTokens(this.formatContextLine(line));
+            if (tokens > tokenBudget) {
+                break;
             }
             
-            throw error;
+            lines.unshift(line);
         }
+        
+        return lines;
+    }
+
+    /**
+     * 文脈の1行の整形
+     * @private
+     * 
+     * @param {Object} line - 直前の行 { text, translation, speaker }
+     * @param {Object} [template=PROMPT_TEMPLATES.ja] - プロンプトの文言
+     * @returns {string} プロンプトに含める行
+     */
+    formatContextLine(line, template = PROMPT_TEMPLATES.ja) {
+        return `${line.speaker ? `${line.speaker}: ` : ''}${line.text}${line.translation ? template.contextTranslation(line.translation) : ''}`;
     }
 
     /**
-     * Gemini APIレスポンスのパーシングと翻訳テキスト抽出
-     * APIレスポンスの構造を検証し、安全に翻訳結果を取得
+     * テキストのトークン数の概算
+     * 漢字・かなは1文字1トークン、その他はCHARS_PER_TOKEN文字で1トークンとして数える
+     * @private
+     * 
+     * @param {string} text - 対象テキスト
+     * @returns {number} 概算トークン数
+     */
+    estimateTokens(text) {
+        const cjkCount = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff]/g) || []).length;
+        return cjkCount + Math.ceil((text.length - cjkCount) / TRANSLATION_CONSTANTS.CHARS_PER_TOKEN);
+    }
+
+    /**
+     * 翻訳プロバイダーへの翻訳リクエスト実行
+     * プロンプトを使用するプロバイダーには生成したプロンプトを、それ以外には原文と言語を送信
+     * レート制限を遵守してAPIを呼び出し、レスポンスから訳文を取り出す
+     * onProgressが指定され、プロバイダーが対応し、逐次表示が有効な場合は訳文を逐次受信する
+     * contextEntryIdが指定された場合はその行の直前の行を文脈として渡す
+     * 原文に含まれる用語集の用語を指示し、訳文が訳語を守っているかをonGlossaryCheckに通知する
+     * 翻訳キャッシュに同じ原文・設定の訳文がある場合はAPIを呼ばずに返し、新しい訳文はキャッシュに保存する
+     * 設定と異なる言語（第2翻訳言語）に翻訳する場合、用語集と文脈の訳文は設定の翻訳先言語のものなので渡さない
+     * 
+     * @param {string} text - 翻訳対象テキスト（検証・トリム済み）
+     * @param {Object} [options={}] - プロンプトオプション（generatePromptと同じ）と通信オプション
+     * @param {string} [options.contextEntryId] - 翻訳する行のテキスト履歴エントリID（文脈の取得に使用）
+     * @param {AbortSignal} [options.signal] - 中止シグナル（中止時は name が 'AbortError' の例外）
+     * @param {Function} [options.onProgress] - 受信済みの訳文全体を受け取るコールバック
+     * @param {Function} [options.onGlossaryCheck] - 訳語が使われていない用語の配列を受け取るコールバック
+     * @returns {Promise<string>} 訳文
+     * @throws {Error} APIエラー、ネットワークエラー、タイムアウトエラー、レスポンスのパーシングエラー、中止
+     */
+    async requestTranslation(text, options = {}) {
+        const provider = this.provider;
+        const targetLang = options.targetLang || this.getTargetLanguage();
+        const isPrimaryTarget = targetLang === this.getTargetLanguage();
+        const glossary = window.glossaryManager && isPrimaryTarget ? glossaryManager.findEntries(text) : [];
+        
+        // 同じ原文・設定の翻訳結果があればAPIを呼ばずに返す（接続テストは除く）
+        const cacheKey = window.translationCache && !options.isTest
+            ? translationCache.buildKey(text, {
+                provider: stateManager.getState('config.translationProvider') || 'gemini',
+                model: provider.model,
+                endpoint: provider.endpoint,
+                sourceLang: options.sourceLang || stateManager.getState('config.language') || 'zh-CN',
+                targetLang: targetLang,
+                style: stateManager.getState('config.translationStyle') || '',
+                speaker: options.speaker,
+                glossary: glossary
+            })
+            : null;
+        const cachedText = cacheKey ? await translationCache.get(cacheKey) : null;
+        if (cachedText) {
+            if (options.onGlossaryCheck && window.glossaryManager) {
+                options.onGlossaryCheck(glossaryManager.findViolations(glossary, cachedText));
+            }
+            return cachedText;
+        }
+        
+        // レート制限対応
+        await this.handleRateLimit();
+        
+        const contextLines = options.context || (options.contextEntryId ? this.getContextLines(options.contextEntryId) : []);
+        const context = isPrimaryTarget
+            ? contextLines
+            : contextLines.map(line => ({ ...line, translation: null }));
+        const params = {
+            prompt: provider.usesPrompt ? this.generatePrompt(text, { ...options, targetLang, context, glossary }) : '',
+            text: text,
+            context: context,
+            sourceLang: options.sourceLang || stateManager.getState('config.language') || 'zh-CN',
+            targetLang: targetLang
+        };
+        const streaming = typeof options.onProgress === 'function' &&
+            provider.supportsStreaming &&
+            stateManager.getState('config.streamingTranslation') !== false;
+        
+        const response = streaming
+            ? await provider.stream(params, { signal: options.signal, onText: options.onProgress })
+            : await provider.request(params, { signal: options.signal });
+        this.lastRequestTime = Date.now();
+        
+        const translatedText = this.processResponse(response, provider, { glossary, onGlossaryCheck: options.onGlossaryCheck });
+        if (cacheKey) {
+            translationCache.set(cacheKey, translatedText);
+        }
+        
+        return translatedText;
+    }
+
+    /**
+     * 翻訳APIレスポンスのパーシングと翻訳テキスト抽出
+     * プロバイダーごとのレスポンス構造から訳文を取り出し、安全に翻訳結果を取得
      * 空のレスポンスや不正なフォーマットに対するエラーハンドリング
+     * 用語集の用語が指定された場合は訳語が使われているかを検証して通知
      * 
-     * @param {Object} response - Gemini APIからのレスポンスオブジェクト
+     * @param {Object} response - 翻訳APIからのレスポンスオブジェクト
+     * @param {TranslationProvider} [provider=this.provider] - リクエストしたプロバイダー
+     * @param {Object} [options={}] - 検証オプション
+     * @param {Array<Object>} [options.glossary] - 原文に含まれる用語集の用語
+     * @param {Function} [options.onGlossaryCheck] - 訳語が使われていない用語の配列を受け取るコールバック
      * @returns {string} 抽出された翻訳テキスト
      * @throws {Error} レスポンスのパーシングエラー
      */
-    processResponse(response) {
+    processResponse(response, provider = this.provider, options = {}) {
         try {
-            if (!response || !response.candidates || !response.candidates[0]) {
-                throw new Error('無効なAPI応答です');
-            }
-
-            const candidate = response.candidates[0];
+            const translatedText = provider.parseResponse(response);
             
-            // Gemini API finishReasonのチェック（STOP以外は異常終了）
-            if (candidate.finishReason && candidate.finishReason !== 'STOP') {
-                throw new Error(`finishReason: ${candidate.finishReason}`);
-            }
-            
-            if (!candidate.content || !candidate.content.parts || !candidate.content.parts[0]) {
-                throw new Error('API_RESPONSE_NO_CONTENT');
+            if (!translatedText || typeof translatedText !== 'string') {
+                throw new Error('API_RESPONSE_INVALID_TEXT');
             }
 
-            const translatedText = candidate.content.parts[0].text;
+            const result = translatedText.trim();
             
-            if (!translatedText || typeof translatedText !== 'string') {
-                throw new Error('API_RESPONSE_INVALID_TEXT');
+            if (options.onGlossaryCheck && window.glossaryManager) {
+                options.onGlossaryCheck(glossaryManager.findViolations(options.glossary || [], result));
             }
 
-            return translatedText.trim();
+            return result;
 
         } catch (error) {
             // エラータイプに応じて適切なメッセージを生成
@@ -494,7 +778,7 @@ ${text}`;
      */
     async testConnection() {
         try {
-            if (!this.apiKey) {
+            if (!this.isConfigured()) {
                 throw new Error('APIキーが設定されていません');
             }
 
@@ -548,8 +832,10 @@ ${text}`;
             queueLength: this.requestQueue.length,
             isProcessing: this.isProcessing,
             lastRequestTime: this.lastRequestTime,
-            hasApiKey: !!this.apiKey,
-            currentModel: this.model
+            hasApiKey: this.isConfigured(),
+            currentProvider: stateManager.getState('config.translationProvider') || 'gemini',
+            currentModel: this.provider?.model || '',
+            cache: window.translationCache ? translationCache.getStats() : null
         };
     }
 
@@ -584,6 +870,9 @@ ${text}`;
         });
         this.requestQueue = [];
         
+        // 実行中の翻訳を中止
+        this.cancelTranslation();
+        
         // 処理状態をリセットし、新たなリクエストを受け付け可能に
         this.isProcessing = false;
     }
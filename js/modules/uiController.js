@@ -36,6 +36,12 @@ class UIController {
             '.timestamp',                            // その他の時刻表示
             '.toggle-area',                          // 翻訳切り替えエリア
             '.toggle-icon',                          // 翻訳切り替えアイコン
+            '.alternatives-picker',                  // 認識候補ピッカー
+            '.speaker-picker',                       // 話者ピッカー
+            '.paragraph-header',                     // 段落の見出し
+            '.paragraph-translation',                // 段落の翻訳
+            '.secondary-translation',                // 第2翻訳言語の訳文
+            '.confidence-badge',                     // 信頼度バッジ
             '.translation-content',                  // 翻訳エリア全体
             '.translation-text-content',             // 翻訳テキスト
             '.selected-text',                       // 選択済みテキスト表示
@@ -98,6 +104,7 @@ class UIController {
             $clearTextBtn: $('#clear-text-btn'),
             $autoScrollToggle: $('#auto-scroll-toggle'),
             $autoTranslateToggle: $('#auto-translate-toggle'),
+            $timestampModeToggle: $('#timestamp-mode-toggle'),
             $saveSettingsBtn: $('#save-settings'),
             
             // 表示エリア
@@ -110,26 +117,112 @@ class UIController {
             
             // フォーム要素
             $languageSelector: $('input[name="language"]'),
+            $recognitionBackendSelect: $('#recognition-backend'),
+            $recognitionServerUrlInput: $('#recognition-server-url'),
+            $audioInputDeviceSelect: $('#audio-input-device'),
+            $inputLevelMeter: $('#input-level-meter'),
+            $inputLevelValue: $('#input-level-value'),
+            $inputLevelWarningCheck: $('#input-level-warning-enabled'),
+            $maxAlternativesInput: $('#max-alternatives'),
+            $lowConfidenceThresholdInput: $('#low-confidence-threshold'),
+            $skipLowConfidenceTranslationCheck: $('#skip-low-confidence-translation'),
+            $punctuationRestorationCheck: $('#punctuation-restoration'),
+            $sentenceStitchingCheck: $('#sentence-stitching'),
+            $duplicateSimilarityThresholdInput: $('#duplicate-similarity-threshold'),
+            $duplicateCheckSecondsInput: $('#duplicate-check-seconds'),
+            $vocabularyBiasModeSelect: $('#vocabulary-bias-mode'),
+            $vocabularySimilarityThresholdInput: $('#vocabulary-similarity-threshold'),
+            $restartStrategySelect: $('#restart-strategy'),
+            $restartBaseDelayInput: $('#restart-base-delay'),
+            $restartMaxAttemptsInput: $('#restart-max-attempts'),
+            $scheduledStartTimeInput: $('#scheduled-start-time'),
+            $autoStopAfterMinutesInput: $('#auto-stop-after-minutes'),
+            $silenceStopAfterMinutesInput: $('#silence-stop-after-minutes'),
+            $streamStartTimeInput: $('#stream-start-time'),
+            $paragraphGapSecondsInput: $('#paragraph-gap-seconds'),
+            $keywordWatchListInput: $('#keyword-watch-list'),
+            $keywordWatchListFeedback: $('#keyword-watch-list-feedback'),
+            $keywordAlertSoundCheck: $('#keyword-alert-sound'),
+            $keywordAlertNotificationCheck: $('#keyword-alert-notification'),
+            $speakerListInput: $('#speaker-list'),
+            $translationProviderSelect: $('#translation-provider'),
             $apiKeyInput: $('#gemini-api-key'),
             $geminiModelSelect: $('#gemini-model'),
+            $streamingTranslationCheck: $('#streaming-translation'),
+            $openaiEndpointInput: $('#openai-endpoint'),
+            $openaiApiKeyInput: $('#openai-api-key'),
+            $openaiModelInput: $('#openai-model'),
+            $deeplEndpointInput: $('#deepl-endpoint'),
+            $deeplApiKeyInput: $('#deepl-api-key'),
             $maxTextLinesInput: $('#max-text-lines'),
+            $targetLanguageSelect: $('#target-language'),
+            $secondaryTargetLanguageSelect: $('#secondary-target-language'),
             $translationStyleInput: $('#translation-description'),
+            $contextLineCountInput: $('#context-line-count'),
+            $contextTokenBudgetInput: $('#context-token-budget'),
+            $contextIncludeTranslationsCheck: $('#context-include-translations'),
+            $translationCacheEnabledCheck: $('#translation-cache-enabled'),
+            $translationCacheClearBtn: $('#translation-cache-clear'),
+            $translationCacheStats: $('#translation-cache-stats'),
             $translationAreaToggle: $('#translation-area-toggle'),
             $translationFooter: $('footer'),
             
             // モーダル
             $settingsModal: $('#settingsModal'),
+            $diagnosticsModal: $('#diagnosticsModal'),
+            $dictionaryModal: $('#dictionaryModal'),
+            
+            // 診断パネル
+            $diagnosticsSummary: $('#diagnostics-summary'),
+            $diagnosticsRestartReasons: $('#diagnostics-restart-reasons'),
+            $diagnosticsErrorTypes: $('#diagnostics-error-types'),
+            $diagnosticsSessions: $('#diagnostics-sessions'),
+            $diagnosticsSessionSummaries: $('#diagnostics-session-summaries'),
+            $diagnosticsExportBtn: $('#diagnostics-export'),
+            $diagnosticsResetBtn: $('#diagnostics-reset'),
+            
+            // 置換辞書
+            $dictionaryProfileSelect: $('#dictionary-profile'),
+            $dictionaryProfileAddBtn: $('#dictionary-profile-add'),
+            $dictionaryProfileDeleteBtn: $('#dictionary-profile-delete'),
+            $dictionaryRules: $('#dictionary-rules'),
+            $dictionaryError: $('#dictionary-error'),
+            $dictionaryRuleAddBtn: $('#dictionary-rule-add'),
+            $dictionaryVocabularyInput: $('#dictionary-vocabulary'),
+            $dictionaryGlossaryInput: $('#dictionary-glossary'),
+            $dictionaryResetHitsBtn: $('#dictionary-reset-hits'),
+            $dictionaryImportBtn: $('#dictionary-import'),
+            $dictionaryImportFile: $('#dictionary-import-file'),
+            $dictionaryExportBtn: $('#dictionary-export'),
+            $dictionarySaveBtn: $('#dictionary-save'),
+            
+            // キーワード検出一覧
+            $keywordAlertsOffcanvas: $('#keywordAlertsOffcanvas'),
+            $keywordAlertList: $('#keyword-alert-list'),
+            $keywordAlertCount: $('#keyword-alert-count'),
+            $keywordAlertsClearBtn: $('#keyword-alerts-clear'),
+            
+            // 現在の話者
+            $currentSpeaker: $('#current-speaker'),
+            $currentSpeakerButton: $('#current-speaker-button'),
+            $currentSpeakerMenu: $('#current-speaker-menu'),
             
             // トースト
             $loadingToast: $('#loading-toast'),
             
             // その他
             $btnText: $('#btn-text'),
+            $voiceActivityIndicator: $('#voice-activity-indicator'),
+            $sessionTimer: $('#session-timer'),
+            $sessionClock: $('#session-clock'),
             $themeToggle: $('#theme-toggle'),
             $themeIcon: $('#theme-icon'),
             
             // zh-TW選択時の補足バー
-            $taiwanPinyinNotice: $('#taiwan-pinyin-notice')
+            $taiwanPinyinNotice: $('#taiwan-pinyin-notice'),
+            
+            // 認識中の入力レベル警告バー
+            $inputLevelWarning: $('#input-level-warning')
         };
         
     }
@@ -170,6 +263,12 @@ class UIController {
             this.toggleAutoTranslate();
         });
 
+        // 行の時刻表示の切り替えボタン
+        // 時刻と配信開始からの経過時間（VODの再生位置との照合用）を切り替え
+        this.elements.$timestampModeToggle.on('click', () => {
+            this.toggleTimestampMode();
+        });
+
         // メインテキストエリアの手動スクロール検出
         // ユーザーが手動でスクロールしたことを検知し、自動スクロールと区別
         this.elements.$mainTextArea.on('scroll', () => {
@@ -210,6 +309,178 @@ class UIController {
         // モーダルを開く際に現在の設定値をフォームに読み込み
         this.elements.$settingsModal.on('show.bs.modal', () => {
             this.loadSettingsToModal();
+            this.startInputLevelPreview();
+        });
+
+        // 翻訳エンジンの切り替えで該当エンジンの設定項目のみ表示
+        this.elements.$translationProviderSelect.on('change', () => {
+            this.updateTranslationProviderFields();
+        });
+
+        this.elements.$translationCacheClearBtn.on('click', async () => {
+            if (confirm('保存済みの翻訳結果をすべて削除しますか？')) {
+                await translationCache.clear();
+                this.updateTranslationCacheStats();
+            }
+        });
+
+        // 設定モーダルを閉じたら入力レベルの計測を終了（認識中の監視は継続）
+        this.elements.$settingsModal.on('hidden.bs.modal', () => {
+            if (window.audioInputMonitor) {
+                window.audioInputMonitor.release('settings');
+            }
+            this.updateInputLevelMeter({ level: 0, decibels: null });
+        });
+
+        // 音声入力デバイスの切り替えで計測対象を変更
+        this.elements.$audioInputDeviceSelect.on('change', () => {
+            if (window.audioInputMonitor) {
+                window.audioInputMonitor.acquire('settings', this.elements.$audioInputDeviceSelect.val());
+            }
+        });
+
+        // デバイスの接続・切断、使用許可後のデバイス名取得で一覧を更新（設定モーダル表示中のみ）
+        $(document).on('audioInputDevicesChanged', () => {
+            if (this.elements.$settingsModal.hasClass('show')) {
+                this.renderAudioInputDevices(this.elements.$audioInputDeviceSelect.val());
+            }
+        });
+
+        // 入力レベルメーターの更新
+        $(document).on('audioLevelUpdated', (event, data) => {
+            this.updateInputLevelMeter(data);
+        });
+
+        // 診断モーダルの表示中は1秒ごとに稼働時間などを更新
+        this.elements.$diagnosticsModal.on('show.bs.modal', () => {
+            this.renderDiagnostics();
+            this.renderSessionSummaries();
+            this.diagnosticsTimer = setInterval(() => this.renderDiagnostics(), 1000);
+        });
+        
+        this.elements.$diagnosticsModal.on('hidden.bs.modal', () => {
+            clearInterval(this.diagnosticsTimer);
+            this.diagnosticsTimer = null;
+        });
+        
+        // 診断データ更新時の即時反映（モーダル表示中のみ、スロットル処理）
+        $(document).on('diagnosticsUpdated', Utils.throttle(() => {
+            if (this.diagnosticsTimer) {
+                this.renderDiagnostics();
+            }
+        }, 250));
+        
+        // 診断データのJSONエクスポート
+        this.elements.$diagnosticsExportBtn.on('click', () => {
+            this.exportDiagnostics();
+        });
+        
+        // 診断記録のリセット
+        this.elements.$diagnosticsResetBtn.on('click', () => {
+            if (confirm('診断記録をリセットしますか？')) {
+                recognitionDiagnostics.reset();
+                this.renderDiagnostics();
+            }
+        });
+
+        // 置換辞書モーダルの表示時に使用中のプロフィールのルールを表示
+        this.elements.$dictionaryModal.on('show.bs.modal', () => {
+            this.renderDictionaryProfiles();
+            this.renderDictionaryRules();
+        });
+        
+        // プロフィールの切り替え（未保存の編集は破棄）
+        this.elements.$dictionaryProfileSelect.on('change', () => {
+            stateManager.setActiveProfile(this.elements.$dictionaryProfileSelect.val());
+            this.renderDictionaryRules();
+        });
+        
+        this.elements.$dictionaryProfileAddBtn.on('click', () => {
+            this.addDictionaryProfile();
+        });
+        
+        this.elements.$dictionaryProfileDeleteBtn.on('click', () => {
+            this.deleteDictionaryProfile();
+        });
+        
+        this.elements.$dictionaryRuleAddBtn.on('click', () => {
+            const $row = this.createDictionaryRuleRow({ pattern: '', replacement: '', isRegex: false, enabled: true, hitCount: 0 });
+            this.elements.$dictionaryRules.find('.dictionary-empty').remove();
+            this.elements.$dictionaryRules.append($row);
+            $row.find('.dictionary-pattern').trigger('focus');
+        });
+        
+        // ルールの削除（保存時に反映）
+        this.elements.$dictionaryRules.on('click', '.dictionary-rule-delete', (e) => {
+            $(e.currentTarget).closest('tr').remove();
+        });
+        
+        this.elements.$dictionarySaveBtn.on('click', () => {
+            this.saveDictionary();
+        });
+        
+        this.elements.$dictionaryResetHitsBtn.on('click', () => {
+            if (confirm('適用回数をリセットしますか？')) {
+                replacementDictionary.resetHitCounts();
+            }
+        });
+        
+        this.elements.$dictionaryExportBtn.on('click', () => {
+            const profile = stateManager.getState('config.activeProfile');
+            this.downloadJSON(replacementDictionary.exportJSON(), `replacement-dictionary-${profile}.json`);
+        });
+        
+        this.elements.$dictionaryImportBtn.on('click', () => {
+            this.elements.$dictionaryImportFile.trigger('click');
+        });
+        
+        this.elements.$dictionaryImportFile.on('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.importDictionary(file);
+            }
+        });
+        
+        // 認識結果への適用で変わった適用回数を反映（モーダル表示中のみ、編集中の内容は保持）
+        $(document).on('replacementDictionaryUpdated', () => {
+            if (this.elements.$dictionaryModal.hasClass('show')) {
+                this.updateDictionaryHitCounts();
+            }
+        });
+
+        // キーワード検出一覧の表示時に一覧を更新し、未読件数をリセット
+        this.elements.$keywordAlertsOffcanvas.on('show.bs.offcanvas', () => {
+            this.renderKeywordAlerts();
+            keywordWatcher.markAllRead();
+        });
+        
+        // 検出一覧から該当行へ移動
+        this.elements.$keywordAlertList.on('click', '.keyword-alert-item', (e) => {
+            this.jumpToTextLine($(e.currentTarget).attr('data-text-id'));
+        });
+        
+        // 検出一覧のクリア
+        this.elements.$keywordAlertsClearBtn.on('click', () => {
+            keywordWatcher.clear();
+        });
+        
+        // キーワード検出時に表示済みの行を強調し、一覧と未読件数を更新
+        $(document).on('keywordMatched', (event, alert) => {
+            const $textLine = this.elements.$mainTextArea.find(`.text-line[data-text-id="${alert.id}"]`);
+            if ($textLine.length) {
+                this.applyKeywordAlert($textLine, alert);
+            }
+            this.updateKeywordAlertCount();
+            if (this.elements.$keywordAlertsOffcanvas.hasClass('show')) {
+                this.renderKeywordAlerts();
+                keywordWatcher.markAllRead();
+            }
+        });
+        
+        $(document).on('keywordAlertsUpdated', () => {
+            this.updateKeywordAlertCount();
+            this.renderKeywordAlerts();
         });
 
         // ライト・ダークモード切り替えボタン
@@ -234,12 +505,90 @@ class UIController {
             this.togglePanelContent($panelElement);
         });
 
+        // 行の第2翻訳言語での翻訳と非表示の切り替え
+        this.elements.$mainTextArea.on('click', '.secondary-translate-btn', (e) => {
+            this.toggleSecondaryTranslation($(e.currentTarget).closest('.text-line'));
+        });
+
+        // 段落の折りたたみ・展開
+        this.elements.$mainTextArea.on('click', '.paragraph-collapse-toggle', (e) => {
+            this.toggleParagraphCollapse($(e.currentTarget).closest('.text-paragraph'));
+        });
+
+        // 段落全体の翻訳と非表示の切り替え
+        this.elements.$mainTextArea.on('click', '.paragraph-translate-btn', (e) => {
+            this.toggleParagraphTranslation($(e.currentTarget).closest('.text-paragraph'));
+        });
+
+        // 認識候補ピッカーの候補選択
+        // 選択された候補で行の原文を差し替え（ピンインと翻訳はtextReplacedで更新）
+        $(document).on('click', '.alternatives-picker .dropdown-item', (e) => {
+            e.preventDefault();
+            const id = $(e.currentTarget).closest('.text-line').attr('data-text-id');
+            const index = parseInt($(e.currentTarget).attr('data-alternative-index'), 10);
+            if (window.speechRecognitionManager && id) {
+                window.speechRecognitionManager.selectAlternative(id, index);
+            }
+        });
+
+        // 話者ピッカーで行の話者を付け替え
+        $(document).on('click', '.speaker-picker .dropdown-item', (e) => {
+            e.preventDefault();
+            const id = $(e.currentTarget).closest('.text-line').attr('data-text-id');
+            if (window.speakerTagger && id) {
+                window.speakerTagger.relabel(id, $(e.currentTarget).attr('data-speaker-name') || null);
+            }
+        });
+
+        // ヘッダーのメニューで現在の話者を切り替え
+        this.elements.$currentSpeakerMenu.on('click', '.dropdown-item', (e) => {
+            e.preventDefault();
+            const index = $(e.currentTarget).attr('data-speaker-index');
+            speakerTagger.setCurrentSpeaker(index === '' ? null : parseInt(index, 10));
+        });
+
+        $(document).on('currentSpeakerChanged', () => {
+            this.updateCurrentSpeaker();
+        });
+
+        // 付け替えた行の表示を更新し、翻訳表示中の場合は話者を反映して翻訳をやり直す
+        $(document).on('speakerRelabeled', (event, data) => {
+            const $textLine = this.elements.$mainTextArea.find(`.text-line[data-text-id="${data.id}"]`);
+            if (!$textLine.length) return;
+            
+            this.applySpeaker($textLine, data.speaker);
+            
+            const $chineseText = $textLine.find('.chinese-text');
+            if ($chineseText.attr('data-panel-state') !== 'original') {
+                this.showTranslationInPanel($chineseText, $chineseText.attr('data-original-text'));
+            }
+        });
+
+        // 語彙の修正候補（下線）のクリックで修正を採用
+        // ピンインと翻訳はtextReplacedで更新
+        this.elements.$mainTextArea.on('click', '.vocabulary-suggestion', (e) => {
+            // テキスト選択中（クイック翻訳）のクリックは無視
+            if (window.getSelection()?.toString()) return;
+            
+            const id = $(e.currentTarget).closest('.text-line').attr('data-text-id');
+            const index = parseInt($(e.currentTarget).attr('data-suggestion-index'), 10);
+            if (window.speechRecognitionManager && id) {
+                window.speechRecognitionManager.acceptVocabularySuggestion(id, index);
+            }
+        });
+
         // 音声認識結果の受信イベント
         // speechRecognitionManagerからの最終結果を受け取り、UIに表示
         $(document).on('textRecognized', (event, data) => {
             this.displayRecognizedText(data);
         });
 
+        // 確定済み行の差し替えイベント
+        // 認識候補の切り替えなどで原文が変わった行のピンインと翻訳を更新
+        $(document).on('textReplaced', (event, data) => {
+            this.updateRecognizedLine(data);
+        });
+
         // 音声認識中間結果のリアルタイム表示
         // 認識中の一時的な結果をグレーアウトで表示（デバウンス処理）
         $(document).on('interimTextRecognized', Utils.debounce(async (event, data) => {
@@ -262,6 +611,32 @@ class UIController {
         // 認識ボタンの色、テキスト、アニメーションを状態に応じて更新
         $(document).on('state:recognitionStateChanged', (event, state) => {
             this.updateRecognitionButton(state);
+            this.updateVoiceActivityIndicator(state);
+            this.updateInputLevelWarning(state);
+        });
+
+        // 予約開始・自動停止のカウントダウン更新
+        $(document).on('sessionScheduleUpdated', (event, countdown) => {
+            this.updateSessionTimer(countdown);
+            this.updateSessionClock();
+        });
+
+        // 予約時刻の到来による認識開始
+        $(document).on('scheduledSessionStart', () => {
+            if (!stateManager.getState('recognition.isListening')) {
+                this.startRecognition(true);
+            }
+        });
+
+        // タイマーによる認識停止（セッション記録は保存済み）
+        $(document).on('scheduledSessionEnd', (event, summary) => {
+            this.stopRecognition();
+            this.showSuccessMessage(
+                `${sessionScheduler.getReasonLabel(summary.reason)}により音声認識を停止しました（${Utils.formatDuration(summary.duration)}・${summary.lineCount}行）`
+            );
+            if (this.diagnosticsTimer) {
+                this.renderSessionSummaries();
+            }
         });
 
         // 翻訳状態変更イベント
@@ -309,6 +684,7 @@ class UIController {
         
         // 認識ボタン状態
         this.updateRecognitionButton(state.recognition);
+        this.updateVoiceActivityIndicator(state.recognition);
         
         // 自動スクロールボタン状態
         this.updateAutoScrollButton(state.config.autoScroll);
@@ -316,6 +692,12 @@ class UIController {
         // 自動翻訳ボタン状態
         this.updateAutoTranslateButton(state.config.autoTranslate);
         
+        // 時刻表示の切り替えボタン状態
+        this.updateTimestampModeButton(state.config.timestampMode);
+        
+        // 現在の話者
+        this.updateCurrentSpeaker();
+        
         // 繁体字選択時の補足バー
         this.updateTaiwanNotice(selectedLanguage);
         
@@ -340,8 +722,10 @@ class UIController {
     toggleRecognition() {
         try {
             const isListening = stateManager.getState('recognition.isListening');
+            const isWaitingRestart = !!stateManager.getState('recognition.restartState');
             
-            if (isListening) {
+            // 認識中または自動再開の待機中は停止
+            if (isListening || isWaitingRestart) {
                 this.stopRecognition();
             } else {
                 this.startRecognition();
@@ -354,9 +738,11 @@ class UIController {
     /**
      * 音声認識の開始処理
      * speechRecognitionManagerを使用して認識を開始し、UI状態を更新
-     * 成功時は初期メッセージをクリアし、失敗時はエラーメッセージを表示
+     * 成功時は初期メッセージをクリアして自動停止の計測を開始し、失敗時はエラーメッセージを表示
+     * 
+     * @param {boolean} [isScheduled=false] - 予約時刻の到来による開始かどうか
      */
-    startRecognition() {
+    startRecognition(isScheduled = false) {
         if (!window.speechRecognitionManager) {
 // エラートースト削除
             return;
@@ -368,6 +754,10 @@ class UIController {
         } else {
             // 音声認識開始成功時に初期メッセージをクリア
             this.clearInitialMessage();
+            
+            if (window.sessionScheduler) {
+                window.sessionScheduler.beginSession(isScheduled);
+            }
         }
     }
 
@@ -380,17 +770,20 @@ class UIController {
         if (window.speechRecognitionManager) {
             window.speechRecognitionManager.stop();
         }
+        if (window.sessionScheduler) {
+            window.sessionScheduler.endSession();
+        }
         // 中間結果をクリア
         this.elements.$mainTextArea.find('.interim-text').remove();
     }
 
     /**
      * 音声認識言語の変更処理
-     * 簡体字・繁体字の切り替えで状態、UI、認識モジュールを更新
+     * 簡体字・繁体字・広東語の切り替えで状態、UI、認識モジュールを更新
      * 設定のlocalStorage保存、音声認識エンジンの言語変更を実行
      * zh-TW選択時の補足バー表示も更新
      * 
-     * @param {string} language - 新しい言語コード（zh-CN または zh-TW）
+     * @param {string} language - 新しい言語コード（zh-CN, zh-TW, yue-Hant-HK, zh-HK）
      */
     handleLanguageChange(language) {
         try {
@@ -423,13 +816,20 @@ class UIController {
      * 自動スクロール、最大行数制限、中間結果クリアを実行
      * 
      * @param {Object} data - 認識結果データ
+     * @param {string} data.id - テキスト履歴エントリID
      * @param {string} data.text - 原文テキスト
      * @param {string} data.rubyText - ピンイン付きテキスト
+     * @param {number|null} [data.confidence] - 認識の信頼度（0〜1、不明時はnull）
+     * @param {Array<Object>} [data.alternatives] - 認識候補の配列
+     * @param {number} [data.selectedAlternative] - 選択中の候補インデックス
+     * @param {string|null} [data.speaker] - 話者の名前
+     * @param {number|null} [data.speechStartTime] - 発話開始時刻（ミリ秒）
+     * @param {number|null} [data.speechEndTime] - 発話終了時刻（ミリ秒）
      */
     displayRecognizedText(data) {
         try {
-            const { text, rubyText } = data;
-            const timestamp = Utils.formatTimestamp(Date.now());
+            const { id, text, rubyText } = data;
+            const now = Date.now();
             
             // 初期メッセージをクリア
             this.clearInitialMessage();
@@ -442,33 +842,56 @@ class UIController {
             
             // HTMLを構築（データ属性に元テキストを保存）
             const $textLine = $(`
-                <div class="text-line completed mb-2" data-timestamp="${Date.now()}">
-                    <small class="text-muted">${timestamp}</small>
+                <div class="text-line completed mb-2" data-timestamp="${now}">
+                    <small class="text-muted"></small>
+                    ${this.renderConfidenceBadge(data.confidence)}
+                    ${this.renderAlternativesPicker(data.alternatives, data.selectedAlternative)}
+                    ${this.renderSecondaryTranslateButton()}
                     <div class="panel-container">
                         <div class="chinese-text" data-panel-state="original">${rubyText || Utils.escapeHtml(text)}</div>
                         <div class="toggle-area" title="原文⇔翻訳切り替え">
                             <div class="toggle-icon">翻訳</div>
                         </div>
                     </div>
+                    <div class="secondary-translation d-none" data-panel-state="original"></div>
                 </div>
             `);
             
             // データ属性をjQueryで設定（HTMLエスケープ問題を回避）
+            $textLine.attr('data-text-id', id || '');
+            
+            // 経過時間は発話開始時刻（不明時は表示時刻）と認識セッションの開始時刻から算出
+            $textLine.attr('data-speech-time', data.speechStartTime || now);
+            $textLine.attr('data-speech-end', data.speechEndTime || now);
+            $textLine.attr('data-session-start', window.sessionScheduler?.clockStartTime || '');
+            this.renderLineTimestamp($textLine);
+            $textLine.children('small.text-muted').first().attr('title', this.formatSpeechRange(data.speechStartTime, data.speechEndTime));
             $textLine.find('.chinese-text')
                 .attr('data-original-text', text)
                 .attr('data-ruby-text', rubyText || text);
             
+            // 低信頼度の行を強調表示
+            $textLine.toggleClass('low-confidence', this.isLowConfidence(data.confidence));
+            
+            // 話者ラベルと話者ごとの色
+            this.applySpeaker($textLine, data.speaker);
+            
+            // 監視キーワードを含む行を強調表示
+            if (window.keywordWatcher) {
+                this.applyKeywordAlert($textLine, keywordWatcher.getAlert(id));
+            }
+            
             // 初期状態のボタンを設定
             this.updateToggleButton($textLine.find('.chinese-text'), 'original');
             
-            // 削除と追加を同一フレーム内で実行
-            $mainTextArea.append($textLine);
+            // 削除と追加を同一フレーム内で実行（発話間隔が短い行は直前の段落に追加）
+            this.appendToParagraph($textLine);
             
             // 強制リフローで描画を確定
             Utils.forceReflow($mainTextArea);
             
-            // 自動翻訳が有効な場合、自動的に翻訳状態に切り替え
-            if (stateManager.getState('config.autoTranslate')) {
+            // 自動翻訳が有効な場合、自動的に翻訳状態に切り替え（低信頼度の行は設定により除外）
+            if (this.shouldAutoTranslate(data.confidence)) {
                 const $chineseText = $textLine.find('.chinese-text');
                 setTimeout(() => {
                     this.showTranslationInPanel($chineseText, text);
@@ -487,6 +910,150 @@ class UIController {
         }
     }
 
+    /**
+     * 認識候補ピッカーのHTML生成
+     * 候補が2つ以上ある場合のみ、行の時刻表示横に候補一覧のドロップダウンを表示
+     * 
+     * @param {Array<Object>} [alternatives=[]] - 認識候補（{ transcript, confidence }）の配列
+     * @param {number} [selectedIndex=0] - 選択中の候補インデックス
+     * @returns {string} ピッカーHTML（候補が1つ以下の場合は空文字列）
+     */
+    renderAlternativesPicker(alternatives = [], selectedIndex = 0) {
+        if (!Array.isArray(alternatives) || alternatives.length < 2) {
+            return '';
+        }
+        
+        const items = alternatives.map((alternative, index) => {
+            const confidence = alternative.confidence > 0
+                ? `<span class="text-muted ms-2">${Math.round(alternative.confidence * 100)}%</span>`
+                : '';
+            const activeClass = index === selectedIndex ? ' active' : '';
+            return `<li><a class="dropdown-item${activeClass}" href="#" data-alternative-index="${index}">${Utils.escapeHtml(alternative.transcript)}${confidence}</a></li>`;
+        }).join('');
+        
+        return `
+            <span class="dropdown alternatives-picker">
+                <button type="button" class="btn btn-link btn-sm dropdown-toggle p-0 ms-2" data-bs-toggle="dropdown" aria-expanded="false" title="認識候補を切り替え">
+                    候補 ${alternatives.length}
+                </button>
+                <ul class="dropdown-menu">${items}</ul>
+            </span>
+        `;
+    }
+
+    /**
+     * 発話区間のツールチップ文字列生成
+     * 
+     * @param {number|null} startTime - 発話開始時刻（ミリ秒）
+     * @param {number|null} endTime - 発話終了時刻（ミリ秒）
+     * @returns {string} 「発話 開始 - 終了（秒数）」形式の文字列（不明時は空文字列）
+     */
+    formatSpeechRange(startTime, endTime) {
+        if (!startTime || !endTime) {
+            return '';
+        }
+        
+        const seconds = Math.max(0, (endTime - startTime) / 1000).toFixed(1);
+        return `発話 ${Utils.formatTimestamp(startTime)} - ${Utils.formatTimestamp(endTime)}（${seconds}秒）`;
+    }
+
+    /**
+     * 信頼度が低信頼度閾値を下回るか判定
+     * 信頼度が不明（null）の場合や閾値0の場合は低信頼度としない
+     * 認識バックエンドは行（認識結果）全体の信頼度のみを返すため、判定は行単位で行う
+     * 
+     * @param {number|null} confidence - 認識の信頼度
+     * @returns {boolean} 低信頼度かどうか
+     */
+    isLowConfidence(confidence) {
+        const threshold = stateManager.getState('config.lowConfidenceThreshold') || 0;
+        return typeof confidence === 'number' && threshold > 0 && confidence < threshold;
+    }
+
+    /**
+     * 行を自動翻訳するか判定
+     * 自動翻訳が有効で、低信頼度除外設定に該当しない場合のみ自動翻訳する
+     * 
+     * @param {number|null} confidence - 認識の信頼度
+     * @returns {boolean} 自動翻訳するかどうか
+     */
+    shouldAutoTranslate(confidence) {
+        if (!stateManager.getState('config.autoTranslate')) {
+            return false;
+        }
+        
+        return !(this.isLowConfidence(confidence) && stateManager.getState('config.skipLowConfidenceTranslation'));
+    }
+
+    /**
+     * 信頼度バッジのHTML生成
+     * 低信頼度の行にのみ信頼度をパーセント表示
+     * 
+     * @param {number|null} confidence - 認識の信頼度
+     * @returns {string} バッジHTML（低信頼度でない場合は空文字列）
+     */
+    renderConfidenceBadge(confidence) {
+        if (!this.isLowConfidence(confidence)) {
+            return '';
+        }
+        
+        return `<span class="confidence-badge ms-2" title="認識の信頼度が低い行です">信頼度 ${Math.round(confidence * 100)}%</span>`;
+    }
+
+    /**
+     * 確定済み行の表示更新
+     * 原文が差し替えられた行のデータ属性と候補ピッカーを更新し、
+     * 翻訳表示中または自動翻訳有効時は新しい原文で翻訳をやり直す
+     * 
+     * @param {Object} data - 差し替え後のデータ
+     * @param {string} data.id - テキスト履歴エントリID
+     * @param {string} data.text - 新しい原文
+     * @param {string} data.rubyText - 新しいピンイン付きテキスト
+     * @param {number|null} [data.confidence] - 認識の信頼度
+     * @param {Array<Object>} [data.alternatives] - 認識候補の配列
+     * @param {number} [data.selectedAlternative] - 選択中の候補インデックス
+     */
+    updateRecognizedLine(data) {
+        try {
+            const $textLine = this.elements.$mainTextArea.find(`.text-line[data-text-id="${data.id}"]`);
+            if (!$textLine.length) {
+                return;
+            }
+            
+            const $chineseText = $textLine.find('.chinese-text');
+            const previousState = $chineseText.attr('data-panel-state');
+            
+            $chineseText
+                .attr('data-original-text', data.text)
+                .attr('data-ruby-text', data.rubyText || data.text)
+                .removeAttr('data-translation');
+            
+            $textLine.find('.alternatives-picker').replaceWith(
+                this.renderAlternativesPicker(data.alternatives, data.selectedAlternative)
+            );
+            
+            $textLine.find('.confidence-badge').remove();
+            $textLine.children('small.text-muted').first().after(this.renderConfidenceBadge(data.confidence));
+            $textLine.toggleClass('low-confidence', this.isLowConfidence(data.confidence));
+            $textLine.children('small.text-muted').first().attr('title', this.formatSpeechRange(data.speechStartTime, data.speechEndTime));
+            if (data.speechEndTime) {
+                $textLine.attr('data-speech-end', data.speechEndTime);
+            }
+            
+            // 段落と第2翻訳言語の翻訳は古い原文によるものになるため非表示
+            this.resetParagraphTranslation($textLine.closest('.text-paragraph'));
+            this.resetSecondaryTranslation($textLine);
+            
+            if (previousState !== 'original' || this.shouldAutoTranslate(data.confidence)) {
+                this.showTranslationInPanel($chineseText, data.text);
+            } else {
+                this.showOriginalInPanel($chineseText, data.rubyText || Utils.escapeHtml(data.text));
+            }
+            
+        } catch (error) {
+        }
+    }
+
     /**
      * 音声認識中間結果のリアルタイム表示
      * 認識中の一時的な結果をグレーアウトで表示し、ユーザーにフィードバック提供
@@ -507,9 +1074,9 @@ class UIController {
             if (interimText && interimText.trim()) {
                 let displayText = Utils.escapeHtml(interimText);
                 
-                // ピンイン変換（中国語の場合のみ）
+                // ピンイン変換（中国語・広東語の場合のみ、広東語は粤拼）
                 const currentLanguage = stateManager.getState('config.language') || 'zh-CN';
-                if ((currentLanguage === 'zh-CN' || currentLanguage === 'zh-TW') && window.pinyinConverter) {
+                if (APP_CONFIG.LANGUAGE_CONFIG[currentLanguage] && window.pinyinConverter) {
                     try {
                         const rubyText = await window.pinyinConverter.convertToRuby(interimText);
                         if (rubyText && rubyText !== interimText) {
@@ -673,13 +1240,24 @@ class UIController {
      * テキストパネルに翻訳結果を表示
      * ローディング表示→翻訳実行→結果表示またはエラー表示の流れで処理
      * 翻訳エリアを更新せず、パネル専用の翻訳処理で独立して実行
+     * 逐次表示が有効な場合は受信途中の訳文を順次表示し、原文への切り替えやクリアで通信を中止
      * 成功時は青色ボーダー、失敗時はピンク色ボーダーで視覚的フィードバック
      * 
      * @param {jQuery} $panelElement - 翻訳表示対象のパネル要素
      * @param {string} originalText - 翻訳元の中国語テキスト
+     * @param {Object} [options={}] - 翻訳オプション
+     * @param {Object|null} [options.speaker] - 翻訳プロンプトに渡す話者（省略時はパネルの行の話者）
+     * @param {string} [options.contextEntryId] - 直前の行を文脈にする行のID（省略時はパネルの行）
      * @returns {Promise<void>}
      */
-    async showTranslationInPanel($panelElement, originalText) {
+    async showTranslationInPanel($panelElement, originalText, options = {}) {
+        // 実行中の翻訳を中止し、行の差し替えで再翻訳された場合に古い翻訳結果で上書きしないよう要求を識別
+        this.abortPanelTranslation($panelElement);
+        const requestId = Utils.generateId('translation');
+        const controller = new AbortController();
+        $panelElement.data('translationRequestId', requestId);
+        $panelElement.data('translationAbortController', controller);
+        
         try {
             // ローディング表示とグレー色設定
             $panelElement.html('<span class="text-muted">翻訳中...</span>');
@@ -698,22 +1276,52 @@ class UIController {
                 throw new Error('翻訳するテキストが見つかりません');
             }
             
-            const result = await this.translateForPanelOnly(cleanText);
+            // 行の話者を翻訳プロンプトに渡す（話者ごとに口調を変えるため）
+            const lineId = $panelElement.closest('.text-line').attr('data-text-id');
+            const speaker = options.speaker !== undefined
+                ? options.speaker
+                : this.getPromptSpeaker(lineId);
+            let glossaryViolations = [];
+            
+            const result = await this.translateForPanelOnly(cleanText, {
+                speaker,
+                contextEntryId: options.contextEntryId || lineId,
+                onGlossaryCheck: violations => {
+                    glossaryViolations = violations;
+                },
+                signal: controller.signal,
+                onProgress: partialText => {
+                    if ($panelElement.data('translationRequestId') === requestId) {
+                        $panelElement.html(`<span class="translation-text streaming">${Utils.escapeHtml(partialText)}</span>`);
+                    }
+                }
+            });
+            
+            // より新しい翻訳要求がある場合や中止された場合は結果を破棄
+            if ($panelElement.data('translationRequestId') !== requestId || result.aborted) {
+                return;
+            }
+            $panelElement.removeData('translationAbortController');
             
             if (result.success) {
-                // 翻訳成功 - 青色設定
-                $panelElement.html(`<span class="translation-text">${Utils.escapeHtml(result.translatedText)}</span>`);
+                // 翻訳成功 - 青色設定（用語集の訳語が使われていない場合は警告を併記）
+                $panelElement.html(`<span class="translation-text">${Utils.escapeHtml(result.translatedText)}</span>${this.renderGlossaryViolationBadge(glossaryViolations)}`);
                 $panelElement.attr('data-panel-state', 'translation');
                 $panelElement.attr('data-translation', result.translatedText);
                 $panelElement.closest('.text-line').css('border-left-color', '#007bff');
                 
+                // 以降の行の翻訳で文脈として使えるよう行の訳文を記録
+                if (lineId) {
+                    stateManager.updateTextHistory(lineId, { translation: result.translatedText });
+                }
+                
                 // ボタンの表示を更新
                 this.updateToggleButton($panelElement, 'translation');
             } else {
-                // 翻訳失敗 - ピンク色設定
+                // 翻訳失敗 - ピンク色設定（エラー文はユーザー指定のエンドポイントから返るためエスケープ）
                 const errorIcon = '❌';
                 const errorMessage = result.error || '翻訳に失敗しました';
-                $panelElement.html(`<span class="error-text">${errorIcon} ${errorMessage}</span>`);
+                $panelElement.html(`<span class="error-text">${errorIcon} ${Utils.escapeHtml(errorMessage)}</span>`);
                 $panelElement.attr('data-panel-state', 'error');
                 $panelElement.attr('data-error-detail', result.error);
                 $panelElement.closest('.text-line').css('border-left-color', '#e91e63');
@@ -725,7 +1333,7 @@ class UIController {
         } catch (error) {
             const errorIcon = '❌';
             const errorMessage = error.message || '翻訳に失敗しました';
-            $panelElement.html(`<span class="error-text">${errorIcon} ${errorMessage}</span>`);
+            $panelElement.html(`<span class="error-text">${errorIcon} ${Utils.escapeHtml(errorMessage)}</span>`);
             $panelElement.attr('data-panel-state', 'error');
             $panelElement.attr('data-error-detail', error.message);
             $panelElement.closest('.text-line').css('border-left-color', '#e91e63');
@@ -735,6 +1343,164 @@ class UIController {
         }
     }
 
+    /**
+     * 用語集違反バッジのHTML生成
+     * 原文に含まれる用語の訳語が翻訳結果に使われていない場合に表示
+     * 
+     * @param {Array<Object>} violations - 訳語が使われていない用語（{ source, target }）の配列
+     * @returns {string} バッジHTML（違反がない場合は空文字列）
+     */
+    renderGlossaryViolationBadge(violations) {
+        if (!violations || violations.length === 0) {
+            return '';
+        }
+        
+        const detail = violations.map(entry => `${entry.source} → ${entry.target}`).join('、');
+        return `<span class="glossary-violation-badge ms-2" title="用語集の訳語が使われていません: ${Utils.escapeHtml(detail).replace(/"/g, '&quot;')}">⚠ 用語集</span>`;
+    }
+
+    /**
+     * テキストパネルで実行中の翻訳の中止
+     * 通信を中止し、受信途中の訳文や結果でパネルを上書きしないよう要求の識別を破棄する
+     * 
+     * @param {jQuery} $panelElement - 行または段落の翻訳パネル要素
+     */
+    abortPanelTranslation($panelElement) {
+        $panelElement.each((index, element) => {
+            const controller = $(element).data('translationAbortController');
+            if (controller) {
+                controller.abort();
+            }
+        });
+        $panelElement.removeData('translationAbortController').removeData('translationRequestId');
+    }
+
+    /**
+     * 第2翻訳言語の取得
+     * 未設定の場合や設定の翻訳先言語と同じ場合は使用しない
+     * 
+     * @returns {string} 第2翻訳言語（TARGET_LANGUAGE_CONFIGのキー、使用しない場合は空文字列）
+     */
+    getSecondaryTargetLanguage() {
+        const targetLang = stateManager.getState('config.secondaryTargetLanguage') || '';
+        const primaryLang = stateManager.getState('config.targetLanguage') || 'ja';
+        return APP_CONFIG.TARGET_LANGUAGE_CONFIG[targetLang] && targetLang !== primaryLang ? targetLang : '';
+    }
+
+    /**
+     * 第2翻訳言語での翻訳ボタンのHTML生成
+     * 第2翻訳言語を使用しない場合は非表示で生成し、設定の変更時に表示を切り替える
+     * 
+     * @returns {string} ボタンHTML
+     */
+    renderSecondaryTranslateButton() {
+        const targetLang = this.getSecondaryTargetLanguage();
+        const languageConfig = APP_CONFIG.TARGET_LANGUAGE_CONFIG[targetLang];
+        
+        return `<button type="button" class="btn btn-outline-secondary btn-sm ms-2 secondary-translate-btn${targetLang ? '' : ' d-none'}" title="${languageConfig ? `${languageConfig.label}に翻訳` : ''}">${languageConfig ? languageConfig.shortLabel : ''}</button>`;
+    }
+
+    /**
+     * 表示中の行の第2翻訳言語ボタンの更新
+     * 設定の保存時に呼び出し、ボタンの表示と言語名を設定に合わせる
+     */
+    updateSecondaryTranslateButtons() {
+        const targetLang = this.getSecondaryTargetLanguage();
+        const languageConfig = APP_CONFIG.TARGET_LANGUAGE_CONFIG[targetLang];
+        
+        this.elements.$mainTextArea.find('.secondary-translate-btn')
+            .toggleClass('d-none', !targetLang)
+            .attr('title', languageConfig ? `${languageConfig.label}に翻訳` : '')
+            .text(languageConfig ? languageConfig.shortLabel : '');
+    }
+
+    /**
+     * 行の第2翻訳言語での翻訳と非表示の切り替え
+     * 設定の翻訳先言語の翻訳（パネルの表示・文脈用の訳文の記録・ボーダー色）とは独立して、行の下に訳文を表示する
+     * 
+     * @param {jQuery} $textLine - テキスト行要素
+     * @returns {Promise<void>}
+     */
+    async toggleSecondaryTranslation($textLine) {
+        const $panel = $textLine.children('.secondary-translation');
+        const targetLang = this.getSecondaryTargetLanguage();
+        
+        if ($panel.attr('data-panel-state') !== 'original' || !targetLang) {
+            this.resetSecondaryTranslation($textLine);
+            return;
+        }
+        
+        // 実行中の翻訳を中止し、行の差し替えや非表示の後に古い翻訳結果で上書きしないよう要求を識別
+        this.abortPanelTranslation($panel);
+        const requestId = Utils.generateId('translation');
+        const controller = new AbortController();
+        $panel.data('translationRequestId', requestId);
+        $panel.data('translationAbortController', controller);
+        
+        const languageLabel = `<span class="secondary-translation-label me-2">${Utils.escapeHtml(APP_CONFIG.TARGET_LANGUAGE_CONFIG[targetLang].shortLabel)}</span>`;
+        const lineId = $textLine.attr('data-text-id');
+        
+        $panel.removeClass('d-none').attr('data-panel-state', 'loading')
+            .html(`${languageLabel}<span class="text-muted">翻訳中...</span>`);
+        $textLine.find('.secondary-translate-btn').addClass('active');
+        
+        const result = await this.translateForPanelOnly(
+            this.cleanSelectedText($textLine.find('.chinese-text').attr('data-original-text') || ''),
+            {
+                targetLang,
+                speaker: this.getPromptSpeaker(lineId),
+                contextEntryId: lineId,
+                signal: controller.signal,
+                onProgress: partialText => {
+                    if ($panel.data('translationRequestId') === requestId) {
+                        $panel.html(`${languageLabel}<span class="translation-text streaming">${Utils.escapeHtml(partialText)}</span>`);
+                    }
+                }
+            }
+        );
+        
+        // より新しい翻訳要求がある場合や中止された場合は結果を破棄
+        if ($panel.data('translationRequestId') !== requestId || result.aborted) {
+            return;
+        }
+        $panel.removeData('translationAbortController');
+        
+        if (result.success) {
+            $panel.attr('data-panel-state', 'translation')
+                .html(`${languageLabel}<span class="translation-text">${Utils.escapeHtml(result.translatedText)}</span>`);
+        } else {
+            $panel.attr('data-panel-state', 'error')
+                .html(`${languageLabel}<span class="error-text">❌ ${Utils.escapeHtml(result.error || '翻訳に失敗しました')}</span>`);
+        }
+    }
+
+    /**
+     * 行の第2翻訳言語の訳文の非表示
+     * 行の原文が差し替えられた場合にも呼び出す
+     * 
+     * @param {jQuery} $textLine - テキスト行要素
+     */
+    resetSecondaryTranslation($textLine) {
+        const $panel = $textLine.children('.secondary-translation');
+        
+        // 翻訳中の通信は中止して結果を破棄
+        this.abortPanelTranslation($panel);
+        $panel.empty().attr('data-panel-state', 'original').addClass('d-none');
+        $textLine.find('.secondary-translate-btn').removeClass('active');
+    }
+
+    /**
+     * 行の話者の翻訳プロンプト用の情報を取得
+     * @private
+     * 
+     * @param {string} id - テキスト履歴エントリID
+     * @returns {Object|null} 話者情報 { name, style }（話者なしの場合はnull）
+     */
+    getPromptSpeaker(id) {
+        const entry = id ? stateManager.getTextHistoryEntry(id) : null;
+        return window.speakerTagger ? speakerTagger.getPromptSpeaker(entry?.speaker) : null;
+    }
+
     /**
      * パネル専用の翻訳処理（メイン翻訳エリアを更新しない）
      * メイン翻訳エリアと独立した翻訳処理で、状態管理やUI更新を防止
@@ -742,12 +1508,13 @@ class UIController {
      * エラー時は独自のエラーハンドリングで簡潔なメッセージを返す
      * 
      * @param {string} text - 翻訳対象テキスト
-     * @returns {Promise<Object>} 翻訳結果オブジェクト
+     * @param {Object} [options={}] - プロンプトオプション（generatePromptに渡す、話者など）と通信オプション（signal, onProgress）
+     * @returns {Promise<Object>} 翻訳結果オブジェクト（中止された場合は aborted: true）
      */
-    async translateForPanelOnly(text) {
+    async translateForPanelOnly(text, options = {}) {
         try {
             // APIキーチェック
-            if (!window.geminiTranslator.apiKey) {
+            if (!window.geminiTranslator.isConfigured()) {
                 throw new Error('APIキーが設定されていません');
             }
 
@@ -766,26 +1533,21 @@ class UIController {
                 throw new Error('テキストが長すぎます');
             }
 
-            // プロンプト生成
-            const prompt = window.geminiTranslator.generatePrompt(trimmedText);
-
-            // API呼び出し（翻訳エリア状態更新なし）
-            const response = await window.geminiTranslator.callGeminiAPI(prompt);
-
-            // 結果処理
-            const translatedText = window.geminiTranslator.processResponse(response);
+            // API呼び出しと結果処理（翻訳エリア状態更新なし）
+            const translatedText = await window.geminiTranslator.requestTranslation(trimmedText, options);
 
             return {
                 success: true,
                 originalText: trimmedText,
                 translatedText: translatedText,
-                model: window.geminiTranslator.model,
+                model: window.geminiTranslator.provider.model,
                 timestamp: Date.now()
             };
 
         } catch (error) {
             return {
                 success: false,
+                aborted: error.name === 'AbortError',
                 error: error.message,
                 originalText: text,
                 timestamp: Date.now()
@@ -798,11 +1560,13 @@ class UIController {
      * テキストパネルを原文+ピンイン表示に戻す
      * 翻訳表示から原文表示に切り替え、ボーダー色を緑色に変更
      * 保存済みのピンイン付きテキストを表示し、ボタン表示も更新
+     * 翻訳中の場合は通信を中止する
      * 
      * @param {jQuery} $panelElement - 原文表示するパネル要素
      * @param {string} rubyText - ピンイン付きテキスト
      */
     showOriginalInPanel($panelElement, rubyText) {
+        this.abortPanelTranslation($panelElement);
         $panelElement.html(rubyText);
         $panelElement.attr('data-panel-state', 'original');
         $panelElement.closest('.text-line').css('border-left-color', '#28a745');
@@ -1050,8 +1814,8 @@ class UIController {
 
     /**
      * 音声認識メインボタンの視覚状態更新
-     * 認識状態に応じてボタンの色（グレー・緑・赤）、テキスト、アニメーションを変更
-     * アクティブ時は緑色、エラー時は赤色、スタンバイ時はグレーで表示
+     * 認識状態に応じてボタンの色（グレー・緑・黄・赤）、テキスト、アニメーションを変更
+     * アクティブ時は緑色、再開待ち時は黄色（待機理由をツールチップ表示）、エラー時は赤色、スタンバイ時はグレーで表示
      * 
      * @param {Object} recognitionState - 音声認識状態オブジェクト
      */
@@ -1062,11 +1826,20 @@ class UIController {
         if (!$btn.length || !$text.length) return;
         
         // クラスリセット
-        $btn.removeClass('btn-secondary btn-success btn-danger');
+        $btn.removeClass('btn-secondary btn-success btn-danger btn-warning');
+        $btn.removeAttr('title');
+        
+        // 再開待ちの間は残り秒数を1秒ごとに更新
+        this.updateRestartCountdown(!!recognitionState.restartState);
         
         if (recognitionState.isListening) {
             $btn.addClass('btn-success');
             $text.text(APP_CONFIG.UI_CONFIG.buttonTexts.recognizing);
+        } else if (recognitionState.restartState) {
+            const restartInfo = restartPolicy.describe(recognitionState.restartState);
+            $btn.addClass('btn-warning');
+            $btn.attr('title', restartInfo.description);
+            $text.text(restartInfo.label);
         } else if (recognitionState.errorCount > 0) {
             $btn.addClass('btn-danger');
             $text.text(APP_CONFIG.UI_CONFIG.buttonTexts.error);
@@ -1077,29 +1850,856 @@ class UIController {
     }
 
     /**
-     * メイン翻訳エリアの表示内容とスタイル更新
-     * 翻訳状態（ローディング・成功・エラー）に応じて表示内容を動的更新
-     * ダークモード対応、ローディングアニメーション、スクロール位置保持を含む
+     * 再開待ちカウントダウンの開始・停止
+     * @private
      * 
-     * @param {Object} translationState - 翻訳状態オブジェクト
+     * @param {boolean} isWaiting - 再開待ち中かどうか
      */
-    updateTranslationArea(translationState) {
-        const $area = this.elements.$translationArea;
-        const $placeholder = $area.find('.translation-placeholder');
-        const $content = $area.find('.translation-content');
+    updateRestartCountdown(isWaiting) {
+        if (isWaiting && !this.restartCountdownTimer) {
+            this.restartCountdownTimer = setInterval(() => {
+                this.updateRecognitionButton(stateManager.state.recognition);
+            }, 1000);
+        } else if (!isWaiting && this.restartCountdownTimer) {
+            clearInterval(this.restartCountdownTimer);
+            this.restartCountdownTimer = null;
+        }
+    }
+
+    /**
+     * 音声検出インジケーターの更新
+     * 認識中のみ表示し、無音・音声検出・発話中の3状態を切り替える
+     * 最後の発話時刻をツールチップに表示し、無音と認識停止の区別に使用
+     * 
+     * @param {Object} recognitionState - 音声認識状態オブジェクト
+     */
+    updateVoiceActivityIndicator(recognitionState) {
+        const $indicator = this.elements.$voiceActivityIndicator;
+        if (!$indicator || !$indicator.length) return;
+        
+        if (!recognitionState.isListening) {
+            $indicator.addClass('d-none');
+            return;
+        }
+        
+        let activity = 'silent';
+        if (recognitionState.isSpeaking) {
+            activity = 'speaking';
+        } else if (recognitionState.isHearingSound) {
+            activity = 'sound';
+        }
+        
+        const title = recognitionState.lastSpeechStartTime
+            ? `最後の発話: ${Utils.formatTimestamp(recognitionState.lastSpeechStartTime)}`
+            : '発話はまだ検出されていません';
+        
+        $indicator
+            .removeClass('d-none')
+            .attr('data-activity', activity)
+            .attr('title', title);
+        $indicator.find('.voice-activity-label').text(APP_CONFIG.UI_CONFIG.voiceActivityTexts[activity]);
+    }
+
+    /**
+     * 設定モーダルでの入力レベル計測の開始
+     * デバイス一覧を表示し、保存済みのデバイスの計測を開始
+     */
+    async startInputLevelPreview() {
+        try {
+            if (!window.audioInputMonitor || !audioInputMonitor.isSupported()) {
+                this.elements.$inputLevelValue.text('非対応');
+                return;
+            }
+            
+            await this.renderAudioInputDevices(stateManager.getState('config.audioInputDeviceId'));
+            audioInputMonitor.acquire('settings', this.elements.$audioInputDeviceSelect.val());
+            
+        } catch (error) {
+        }
+    }
+
+    /**
+     * 音声入力デバイスの選択肢の描画
+     * 選択中のデバイスが見つからない場合（切断など）も選択肢として残す
+     * 
+     * @param {string} selectedDeviceId - 選択するデバイスID（空文字は既定のデバイス）
+     * @returns {Promise<void>}
+     */
+    async renderAudioInputDevices(selectedDeviceId) {
+        const devices = await audioInputMonitor.listDevices();
+        const $select = this.elements.$audioInputDeviceSelect;
+        
+        const options = [{ deviceId: '', label: '既定のデバイス' }, ...devices];
+        if (selectedDeviceId && !devices.some(device => device.deviceId === selectedDeviceId)) {
+            options.push({ deviceId: selectedDeviceId, label: '（接続されていないデバイス）' });
+        }
+        
+        $select.html(options.map(device =>
+            `<option value="${Utils.escapeHtml(device.deviceId)}">${Utils.escapeHtml(device.label)}</option>`
+        ).join(''));
+        $select.val(selectedDeviceId || '');
+    }
+
+    /**
+     * 翻訳先言語と第2翻訳言語の選択肢の描画
+     * 
+     * @param {string} targetLanguage - 選択する翻訳先言語
+     * @param {string} secondaryTargetLanguage - 選択する第2翻訳言語（空文字は使用しない）
+     */
+    renderTargetLanguageOptions(targetLanguage, secondaryTargetLanguage) {
+        const options = Object.entries(APP_CONFIG.TARGET_LANGUAGE_CONFIG).map(([code, config]) =>
+            `<option value="${code}">${Utils.escapeHtml(config.label)}</option>`
+        ).join('');
+        
+        this.elements.$targetLanguageSelect.html(options).val(targetLanguage || APP_CONFIG.DEFAULT_SETTINGS.targetLanguage);
+        this.elements.$secondaryTargetLanguageSelect.html(`<option value="">なし</option>${options}`).val(secondaryTargetLanguage || '');
+    }
+
+    /**
+     * 入力レベルメーターの更新
+     * 
+     * @param {Object} data - 入力レベル（{ level, decibels, error }）
+     */
+    updateInputLevelMeter(data) {
+        const $bar = this.elements.$inputLevelMeter.find('.progress-bar');
+        const percent = Math.round((data.level || 0) * 100);
+        
+        $bar.css('width', `${percent}%`);
+        this.elements.$inputLevelMeter.attr('aria-valuenow', percent);
+        
+        if (data.error) {
+            this.elements.$inputLevelValue.text(data.error === 'NotAllowedError' ? 'マイク使用不可' : '取得失敗');
+        } else {
+            this.elements.$inputLevelValue.text(data.decibels === null ? '-' : `${data.decibels} dB`);
+        }
+    }
+
+    /**
+     * 認識中の入力レベル警告バーの表示切り替え
+     * 
+     * @param {Object} recognitionState - 音声認識状態オブジェクト
+     */
+    updateInputLevelWarning(recognitionState) {
+        const $warning = this.elements.$inputLevelWarning;
+        if (!$warning || !$warning.length) return;
+        
+        const shouldShow = !!(recognitionState.isActive && recognitionState.isInputFlat);
+        if (shouldShow === !$warning.hasClass('d-none')) return;
+        
+        $warning.toggleClass('d-none', !shouldShow);
+        
+        // 高さを再計算
+        setTimeout(() => this.calculateMainTextAreaHeight(), 100);
+    }
+
+    /**
+     * 行へのキーワード検出の強調表示
+     * 行を強調し、時刻表示の横に一致したキーワードのバッジを表示
+     * 
+     * @param {jQuery} $textLine - テキスト行要素
+     * @param {Object|null} alert - keywordWatcher.getAlert()の戻り値
+     */
+    applyKeywordAlert($textLine, alert) {
+        $textLine.find('.keyword-badges').remove();
+        $textLine.toggleClass('keyword-alert', !!alert);
+        
+        if (!alert) return;
+        
+        const badges = alert.keywords
+            .map(keyword => `<span class="badge keyword-badge ms-1">${Utils.escapeHtml(keyword)}</span>`)
+            .join('');
+        $textLine.children('small.text-muted').first().after(`<span class="keyword-badges">${badges}</span>`);
+    }
+
+    /**
+     * 確定した行を段落に追加
+     * 最後の段落と話者が同じで発話間隔が設定の秒数未満の場合はその段落に追加し、
+     * それ以外は新しい段落を作成する（1行だけの段落は見出しを表示しない）
+     * 
+     * @param {jQuery} $textLine - 追加するテキスト行要素
+     */
+    appendToParagraph($textLine) {
+        const $mainTextArea = this.elements.$mainTextArea;
+        const $lastParagraph = $mainTextArea.children().last();
+        
+        if ($lastParagraph.is('.text-paragraph') && this.shouldJoinParagraph($lastParagraph, $textLine)) {
+            $lastParagraph.children('.paragraph-body').append($textLine);
+            this.resetParagraphTranslation($lastParagraph);
+            this.updateParagraph($lastParagraph);
+            return;
+        }
+        
+        const $paragraph = $(`
+            <div class="text-paragraph mb-2">
+                <div class="paragraph-header">
+                    <button type="button" class="btn btn-link btn-sm p-0 me-2 paragraph-collapse-toggle" aria-expanded="true" title="段落を折りたたむ">
+                        <i class="bi bi-chevron-down"></i>
+                    </button>
+                    <span class="paragraph-line-count small text-muted"></span>
+                    <span class="paragraph-preview small text-muted ms-2"></span>
+                    <button type="button" class="btn btn-outline-primary btn-sm ms-auto paragraph-translate-btn" title="段落全体をまとめて翻訳">段落を翻訳</button>
+                </div>
+                <div class="paragraph-body"></div>
+                <div class="paragraph-translation d-none" data-panel-state="original"></div>
+            </div>
+        `);
+        
+        $paragraph.children('.paragraph-body').append($textLine);
+        $mainTextArea.append($paragraph);
+        this.updateParagraph($paragraph);
+    }
+
+    /**
+     * 行を既存の段落に追加するか判定
+     * 折りたたみ中の段落には追加しない（追加した行が見えなくなるため）
+     * @private
+     * 
+     * @param {jQuery} $paragraph - 最後の段落要素
+     * @param {jQuery} $textLine - 追加するテキスト行要素
+     * @returns {boolean} 追加するかどうか
+     */
+    shouldJoinParagraph($paragraph, $textLine) {
+        const gapSeconds = stateManager.getState('config.paragraphGapSeconds') || 0;
+        const $previousLine = $paragraph.find('.text-line[data-text-id]').last();
+        
+        if (gapSeconds <= 0 || !$previousLine.length || $paragraph.hasClass('collapsed')) {
+            return false;
+        }
+        
+        if (($previousLine.attr('data-speaker') || '') !== ($textLine.attr('data-speaker') || '')) {
+            return false;
+        }
+        
+        const gap = Number($textLine.attr('data-speech-time')) - Number($previousLine.attr('data-speech-end'));
+        return gap < gapSeconds * 1000;
+    }
+
+    /**
+     * 段落の見出し（行数・折りたたみ時の先頭テキスト）の更新
+     * 行がなくなった段落は削除する
+     * 
+     * @param {jQuery} $paragraph - 段落要素
+     */
+    updateParagraph($paragraph) {
+        const $lines = $paragraph.find('.text-line[data-text-id]');
+        if (!$lines.length) {
+            $paragraph.remove();
+            return;
+        }
+        
+        const firstText = $lines.first().find('.chinese-text').attr('data-original-text') || '';
+        const maxLength = this.config.paragraph.previewLength;
+        
+        $paragraph.toggleClass('multi-line', $lines.length > 1);
+        $paragraph.find('.paragraph-line-count').text(`${$lines.length}行`);
+        $paragraph.find('.paragraph-preview').text(firstText.length > maxLength ? firstText.slice(0, maxLength) + '…' : firstText);
+    }
+
+    /**
+     * 段落の折りたたみ・展開の切り替え
+     * 
+     * @param {jQuery} $paragraph - 段落要素
+     * @param {boolean} [collapsed] - 折りたたむかどうか（省略時は現在の状態を反転）
+     */
+    toggleParagraphCollapse($paragraph, collapsed) {
+        const isCollapsed = collapsed !== undefined ? collapsed : !$paragraph.hasClass('collapsed');
+        
+        $paragraph.toggleClass('collapsed', isCollapsed);
+        $paragraph.find('.paragraph-collapse-toggle')
+            .attr('aria-expanded', String(!isCollapsed))
+            .attr('title', isCollapsed ? '段落を展開' : '段落を折りたたむ')
+            .find('i').toggleClass('bi-chevron-down', !isCollapsed).toggleClass('bi-chevron-right', isCollapsed);
+    }
+
+    /**
+     * 段落全体の翻訳と非表示の切り替え
+     * 段落内の行の原文をまとめて翻訳し、前後の文脈を含めた訳文を段落の下に表示する
+     * 話者が全行で同じ場合のみ話者を翻訳プロンプトに渡す
+     * 
+     * @param {jQuery} $paragraph - 段落要素
+     * @returns {Promise<void>}
+     */
+    async toggleParagraphTranslation($paragraph) {
+        const $panel = $paragraph.children('.paragraph-translation');
+        
+        if ($panel.attr('data-panel-state') !== 'original') {
+            this.resetParagraphTranslation($paragraph);
+            return;
+        }
+        
+        const $lines = $paragraph.find('.text-line[data-text-id]');
+        const text = $lines.map((index, element) => $(element).find('.chinese-text').attr('data-original-text') || '').get().join(' ');
+        const speakers = new Set($lines.map((index, element) => $(element).attr('data-speaker') || '').get());
+        const speaker = speakers.size === 1 ? this.getPromptSpeaker($lines.first().attr('data-text-id')) : null;
+        
+        $panel.removeClass('d-none');
+        $paragraph.find('.paragraph-translate-btn').addClass('active').text('段落の翻訳を閉じる');
+        
+        await this.showTranslationInPanel($panel, text, { speaker, contextEntryId: $lines.first().attr('data-text-id') });
+    }
+
+    /**
+     * 段落の翻訳の非表示
+     * 行の追加・差し替えで段落の原文が変わった場合にも呼び出す
+     * 
+     * @param {jQuery} $paragraph - 段落要素
+     */
+    resetParagraphTranslation($paragraph) {
+        if (!$paragraph.length) return;
+        
+        const $panel = $paragraph.children('.paragraph-translation');
+        
+        // 翻訳中の通信は中止して結果を破棄
+        this.abortPanelTranslation($panel);
+        $panel.empty().attr('data-panel-state', 'original').addClass('d-none');
+        $paragraph.find('.paragraph-translate-btn').removeClass('active').text('段落を翻訳');
+    }
+
+    /**
+     * 行への話者ラベルの表示
+     * 時刻表示の前に話者ピッカーを表示し、話者ごとの色で行を色分けする
+     * 
+     * @param {jQuery} $textLine - テキスト行要素
+     * @param {string|null} speaker - 話者の名前
+     */
+    applySpeaker($textLine, speaker) {
+        if (!window.speakerTagger) return;
+        
+        $textLine.find('.speaker-picker').remove();
+        $textLine.toggleClass('has-speaker', !!speaker);
+        $textLine.attr('data-speaker', speaker || null);
+        $textLine[0].style.setProperty('--speaker-color', speaker ? speakerTagger.getColor(speaker) : '');
+        
+        $textLine.prepend(this.renderSpeakerPicker(speaker));
+    }
+
+    /**
+     * 話者ピッカーのHTML生成
+     * 話者一覧が空で話者のない行には表示しない
+     * 
+     * @param {string|null} speaker - 行の話者の名前
+     * @returns {string} ピッカーHTML
+     */
+    renderSpeakerPicker(speaker) {
+        const speakers = speakerTagger.getSpeakers();
+        if (!speaker && speakers.length === 0) {
+            return '';
+        }
+        
+        const items = speakers.map(item => {
+            const activeClass = item.name === speaker ? ' active' : '';
+            return `<li><a class="dropdown-item${activeClass}" href="#" data-speaker-name="${Utils.escapeHtml(item.name).replace(/"/g, '&quot;')}">
+                <span class="speaker-swatch me-2" style="background-color: ${item.color}"></span>${Utils.escapeHtml(item.name)}
+            </a></li>`;
+        }).join('');
+        
+        return `
+            <span class="dropdown speaker-picker me-2">
+                <button type="button" class="btn btn-sm speaker-badge dropdown-toggle" data-bs-toggle="dropdown" aria-expanded="false" title="話者を付け替え">
+                    ${speaker ? Utils.escapeHtml(speaker) : '話者'}
+                </button>
+                <ul class="dropdown-menu">
+                    ${items}
+                    ${items ? '<li><hr class="dropdown-divider"></li>' : ''}
+                    <li><a class="dropdown-item${speaker ? '' : ' active'}" href="#" data-speaker-name="">話者なし</a></li>
+                </ul>
+            </span>
+        `;
+    }
+
+    /**
+     * ヘッダーの現在の話者表示の更新
+     * 話者一覧が空の場合は非表示
+     */
+    updateCurrentSpeaker() {
+        if (!window.speakerTagger) return;
+        
+        const speakers = speakerTagger.getSpeakers();
+        const current = speakerTagger.getCurrentSpeaker();
+        
+        this.elements.$currentSpeaker.toggleClass('d-none', speakers.length === 0);
+        this.elements.$currentSpeakerButton
+            .toggleClass('has-speaker', !!current)
+            .find('.current-speaker-label').text(current ? current.name : '話者なし');
+        this.elements.$currentSpeakerButton[0]?.style.setProperty('--speaker-color', current ? current.color : '');
+        
+        const items = speakers.map((speaker, index) => {
+            const activeClass = current?.name === speaker.name ? ' active' : '';
+            return `<li><a class="dropdown-item d-flex align-items-center${activeClass}" href="#" data-speaker-index="${index}">
+                <span class="speaker-swatch me-2" style="background-color: ${speaker.color}"></span>${Utils.escapeHtml(speaker.name)}
+                <kbd class="ms-auto ps-3">Alt+${index + 1}</kbd>
+            </a></li>`;
+        }).join('');
+        
+        this.elements.$currentSpeakerMenu.html(`
+            ${items}
+            <li><hr class="dropdown-divider"></li>
+            <li><a class="dropdown-item d-flex align-items-center${current ? '' : ' active'}" href="#" data-speaker-index="">
+                話者なし<kbd class="ms-auto ps-3">Alt+0</kbd>
+            </a></li>
+        `);
+    }
+
+    /**
+     * 話者一覧の変更を表示中の全行とヘッダーに反映
+     */
+    updateSpeakerDisplay() {
+        if (!window.speakerTagger) return;
+        
+        this.elements.$mainTextArea.find('.text-line[data-text-id]').each((index, element) => {
+            const $textLine = $(element);
+            this.applySpeaker($textLine, $textLine.attr('data-speaker') || null);
+        });
+        this.updateCurrentSpeaker();
+    }
+
+    /**
+     * ヘッダーの未読キーワード件数の更新
+     */
+    updateKeywordAlertCount() {
+        const count = keywordWatcher.unreadCount;
+        this.elements.$keywordAlertCount
+            .text(count > 99 ? '99+' : count)
+            .toggleClass('d-none', count === 0);
+    }
+
+    /**
+     * キーワード検出一覧の描画
+     * 新しい順に検出時刻・キーワード・テキストを表示
+     * 最大行数の制限やクリアで表示されなくなった行は移動できない状態で表示
+     */
+    renderKeywordAlerts() {
+        try {
+            const $list = this.elements.$keywordAlertList;
+            const alerts = keywordWatcher.getAlerts();
+            
+            if (alerts.length === 0) {
+                $list.html('<div class="list-group-item text-muted small">検出なし</div>');
+                return;
+            }
+            
+            $list.empty();
+            alerts.forEach(alert => {
+                const isDisplayed = this.elements.$mainTextArea.find(`.text-line[data-text-id="${alert.id}"]`).length > 0;
+                const badges = alert.keywords
+                    .map(keyword => `<span class="badge keyword-badge me-1">${Utils.escapeHtml(keyword)}</span>`)
+                    .join('');
+                
+                const $item = $(`
+                    <button type="button" class="list-group-item list-group-item-action keyword-alert-item">
+                        <div class="d-flex justify-content-between align-items-center mb-1">
+                            <span>${badges}</span>
+                            <small class="text-muted">${Utils.formatTimestamp(alert.time)}</small>
+                        </div>
+                        <div class="small text-truncate">${Utils.escapeHtml(alert.text)}</div>
+                    </button>
+                `);
+                
+                $item.attr('data-text-id', alert.id);
+                if (!isDisplayed) {
+                    $item.prop('disabled', true).attr('title', '表示範囲外の行です');
+                }
+                $list.append($item);
+            });
+            
+        } catch (error) {
+        }
+    }
+
+    /**
+     * 指定した行へのスクロールと一時的な強調
+     * 表示位置を保つため、自動スクロールが有効な場合はオフにする
+     * 
+     * @param {string} id - テキスト履歴エントリID
+     */
+    jumpToTextLine(id) {
+        const $textLine = this.elements.$mainTextArea.find(`.text-line[data-text-id="${id}"]`);
+        if (!$textLine.length) return;
+        
+        // 折りたたみ中の段落は展開
+        this.toggleParagraphCollapse($textLine.closest('.text-paragraph'), false);
+        
+        if (stateManager.getState('config.autoScroll')) {
+            stateManager.setState('config.autoScroll', false);
+            this.updateAutoScrollButton(false);
+        }
+        
+        $textLine[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        
+        $textLine.removeClass('keyword-flash');
+        Utils.forceReflow($textLine);
+        $textLine.addClass('keyword-flash');
+        setTimeout(() => $textLine.removeClass('keyword-flash'), APP_CONFIG.UI_CONFIG.keywordAlert.flashDuration);
+    }
+
+    /**
+     * 予約開始・自動停止のカウントダウン表示の更新
+     * 予約開始までの残り時間、または自動停止（時間・無音）までの残り時間をヘッダーに表示
+     * 
+     * @param {Object|null} countdown - sessionScheduler.getCountdown()の戻り値
+     */
+    updateSessionTimer(countdown) {
+        const $timer = this.elements.$sessionTimer;
+        if (!$timer || !$timer.length) return;
+        
+        if (!countdown) {
+            $timer.addClass('d-none');
+            return;
+        }
+        
+        // 残り時間は秒単位で切り上げて表示（0秒表示の前に停止しないように）
+        const remaining = Math.ceil(countdown.remaining / 1000) * 1000;
+        const title = countdown.type === 'start'
+            ? `予約開始: ${Utils.formatTimestamp(countdown.at)}`
+            : `自動停止予定: ${Utils.formatTimestamp(countdown.at)}`;
+        
+        $timer
+            .removeClass('d-none')
+            .attr('data-timer', countdown.type)
+            .attr('title', title);
+        $timer.find('.session-timer-label').text(
+            `${APP_CONFIG.UI_CONFIG.sessionTimerTexts[countdown.type]} ${Utils.formatDuration(remaining)}`
+        );
+    }
+
+    /**
+     * 診断パネルの描画
+     * 集計値、再起動理由・エラー種別ごとの回数、セッション履歴を表示
+     */
+    renderDiagnostics() {
+        try {
+            const summary = recognitionDiagnostics.getSummary();
+            const formatMs = value => value === null ? '-' : `${(value / 1000).toFixed(1)}秒`;
+            
+            const cards = [
+                ['計測時間', Utils.formatDuration(summary.monitoringDuration)],
+                ['累計稼働時間', Utils.formatDuration(summary.totalUptime)],
+                ['現在のセッション', summary.isSessionActive ? Utils.formatDuration(summary.currentSessionDuration) : '停止中'],
+                ['セッション数', summary.sessionCount],
+                ['再起動回数', summary.restartCount],
+                ['エラー回数', summary.errorCount],
+                ['確定結果数', summary.totalResultCount],
+                ['初回結果（平均/最大）', `${formatMs(summary.averageTimeToFirstResult)} / ${formatMs(summary.maxTimeToFirstResult)}`]
+            ];
+            
+            this.elements.$diagnosticsSummary.html(cards.map(([label, value]) => `
+                <div class="col-6 col-md-3">
+                    <div class="diagnostics-stat">
+                        <div class="diagnostics-stat-label">${label}</div>
+                        <div class="diagnostics-stat-value">${Utils.escapeHtml(String(value))}</div>
+                    </div>
+                </div>
+            `).join(''));
+            
+            const renderCounts = (counts, labeler) => {
+                const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+                if (entries.length === 0) {
+                    return '<li class="list-group-item text-muted">記録なし</li>';
+                }
+                return entries.map(([key, count]) => `
+                    <li class="list-group-item d-flex justify-content-between">
+                        <span>${Utils.escapeHtml(labeler(key))}</span>
+                        <span class="fw-bold">${count}</span>
+                    </li>
+                `).join('');
+            };
+            
+            this.elements.$diagnosticsRestartReasons.html(
+                renderCounts(summary.restartCounts, reason => recognitionDiagnostics.getReasonLabel(reason))
+            );
+            this.elements.$diagnosticsErrorTypes.html(
+                renderCounts(summary.errorCounts, code => {
+                    const message = APP_CONFIG.ERROR_MESSAGES.SPEECH_RECOGNITION[code];
+                    return message ? `${code}（${message}）` : code;
+                })
+            );
+            
+            const now = Date.now();
+            const rows = recognitionDiagnostics.sessions.slice().reverse().map(session => `
+                <tr>
+                    <td>${Utils.formatTimestamp(session.startTime)}</td>
+                    <td>${Utils.formatDuration((session.endTime || now) - session.startTime)}</td>
+                    <td>${formatMs(session.timeToFirstResult)}</td>
+                    <td>${session.resultCount}</td>
+                    <td>${session.errors.length}</td>
+                    <td>${session.endReason ? Utils.escapeHtml(recognitionDiagnostics.getReasonLabel(session.endReason)) : '<span class="text-success">実行中</span>'}</td>
+                </tr>
+            `);
+            
+            this.elements.$diagnosticsSessions.html(
+                rows.length ? rows.join('') : '<tr><td colspan="6" class="text-muted">記録なし</td></tr>'
+            );
+            
+        } catch (error) {
+        }
+    }
+
+    /**
+     * タイマーで停止したセッションの記録の描画
+     * localStorageに保存された記録を新しい順に表示
+     */
+    renderSessionSummaries() {
+        try {
+            const rows = stateManager.getSessionSummaries().map(summary => `
+                <tr>
+                    <td>${new Date(summary.startTime).toLocaleString('ja-JP')}${summary.isScheduled ? ' <span class="badge text-bg-secondary">予約</span>' : ''}</td>
+                    <td>${Utils.formatTimestamp(summary.endTime)}</td>
+                    <td>${Utils.formatDuration(summary.duration)}</td>
+                    <td>${summary.lineCount}</td>
+                    <td>${summary.charCount}</td>
+                    <td>${summary.restartCount}</td>
+                    <td>${Utils.escapeHtml(sessionScheduler.getReasonLabel(summary.reason))}</td>
+                </tr>
+            `);
+            
+            this.elements.$diagnosticsSessionSummaries.html(
+                rows.length ? rows.join('') : '<tr><td colspan="7" class="text-muted">記録なし</td></tr>'
+            );
+            
+        } catch (error) {
+        }
+    }
+
+    /**
+     * 診断データをJSONファイルとしてダウンロード
+     */
+    exportDiagnostics() {
+        const fileName = `recognition-diagnostics-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        this.downloadJSON(recognitionDiagnostics.exportJSON(), fileName);
+    }
+
+    /**
+     * JSON文字列をファイルとしてダウンロード
+     * @private
+     * 
+     * @param {string} json - JSON文字列
+     * @param {string} fileName - ファイル名
+     */
+    downloadJSON(json, fileName) {
+        try {
+            const blob = new Blob([json], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            
+            const $link = $('<a>').attr({ href: url, download: fileName }).appendTo('body');
+            $link[0].click();
+            $link.remove();
+            
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            
+        } catch (error) {
+        }
+    }
+
+    /**
+     * 置換辞書のプロフィール選択肢の描画
+     */
+    renderDictionaryProfiles() {
+        const activeProfile = stateManager.getState('config.activeProfile');
+        const $select = this.elements.$dictionaryProfileSelect.empty();
+        
+        stateManager.getProfileNames().forEach(name => {
+            $('<option>').val(name).text(name).appendTo($select);
+        });
+        $select.val(activeProfile);
+    }
+
+    /**
+     * 置換ルールの編集表と登録語彙・用語集の描画
+     */
+    renderDictionaryRules() {
+        const rules = replacementDictionary.getRules();
+        const $tbody = this.elements.$dictionaryRules.empty();
+        
+        this.elements.$dictionaryError.addClass('d-none').empty();
+        this.elements.$dictionaryVocabularyInput.val(vocabularyBiaser.getTerms().join('\n'));
+        this.elements.$dictionaryGlossaryInput.val(glossaryManager.toText()).removeClass('is-invalid');
+        
+        if (rules.length === 0) {
+            $tbody.html('<tr class="dictionary-empty"><td colspan="6" class="text-muted small">ルールがありません</td></tr>');
+            return;
+        }
+        
+        rules.forEach(rule => $tbody.append(this.createDictionaryRuleRow(rule)));
+    }
+
+    /**
+     * 置換ルールの編集行を生成
+     * @private
+     * 
+     * @param {Object} rule - 置換ルール
+     * @returns {jQuery} 表の行要素
+     */
+    createDictionaryRuleRow(rule) {
+        const $row = $(`
+            <tr>
+                <td><input class="form-check-input dictionary-enabled" type="checkbox" title="有効"></td>
+                <td><input type="text" class="form-control form-control-sm dictionary-pattern" placeholder="误认识"></td>
+                <td><input type="text" class="form-control form-control-sm dictionary-replacement" placeholder="正しい表記"></td>
+                <td><input class="form-check-input dictionary-regex" type="checkbox" title="正規表現"></td>
+                <td class="text-end dictionary-hit-count"></td>
+                <td class="text-end">
+                    <button type="button" class="btn btn-link btn-sm text-danger p-0 dictionary-rule-delete" title="削除">
+                        <i class="bi bi-x-lg"></i>
+                    </button>
+                </td>
+            </tr>
+        `);
+        
+        // 値はjQueryで設定（HTMLエスケープ問題を回避）
+        $row.attr('data-rule-id', rule.id || '');
+        $row.find('.dictionary-enabled').prop('checked', rule.enabled);
+        $row.find('.dictionary-pattern').val(rule.pattern);
+        $row.find('.dictionary-replacement').val(rule.replacement);
+        $row.find('.dictionary-regex').prop('checked', rule.isRegex);
+        $row.find('.dictionary-hit-count').text(rule.hitCount || 0);
+        
+        return $row;
+    }
+
+    /**
+     * 表示中の適用回数の更新
+     * @private
+     */
+    updateDictionaryHitCounts() {
+        replacementDictionary.getRules().forEach(rule => {
+            this.elements.$dictionaryRules
+                .find(`tr[data-rule-id="${rule.id}"] .dictionary-hit-count`)
+                .text(rule.hitCount);
+        });
+    }
+
+    /**
+     * 編集表の置換ルールと登録語彙・用語集を保存
+     * 置換前が空の行は無視し、不正な正規表現や訳語のない用語がある場合は該当行を示して保存しない
+     */
+    saveDictionary() {
+        const glossary = glossaryManager.parse(this.elements.$dictionaryGlossaryInput.val());
+        this.elements.$dictionaryGlossaryInput.toggleClass('is-invalid', glossary.errors.length > 0);
+        if (glossary.errors.length > 0) {
+            this.elements.$dictionaryError.text(`用語集は「原語,訳語,メモ」の形式で入力してください: ${glossary.errors.join(' / ')}`).removeClass('d-none');
+            return;
+        }
+        
+        const $rows = this.elements.$dictionaryRules.find('tr[data-rule-id]');
+        const rules = [];
+        const rowElements = [];
+        
+        $rows.each((index, row) => {
+            const $row = $(row);
+            const pattern = $row.find('.dictionary-pattern').val();
+            $row.find('.dictionary-pattern').removeClass('is-invalid');
+            
+            if (!pattern) return;
+            
+            const existing = replacementDictionary.getRules().find(rule => rule.id === $row.attr('data-rule-id'));
+            rules.push({
+                id: $row.attr('data-rule-id') || null,
+                pattern: pattern,
+                replacement: $row.find('.dictionary-replacement').val(),
+                isRegex: $row.find('.dictionary-regex').prop('checked'),
+                enabled: $row.find('.dictionary-enabled').prop('checked'),
+                hitCount: existing ? existing.hitCount : 0
+            });
+            rowElements.push($row);
+        });
+        
+        const errors = replacementDictionary.setRules(rules);
+        
+        if (errors.length > 0) {
+            errors.forEach(error => rowElements[error.index].find('.dictionary-pattern').addClass('is-invalid'));
+            this.elements.$dictionaryError.text(errors.map(error => error.message).join(' / ')).removeClass('d-none');
+            return;
+        }
+        
+        vocabularyBiaser.setTerms(this.elements.$dictionaryVocabularyInput.val().split('\n'));
+        glossaryManager.setEntries(glossary.entries);
+        
+        this.renderDictionaryRules();
+        this.showSuccessMessage(`置換辞書を保存しました（ルール${rules.length}件・語彙${vocabularyBiaser.getTerms().length}件・用語${glossaryManager.getEntries().length}件）`);
+    }
+
+    /**
+     * プロフィールの追加
+     * 入力された名前のプロフィールを作成して切り替える
+     */
+    addDictionaryProfile() {
+        const name = (prompt('プロフィール名を入力してください（配信者名など）') || '').trim().slice(0, 30);
+        if (!name) return;
+        
+        stateManager.createProfile(name);
+        stateManager.setActiveProfile(name);
+        this.renderDictionaryProfiles();
+        this.renderDictionaryRules();
+    }
+
+    /**
+     * 使用中のプロフィールの削除
+     * 削除後は残りのプロフィール（ない場合は既定のプロフィール）に切り替える
+     */
+    deleteDictionaryProfile() {
+        const profile = stateManager.getState('config.activeProfile');
+        if (!confirm(`プロフィール「${profile}」の置換辞書を削除しますか？`)) return;
+        
+        stateManager.deleteProfile(profile);
+        
+        const nextProfile = stateManager.getProfileNames().find(name => name !== profile) || APP_CONFIG.DEFAULT_SETTINGS.activeProfile;
+        if (nextProfile === profile) {
+            // 既定のプロフィールを削除した場合はルールを読み込み直す
+            replacementDictionary.load();
+        } else {
+            stateManager.setActiveProfile(nextProfile);
+        }
+        
+        this.renderDictionaryProfiles();
+        this.renderDictionaryRules();
+    }
+
+    /**
+     * 置換ルールのJSONファイルのインポート
+     * 
+     * @param {File} file - 選択されたJSONファイル
+     * @returns {Promise<void>}
+     */
+    async importDictionary(file) {
+        try {
+            const result = replacementDictionary.importJSON(await file.text());
+            this.renderDictionaryRules();
+            this.showSuccessMessage(`置換ルールをインポートしました（追加${result.added}件・更新${result.updated}件・スキップ${result.skipped}件）`);
+            
+        } catch (error) {
+            this.elements.$dictionaryError.text(`インポートできませんでした: ${error.message}`).removeClass('d-none');
+        }
+    }
+
+    /**
+     * メイン翻訳エリアの表示内容とスタイル更新
+     * 翻訳状態（ローディング・成功・エラー）に応じて表示内容を動的更新
+     * 逐次表示中は受信途中の訳文をローディング中のスタイルのまま表示
+     * ダークモード対応、ローディングアニメーション、スクロール位置保持を含む
+     * 
+     * @param {Object} translationState - 翻訳状態オブジェクト
+     */
+    updateTranslationArea(translationState) {
+        const $area = this.elements.$translationArea;
+        const $placeholder = $area.find('.translation-placeholder');
+        const $content = $area.find('.translation-content');
         
         // 現在のスクロール位置を保存
         const currentScrollTop = this.elements.$mainTextArea.scrollTop();
         
         if (translationState.isLoading) {
+            const partialText = translationState.translatedText || '';
+            
             this.showLoadingToast('翻訳処理中...');
-            $placeholder.removeClass('d-none').text('翻訳処理中...');
+            $placeholder.toggleClass('d-none', !!partialText).text('翻訳処理中...');
             
-            // 処理中は原文を表示し、翻訳部分をグレーに
+            // 処理中は原文と受信途中の訳文を表示し、翻訳部分をグレーに
             if (translationState.originalText) {
                 $content.removeClass('d-none');
                 $content.find('.selected-text').text(translationState.originalText);
-                $content.find('.translated-text').text('翻訳処理中...');
+                $content.find('.translated-text')
+                    .text(partialText || '翻訳処理中...')
+                    .toggleClass('streaming', !!partialText);
                 
                 // 処理中の色設定（ダークモード対応）
                 const isDarkMode = $('html').attr('data-theme') === 'dark';
@@ -1127,7 +2727,7 @@ class UIController {
                 
                 // 翻訳結果を表示
                 const $translatedSpan = $content.find('.translated-text');
-                $translatedSpan.text(translationState.translatedText);
+                $translatedSpan.text(translationState.translatedText).removeClass('streaming');
                 
                 // 翻訳状態に応じて色を設定
                 const $translatedLine = $content.find('[data-translation-item="translated"]');
@@ -1228,9 +2828,20 @@ class UIController {
      * stateManagerの翻訳状態もクリアし、初期メッセージを再表示
      */
     clearMainText() {
+        // 翻訳中の行・段落と翻訳エリアの通信を中止
+        this.abortPanelTranslation(this.elements.$mainTextArea.find('.chinese-text, .paragraph-translation, .secondary-translation'));
+        if (window.geminiTranslator) {
+            geminiTranslator.cancelTranslation();
+        }
+        
         this.elements.$mainTextArea.empty();
         this.showInitialMessage();
         
+        // 表示中の行がなくなるため文結合の対象もクリア
+        if (window.sentenceAssembler) {
+            sentenceAssembler.clear();
+        }
+        
         // 翻訳エリアもクリア
         stateManager.updateTranslationState({
             selectedText: '',
@@ -1278,7 +2889,17 @@ class UIController {
         
         // 0の場合は無制限（制限なし）
         if (maxLines > 0 && $lines.length > maxLines) {
-            $lines.slice(0, $lines.length - maxLines).remove();
+            const $removed = $lines.slice(0, $lines.length - maxLines);
+            const $paragraphs = $removed.closest('.text-paragraph');
+            
+            this.abortPanelTranslation($removed.find('.chinese-text, .secondary-translation'));
+            $removed.remove();
+            
+            // 行が減った段落の見出しを更新（行がなくなった段落は削除）
+            $paragraphs.each((index, element) => {
+                this.resetParagraphTranslation($(element));
+                this.updateParagraph($(element));
+            });
         }
     }
 
@@ -1290,27 +2911,134 @@ class UIController {
     loadSettingsToModal() {
         const state = stateManager.state.config;
         
+        this.elements.$recognitionBackendSelect.val(state.recognitionBackend);
+        this.elements.$recognitionServerUrlInput.val(state.recognitionServerUrl);
+        this.elements.$inputLevelWarningCheck.prop('checked', state.inputLevelWarning);
+        this.elements.$maxAlternativesInput.val(state.maxAlternatives);
+        this.elements.$lowConfidenceThresholdInput.val(state.lowConfidenceThreshold);
+        this.elements.$skipLowConfidenceTranslationCheck.prop('checked', state.skipLowConfidenceTranslation);
+        this.elements.$punctuationRestorationCheck.prop('checked', state.punctuationRestoration);
+        this.elements.$sentenceStitchingCheck.prop('checked', state.sentenceStitching);
+        this.elements.$duplicateSimilarityThresholdInput.val(state.duplicateSimilarityThreshold);
+        this.elements.$duplicateCheckSecondsInput.val(state.duplicateCheckSeconds);
+        this.elements.$vocabularyBiasModeSelect.val(state.vocabularyBiasMode);
+        this.elements.$vocabularySimilarityThresholdInput.val(state.vocabularySimilarityThreshold);
+        this.elements.$restartStrategySelect.val(state.restartStrategy);
+        this.elements.$restartBaseDelayInput.val(state.restartBaseDelay);
+        this.elements.$restartMaxAttemptsInput.val(state.restartMaxAttempts);
+        this.elements.$scheduledStartTimeInput.val(state.scheduledStartTime);
+        this.elements.$autoStopAfterMinutesInput.val(state.autoStopAfterMinutes);
+        this.elements.$silenceStopAfterMinutesInput.val(state.silenceStopAfterMinutes);
+        this.elements.$streamStartTimeInput.val(state.streamStartTime);
+        this.elements.$paragraphGapSecondsInput.val(state.paragraphGapSeconds);
+        this.elements.$keywordWatchListInput.val(state.keywordWatchList).removeClass('is-invalid');
+        this.elements.$keywordAlertSoundCheck.prop('checked', state.keywordAlertSound);
+        this.elements.$keywordAlertNotificationCheck.prop('checked', state.keywordAlertNotification);
+        this.elements.$speakerListInput.val(state.speakerList);
+        this.elements.$translationProviderSelect.val(state.translationProvider);
         this.elements.$apiKeyInput.val(state.geminiApiKey);
         this.elements.$geminiModelSelect.val(state.geminiModel);
+        this.elements.$streamingTranslationCheck.prop('checked', state.streamingTranslation);
+        this.elements.$openaiEndpointInput.val(state.openaiEndpoint);
+        this.elements.$openaiApiKeyInput.val(state.openaiApiKey);
+        this.elements.$openaiModelInput.val(state.openaiModel);
+        this.elements.$deeplEndpointInput.val(state.deeplEndpoint);
+        this.elements.$deeplApiKeyInput.val(state.deeplApiKey);
+        this.updateTranslationProviderFields();
         this.elements.$maxTextLinesInput.val(state.maxTextLines);
+        this.renderTargetLanguageOptions(state.targetLanguage, state.secondaryTargetLanguage);
         this.elements.$translationStyleInput.val(state.translationStyle);
+        this.elements.$contextLineCountInput.val(state.contextLineCount);
+        this.elements.$contextTokenBudgetInput.val(state.contextTokenBudget);
+        this.elements.$contextIncludeTranslationsCheck.prop('checked', state.contextIncludeTranslations);
+        this.elements.$translationCacheEnabledCheck.prop('checked', state.translationCacheEnabled);
+        this.updateTranslationCacheStats();
+    }
+
+    /**
+     * 設定モーダルの翻訳キャッシュの保存件数とヒット率の表示更新
+     * 
+     * @returns {Promise<void>}
+     */
+    async updateTranslationCacheStats() {
+        const count = await translationCache.count();
+        const stats = translationCache.getStats();
+        const hitRate = stats.hits + stats.misses > 0 ? `・ヒット率 ${Math.round(stats.hitRate * 100)}%` : '';
+        
+        this.elements.$translationCacheStats.text(`保存件数 ${count}件${hitRate}`);
+    }
+
+    /**
+     * 選択中の翻訳エンジンの設定項目のみ表示
+     */
+    updateTranslationProviderFields() {
+        const provider = this.elements.$translationProviderSelect.val();
+        $('.translation-provider-settings').each((index, element) => {
+            $(element).toggleClass('d-none', $(element).attr('data-provider') !== provider);
+        });
     }
 
     /**
      * 設定モーダルからの設定保存処理
      * ユーザーがモーダルで入力した値を取得し、stateManagerとlocalStorageに保存
-     * geminiTranslatorの設定も同時更新し、モーダルを閉じる
+     * geminiTranslatorと認識バックエンドの設定も同時更新し、モーダルを閉じる
      * エラー時はコンソールにログ出力し、ユーザーには静かに失敗を通知
      */
     saveSettings() {
         try {
             const settings = {
+                recognitionBackend: this.elements.$recognitionBackendSelect.val(),
+                recognitionServerUrl: this.elements.$recognitionServerUrlInput.val().trim(),
+                audioInputDeviceId: this.elements.$audioInputDeviceSelect.val() || '',
+                inputLevelWarning: this.elements.$inputLevelWarningCheck.prop('checked'),
+                maxAlternatives: Math.min(5, Math.max(1, parseInt(this.elements.$maxAlternativesInput.val()) || 1)),
+                lowConfidenceThreshold: Math.min(1, Math.max(0, parseFloat(this.elements.$lowConfidenceThresholdInput.val()) || 0)),
+                skipLowConfidenceTranslation: this.elements.$skipLowConfidenceTranslationCheck.prop('checked'),
+                punctuationRestoration: this.elements.$punctuationRestorationCheck.prop('checked'),
+                sentenceStitching: this.elements.$sentenceStitchingCheck.prop('checked'),
+                restartStrategy: this.elements.$restartStrategySelect.val(),
+                restartBaseDelay: Math.min(10000, Math.max(0, parseInt(this.elements.$restartBaseDelayInput.val()) || 0)),
+                restartMaxAttempts: Math.min(120, Math.max(1, parseInt(this.elements.$restartMaxAttemptsInput.val()) || APP_CONFIG.DEFAULT_SETTINGS.restartMaxAttempts)),
+                scheduledStartTime: this.elements.$scheduledStartTimeInput.val() || '',
+                autoStopAfterMinutes: Math.min(1440, Math.max(0, parseInt(this.elements.$autoStopAfterMinutesInput.val()) || 0)),
+                silenceStopAfterMinutes: Math.min(240, Math.max(0, parseInt(this.elements.$silenceStopAfterMinutesInput.val()) || 0)),
+                streamStartTime: this.elements.$streamStartTimeInput.val() || '',
+                paragraphGapSeconds: Math.min(30, Math.max(0, parseFloat(this.elements.$paragraphGapSecondsInput.val()) || 0)),
+                keywordWatchList: this.elements.$keywordWatchListInput.val().trim(),
+                keywordAlertSound: this.elements.$keywordAlertSoundCheck.prop('checked'),
+                keywordAlertNotification: this.elements.$keywordAlertNotificationCheck.prop('checked'),
+                speakerList: this.elements.$speakerListInput.val().trim(),
+                duplicateSimilarityThreshold: Math.min(1, Math.max(0.5, parseFloat(this.elements.$duplicateSimilarityThresholdInput.val()) || APP_CONFIG.DEFAULT_SETTINGS.duplicateSimilarityThreshold)),
+                duplicateCheckSeconds: Math.min(60, Math.max(0, parseInt(this.elements.$duplicateCheckSecondsInput.val()) || 0)),
+                vocabularyBiasMode: this.elements.$vocabularyBiasModeSelect.val(),
+                vocabularySimilarityThreshold: Math.min(1, Math.max(0.5, parseFloat(this.elements.$vocabularySimilarityThresholdInput.val()) || APP_CONFIG.DEFAULT_SETTINGS.vocabularySimilarityThreshold)),
+                translationProvider: this.elements.$translationProviderSelect.val(),
                 apiKey: this.elements.$apiKeyInput.val().trim(),
                 model: this.elements.$geminiModelSelect.val(),
+                streamingTranslation: this.elements.$streamingTranslationCheck.prop('checked'),
+                openaiEndpoint: this.elements.$openaiEndpointInput.val().trim(),
+                openaiApiKey: this.elements.$openaiApiKeyInput.val().trim(),
+                openaiModel: this.elements.$openaiModelInput.val().trim(),
+                deeplEndpoint: this.elements.$deeplEndpointInput.val().trim(),
+                deeplApiKey: this.elements.$deeplApiKeyInput.val().trim(),
                 maxTextLines: parseInt(this.elements.$maxTextLinesInput.val()),
-                translationStyle: this.elements.$translationStyleInput.val().trim()
+                targetLanguage: this.elements.$targetLanguageSelect.val() || APP_CONFIG.DEFAULT_SETTINGS.targetLanguage,
+                secondaryTargetLanguage: this.elements.$secondaryTargetLanguageSelect.val() || '',
+                translationStyle: this.elements.$translationStyleInput.val().trim(),
+                contextLineCount: Math.min(20, Math.max(0, parseInt(this.elements.$contextLineCountInput.val()) || 0)),
+                contextTokenBudget: Math.min(4000, Math.max(0, parseInt(this.elements.$contextTokenBudgetInput.val()) || 0)),
+                contextIncludeTranslations: this.elements.$contextIncludeTranslationsCheck.prop('checked'),
+                translationCacheEnabled: this.elements.$translationCacheEnabledCheck.prop('checked')
             };
             
+            // キーワード監視リストの検証（不正な正規表現がある場合は保存しない）
+            const keywordErrors = keywordWatcher.parseWatchList(settings.keywordWatchList).errors;
+            this.elements.$keywordWatchListInput.toggleClass('is-invalid', keywordErrors.length > 0);
+            if (keywordErrors.length > 0) {
+                this.elements.$keywordWatchListFeedback.text(`不正な正規表現があります: ${keywordErrors.join(', ')}`);
+                return;
+            }
+            
             // APIキー保存
             stateManager.saveApiKey(settings.apiKey);
             stateManager.setState('config.geminiApiKey', settings.apiKey);
@@ -1320,14 +3048,91 @@ class UIController {
             
             // その他設定更新
             stateManager.setState('config.geminiModel', settings.model);
+            stateManager.setState('config.streamingTranslation', settings.streamingTranslation);
             stateManager.setState('config.maxTextLines', settings.maxTextLines);
             stateManager.setState('config.translationStyle', settings.translationStyle);
             
-            // 翻訳機能の設定更新
+            // 翻訳先言語の変更を表示中の行の第2翻訳言語ボタンに反映
+            stateManager.setState('config.targetLanguage', settings.targetLanguage);
+            stateManager.setState('config.secondaryTargetLanguage', settings.secondaryTargetLanguage);
+            this.updateSecondaryTranslateButtons();
+            stateManager.setState('config.contextLineCount', settings.contextLineCount);
+            stateManager.setState('config.contextTokenBudget', settings.contextTokenBudget);
+            stateManager.setState('config.contextIncludeTranslations', settings.contextIncludeTranslations);
+            stateManager.setState('config.translationCacheEnabled', settings.translationCacheEnabled);
+            stateManager.setState('config.maxAlternatives', settings.maxAlternatives);
+            stateManager.setState('config.lowConfidenceThreshold', settings.lowConfidenceThreshold);
+            stateManager.setState('config.skipLowConfidenceTranslation', settings.skipLowConfidenceTranslation);
+            stateManager.setState('config.punctuationRestoration', settings.punctuationRestoration);
+            stateManager.setState('config.sentenceStitching', settings.sentenceStitching);
+            stateManager.setState('config.duplicateSimilarityThreshold', settings.duplicateSimilarityThreshold);
+            stateManager.setState('config.duplicateCheckSeconds', settings.duplicateCheckSeconds);
+            stateManager.setState('config.vocabularyBiasMode', settings.vocabularyBiasMode);
+            stateManager.setState('config.vocabularySimilarityThreshold', settings.vocabularySimilarityThreshold);
+            stateManager.setState('config.restartStrategy', settings.restartStrategy);
+            stateManager.setState('config.restartBaseDelay', settings.restartBaseDelay);
+            stateManager.setState('config.restartMaxAttempts', settings.restartMaxAttempts);
+            stateManager.setState('config.scheduledStartTime', settings.scheduledStartTime);
+            stateManager.setState('config.autoStopAfterMinutes', settings.autoStopAfterMinutes);
+            stateManager.setState('config.silenceStopAfterMinutes', settings.silenceStopAfterMinutes);
+            stateManager.setState('config.streamStartTime', settings.streamStartTime);
+            stateManager.setState('config.paragraphGapSeconds', settings.paragraphGapSeconds);
+            
+            // 配信開始時刻の変更を表示中の行の経過時間に反映
+            this.updateLineTimestamps();
+            stateManager.setState('config.keywordWatchList', settings.keywordWatchList);
+            stateManager.setState('config.keywordAlertSound', settings.keywordAlertSound);
+            stateManager.setState('config.keywordAlertNotification', settings.keywordAlertNotification);
+            
+            // デスクトップ通知の許可を要求（ユーザー操作中である必要があるため保存時に実行）
+            if (settings.keywordAlertNotification) {
+                keywordWatcher.requestNotificationPermission();
+            }
+            
+            // 話者一覧の変更を表示中の行とヘッダーに反映
+            stateManager.setState('config.speakerList', settings.speakerList);
+            this.updateSpeakerDisplay();
+            
+            // 予約開始時刻を再設定（自動停止の時間は計測中のセッションにも反映）
+            if (window.sessionScheduler) {
+                window.sessionScheduler.armScheduledStart();
+            }
+            
+            // 翻訳エンジンごとの設定更新（APIキーは個別に保存）
+            stateManager.setState('config.translationProvider', settings.translationProvider);
+            stateManager.setState('config.openaiEndpoint', settings.openaiEndpoint || APP_CONFIG.DEFAULT_SETTINGS.openaiEndpoint);
+            stateManager.setState('config.openaiModel', settings.openaiModel || APP_CONFIG.DEFAULT_SETTINGS.openaiModel);
+            stateManager.setState('config.deeplEndpoint', settings.deeplEndpoint || APP_CONFIG.DEFAULT_SETTINGS.deeplEndpoint);
+            stateManager.saveApiKey(settings.openaiApiKey, 'openai');
+            stateManager.saveApiKey(settings.deeplApiKey, 'deepl');
+            
+            // 翻訳機能の設定更新（モデルの設定で翻訳プロバイダーも再生成）
             if (window.geminiTranslator) {
                 window.geminiTranslator.setModel(settings.model);
             }
             
+            // 認識バックエンドの切り替え（変更時のみ再初期化）
+            const currentBackend = stateManager.getState('config.recognitionBackend');
+            const currentServerUrl = stateManager.getState('config.recognitionServerUrl');
+            const currentDeviceId = stateManager.getState('config.audioInputDeviceId');
+            stateManager.setState('config.recognitionBackend', settings.recognitionBackend);
+            stateManager.setState('config.recognitionServerUrl', settings.recognitionServerUrl || APP_CONFIG.DEFAULT_SETTINGS.recognitionServerUrl);
+            stateManager.setState('config.audioInputDeviceId', settings.audioInputDeviceId);
+            stateManager.setState('config.inputLevelWarning', settings.inputLevelWarning);
+            const deviceChanged = settings.recognitionBackend === 'websocket' && currentDeviceId !== settings.audioInputDeviceId;
+            if (window.speechRecognitionManager &&
+                (currentBackend !== settings.recognitionBackend || currentServerUrl !== stateManager.getState('config.recognitionServerUrl') || deviceChanged)) {
+                window.speechRecognitionManager.changeBackend();
+            } else if (window.speechRecognitionManager) {
+                // 認識候補数は次回の認識開始から反映
+                window.speechRecognitionManager.setupRecognitionConfig();
+            }
+            
+            // 認識中の入力レベル監視に入力デバイスと警告の設定を反映
+            if (window.audioInputMonitor) {
+                window.audioInputMonitor.refreshRecognitionMonitoring();
+            }
+            
             // 設定保存
             stateManager.saveSettings();
             
@@ -1476,6 +3281,85 @@ class UIController {
         this.updateAutoTranslateButton(newState);
     }
 
+    /**
+     * 行の時刻表示の切り替え
+     * 時刻と配信開始からの経過時間を切り替え、表示中の全行に反映して設定を保存
+     */
+    toggleTimestampMode() {
+        const newMode = stateManager.getState('config.timestampMode') === 'elapsed' ? 'wallclock' : 'elapsed';
+        
+        stateManager.setState('config.timestampMode', newMode);
+        stateManager.saveSettings();
+        
+        this.updateTimestampModeButton(newMode);
+        this.updateLineTimestamps();
+        this.updateSessionClock();
+    }
+
+    /**
+     * 時刻表示の切り替えボタンの視覚状態更新
+     * 経過時間表示の場合は緑色、時刻表示の場合はグレーの輪郭スタイルで表示
+     * 
+     * @param {string} mode - 時刻表示（wallclock / elapsed）
+     */
+    updateTimestampModeButton(mode) {
+        const $btn = this.elements.$timestampModeToggle;
+        
+        if (mode === 'elapsed') {
+            $btn.removeClass('btn-outline-success').addClass('btn-success');
+        } else {
+            $btn.removeClass('btn-success').addClass('btn-outline-success');
+        }
+    }
+
+    /**
+     * 行の時刻表示の描画
+     * 経過時間表示で基準時刻がない場合は時刻で表示
+     * 
+     * @param {jQuery} $textLine - テキスト行要素
+     */
+    renderLineTimestamp($textLine) {
+        const timestamp = parseInt($textLine.attr('data-timestamp'), 10);
+        const speechTime = parseInt($textLine.attr('data-speech-time'), 10) || timestamp;
+        const sessionStart = parseInt($textLine.attr('data-session-start'), 10) || null;
+        const reference = stateManager.getState('config.timestampMode') === 'elapsed' && window.sessionScheduler
+            ? sessionScheduler.getClockReference(sessionStart)
+            : null;
+        
+        $textLine.children('small.text-muted').first().text(
+            reference ? Utils.formatElapsed(speechTime - reference) : Utils.formatTimestamp(timestamp)
+        );
+    }
+
+    /**
+     * 表示中の全行の時刻表示を更新
+     * 時刻表示の切り替え時と配信開始時刻の変更時に呼び出される
+     */
+    updateLineTimestamps() {
+        this.elements.$mainTextArea.find('.text-line[data-text-id]').each((index, element) => {
+            this.renderLineTimestamp($(element));
+        });
+    }
+
+    /**
+     * ヘッダーの配信経過時間の更新
+     * 経過時間表示で認識中（自動再開の待機中を含む）の場合のみ表示
+     */
+    updateSessionClock() {
+        const $clock = this.elements.$sessionClock;
+        if (!$clock || !$clock.length || !window.sessionScheduler) return;
+        
+        const reference = sessionScheduler.getClockReference();
+        const isVisible = !!reference &&
+            stateManager.getState('config.timestampMode') === 'elapsed' &&
+            stateManager.getState('recognition.isActive');
+        
+        $clock.toggleClass('d-none', !isVisible);
+        if (isVisible) {
+            $clock.find('.session-clock-label').text(Utils.formatElapsed(Date.now() - reference));
+        }
+    }
+
     /**
      * 自動翻訳ボタンの視覚状態更新
      * ボタンの色で自動翻訳のオン・オフ状態を視覚化
@@ -1630,6 +3514,7 @@ class UIController {
         this.clearMainText();
         this.hideLoadingToast();
         this.updateRecognitionButton({ isListening: false, errorCount: 0 });
+        this.updateVoiceActivityIndicator({ isListening: false });
         this.updateTranslationArea({ isLoading: false, translatedText: '' });
     }
 
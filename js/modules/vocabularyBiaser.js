@@ -0,0 +1,230 @@
+/**
+ * 語彙バイアスモジュール
+ * Chinese Speech to Text
+ *
+ * 配信者の名前などが毎回異なる同音・近音の漢字で認識される場合、置換辞書の完全一致では修正できない
+ * そのため確定した認識結果の各区間を登録語彙と声調なしピンインの類似度で比較し、
+ * 発音が十分に近い区間を語彙の表記に自動修正、または修正候補として提示する
+ * 置換辞書の適用後、ピンイン変換と履歴保存の前に適用される
+ *
+ * 語彙はプロフィールごとにlocalStorageへ保存する（置換辞書と同じ単位で切り替え）
+ *
+ * 【注意】比較の限界について：
+ * - 語彙と同じ文字数の区間のみを比較します（脱字・余分な文字を含む誤認識は対象外）
+ * - ピンインは大陸式の読みで比較するため、広東語の認識結果には適用しません
+ */
+
+// 語彙バイアス設定定数
+const VOCABULARY_BIASER_CONSTANTS = {
+    PROFILE_DATA_KEY: 'vocabulary',    // プロフィール別データのキー
+    MIN_TERM_LENGTH: 2,                // 比較対象とする語彙の最小文字数（1文字は誤検出が多いため除外）
+    FUZZY_SYLLABLE_SIMILARITY: 0.9     // 南方訛りなどで混同されやすい音節の類似度
+};
+
+// 混同されやすい声母・韻母の組み合わせ（比較前に左側を右側に寄せる）
+const FUZZY_PINYIN_RULES = [
+    [/^zh/, 'z'],
+    [/^ch/, 'c'],
+    [/^sh/, 's'],
+    [/^l/, 'n'],
+    [/^f/, 'h'],
+    [/ing$/, 'in'],
+    [/eng$/, 'en'],
+    [/ang$/, 'an']
+];
+
+class VocabularyBiaser {
+    constructor() {
+        this.constants = VOCABULARY_BIASER_CONSTANTS;
+
+        this.profile = null;               // 読み込み済みのプロフィール名
+        this.terms = [];                   // 登録語彙
+    }
+
+    /**
+     * 語彙バイアスの初期化
+     * 使用中のプロフィールの語彙を読み込み、プロフィールの切り替えを監視
+     */
+    initialize() {
+        this.load();
+
+        $(document).on('state:profileChanged', () => {
+            this.load();
+        });
+    }
+
+    /**
+     * 使用中のプロフィールの語彙を読み込み
+     */
+    load() {
+        this.profile = stateManager.getState('config.activeProfile');
+
+        const terms = stateManager.getProfileData(this.profile, this.constants.PROFILE_DATA_KEY, []);
+        this.terms = Array.isArray(terms) ? terms.filter(term => typeof term === 'string' && term) : [];
+    }
+
+    /**
+     * 登録語彙を取得
+     *
+     * @returns {Array<string>} 登録語彙
+     */
+    getTerms() {
+        return this.terms;
+    }
+
+    /**
+     * 登録語彙を置き換えて保存
+     * 空行と重複を除外する
+     *
+     * @param {Array<string>} terms - 登録語彙
+     */
+    setTerms(terms) {
+        this.terms = Array.from(new Set(terms.map(term => term.trim()).filter(Boolean)));
+        stateManager.saveProfileData(this.profile, this.constants.PROFILE_DATA_KEY, this.terms);
+    }
+
+    /**
+     * 現在の認識言語と設定で適用するか判定
+     * @private
+     *
+     * @returns {boolean} 適用するかどうか
+     */
+    isEnabled() {
+        const language = stateManager.getState('config.language') || '';
+        return stateManager.getState('config.vocabularyBiasMode') !== 'off' &&
+            this.terms.length > 0 &&
+            language.startsWith('zh') &&
+            !Utils.isCantonese(language) &&
+            !!window.pinyinConverter?.isLibraryLoaded;
+    }
+
+    /**
+     * 確定テキストへの語彙バイアスの適用
+     * 自動修正の設定では発音の近い区間を語彙に置き換え、候補表示の設定では修正候補を返す
+     *
+     * @param {string} text - 置換辞書適用後のテキスト
+     * @returns {Object} 結果 { text, suggestions }（suggestionsは{ start, length, original, term, similarity }の配列、位置は文字単位）
+     */
+    apply(text) {
+        try {
+            if (!text || !this.isEnabled()) {
+                return { text, suggestions: [] };
+            }
+
+            const matches = this.findMatches(text);
+            if (matches.length === 0) {
+                return { text, suggestions: [] };
+            }
+
+            if (stateManager.getState('config.vocabularyBiasMode') === 'auto') {
+                // 語彙と区間は同じ文字数のため、置き換えても他の区間の位置は変わらない
+                const chars = Array.from(text);
+                matches.forEach(match => {
+                    chars.splice(match.start, match.length, ...Array.from(match.term));
+                });
+                return { text: chars.join(''), suggestions: [] };
+            }
+
+            return { text, suggestions: matches };
+
+        } catch (error) {
+            return { text, suggestions: [] };
+        }
+    }
+
+    /**
+     * 登録語彙と発音が近い区間の検索
+     * 重なる区間は類似度の高いものを優先する
+     *
+     * @param {string} text - 検索対象テキスト
+     * @returns {Array<Object>} 区間（{ start, length, original, term, similarity }）の配列（位置順）
+     */
+    findMatches(text) {
+        const chars = Array.from(text);
+        const syllables = pinyinConverter.getTonelessSyllables(text);
+        const threshold = stateManager.getState('config.vocabularySimilarityThreshold') || APP_CONFIG.DEFAULT_SETTINGS.vocabularySimilarityThreshold;
+        const candidates = [];
+
+        if (syllables.length !== chars.length) {
+            return [];
+        }
+
+        this.terms.forEach(term => {
+            const termChars = Array.from(term);
+            const termSyllables = pinyinConverter.getTonelessSyllables(term);
+            const length = termChars.length;
+
+            if (length < this.constants.MIN_TERM_LENGTH || termSyllables.length !== length || termSyllables.includes(null)) {
+                return;
+            }
+
+            for (let start = 0; start + length <= chars.length; start++) {
+                const original = chars.slice(start, start + length).join('');
+                const spanSyllables = syllables.slice(start, start + length);
+
+                if (original === term || spanSyllables.includes(null)) {
+                    continue;
+                }
+
+                const similarity = this.calculateSimilarity(spanSyllables, termSyllables);
+                if (similarity >= threshold) {
+                    candidates.push({ start, length, original, term, similarity: Math.round(similarity * 100) / 100 });
+                }
+            }
+        });
+
+        // 類似度の高い順に、既に選んだ区間と重ならないものを採用
+        const selected = [];
+        candidates
+            .sort((a, b) => b.similarity - a.similarity || b.length - a.length)
+            .forEach(candidate => {
+                const overlaps = selected.some(item =>
+                    candidate.start < item.start + item.length && item.start < candidate.start + candidate.length
+                );
+                if (!overlaps) {
+                    selected.push(candidate);
+                }
+            });
+
+        return selected.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * 音節列の類似度の算出
+     * 音節ごとの類似度の平均（一致=1、混同されやすい音節=0.9、その他は編集距離による類似度）
+     * @private
+     *
+     * @param {Array<string>} a - 声調なしピンインの配列
+     * @param {Array<string>} b - 声調なしピンインの配列（aと同じ長さ）
+     * @returns {number} 類似度（0〜1）
+     */
+    calculateSimilarity(a, b) {
+        const total = a.reduce((sum, syllable, index) => {
+            const other = b[index];
+
+            if (syllable === other) {
+                return sum + 1;
+            }
+            if (this.normalizeFuzzy(syllable) === this.normalizeFuzzy(other)) {
+                return sum + this.constants.FUZZY_SYLLABLE_SIMILARITY;
+            }
+            return sum + Utils.calculateSimilarity(syllable, other);
+        }, 0);
+
+        return total / a.length;
+    }
+
+    /**
+     * 混同されやすい声母・韻母を寄せた音節に変換
+     * @private
+     *
+     * @param {string} syllable - 声調なしピンイン
+     * @returns {string} 正規化した音節
+     */
+    normalizeFuzzy(syllable) {
+        return FUZZY_PINYIN_RULES.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), syllable);
+    }
+}
+
+// グローバルインスタンス
+window.vocabularyBiaser = new VocabularyBiaser();
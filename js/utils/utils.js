@@ -9,6 +9,28 @@ const Utils = {
         return `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
     },
     
+    // 経過時間フォーマット（H:MM:SS、1時間未満はMM:SS）
+    formatDuration(milliseconds) {
+        const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const pad = value => String(value).padStart(2, '0');
+        
+        return hours > 0
+            ? `${hours}:${pad(minutes)}:${pad(seconds)}`
+            : `${pad(minutes)}:${pad(seconds)}`;
+    },
+    
+    // 配信経過時間フォーマット（HH:MM:SS、基準時刻より前は先頭に-）
+    formatElapsed(milliseconds) {
+        const sign = milliseconds < 0 ? '-' : '';
+        const totalSeconds = Math.floor(Math.abs(milliseconds) / 1000);
+        const pad = value => String(value).padStart(2, '0');
+        
+        return `${sign}${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor((totalSeconds % 3600) / 60))}:${pad(totalSeconds % 60)}`;
+    },
+    
     // タイムスタンプフォーマット
     formatTimestamp(timestamp) {
         const date = new Date(timestamp);
@@ -112,14 +134,50 @@ const Utils = {
         }
     },
     
-    // 中国語テキスト判定
+    // 中国語テキスト判定（広東語で使われるCJK統合漢字拡張Aを含む）
     isChineseText(text) {
-        return /[\u4e00-\u9fff]/.test(text);
+        return /[\u3400-\u4dbf\u4e00-\u9fff]/.test(text);
+    },
+    
+    // 広東語の認識言語判定（ルビに粤拼を使用する言語）
+    isCantonese(language) {
+        return APP_CONFIG.LANGUAGE_CONFIG[language]?.ruby === 'jyutping';
     },
     
     // 文字列トリミング
     trimText(text) {
         return text.replace(/^[\s\u3000]+|[\s\u3000]+$/g, '');
+    },
+    
+    // 編集距離（レーベンシュタイン距離）
+    levenshteinDistance(a, b) {
+        const source = Array.from(a);
+        const target = Array.from(b);
+        let previousRow = Array.from({ length: target.length + 1 }, (_, i) => i);
+        
+        for (let i = 1; i <= source.length; i++) {
+            const currentRow = [i];
+            for (let j = 1; j <= target.length; j++) {
+                const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+                currentRow[j] = Math.min(
+                    previousRow[j] + 1,
+                    currentRow[j - 1] + 1,
+                    previousRow[j - 1] + cost
+                );
+            }
+            previousRow = currentRow;
+        }
+        
+        return previousRow[target.length];
+    },
+    
+    // 文字列の類似度（0〜1、編集距離を長い方の文字数で正規化）
+    calculateSimilarity(a, b) {
+        const maxLength = Math.max(Array.from(a).length, Array.from(b).length);
+        if (maxLength === 0) {
+            return 1;
+        }
+        return 1 - this.levenshteinDistance(a, b) / maxLength;
     }
 };
 
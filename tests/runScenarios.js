@@ -0,0 +1,185 @@
+/**
+ * 認識シナリオのヘッドレス実行スクリプト
+ * Chinese Speech to Text
+ *
+ * jsdomでindex.htmlを擬似認識バックエンド（?fakeRecognition=1）付きで読み込み、
+ * 組み込みシナリオ（BUILTIN_SCENARIOS）をすべて recognitionScenarioRunner で実行する
+ * テキスト履歴（textHistory）または表示行の照合に失敗したシナリオがある場合は終了コード1で終了する
+ *
+ * 使い方:
+ * - npm install
+ * - npm test（または node tests/runScenarios.js）
+ * - シナリオ名の一部を引数に指定すると該当するシナリオのみ実行（例: node tests/runScenarios.js 重複）
+ *
+ * 【注意】CDNから読み込むライブラリはnode_modulesの同じバージョンで置き換えます
+ * Bootstrapのトーストとモーダルはjsdomで動作しないため最小限のスタブを使用します
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// ヘッドレス実行設定定数
+const HEADLESS_CONSTANTS = {
+    ROOT_DIR: path.resolve(__dirname, '..'),
+    PAGE_URL: 'http://localhost/index.html?fakeRecognition=1',
+    INITIALIZE_TIMEOUT: 10000,         // アプリの初期化完了を待つ最大時間（ミリ秒）
+    POLL_INTERVAL: 50,                 // 初期化完了の確認間隔（ミリ秒）
+    TOTAL_TIMEOUT: 300000              // 全シナリオの実行の最大時間（ミリ秒）
+};
+
+// CDNのスクリプトURLと置き換えるnode_modulesのファイル（ブラウザ用のビルドを直接読み込む）
+const CDN_LIBRARIES = [
+    { pattern: /jquery/, module: 'jquery/dist/jquery.js' },
+    { pattern: /pinyin-pro/, module: 'pinyin-pro/dist/index.js' },
+    { pattern: /to-jyutping/, module: 'to-jyutping/dist/index.js' }
+];
+
+/**
+ * 指定時間の待機
+ *
+ * @param {number} ms - 待機時間（ミリ秒）
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * index.htmlのscriptタグを読み込み順に取得
+ *
+ * @param {string} html - index.htmlの内容
+ * @returns {Array<string>} スクリプトのsrc
+ */
+function listScriptSources(html) {
+    return [...html.matchAll(/<script[^>]*\bsrc="([^"]+)"/g)].map(match => match[1]);
+}
+
+/**
+ * スクリプトの読み込み
+ * CDNのライブラリはnode_modulesのファイル、アプリのスクリプトはリポジトリのファイルを評価する
+ *
+ * @param {Window} window - jsdomのwindow
+ * @param {string} src - scriptタグのsrc
+ */
+function loadScript(window, src) {
+    if (/^https?:/.test(src)) {
+        const library = CDN_LIBRARIES.find(item => item.pattern.test(src));
+        if (library) {
+            window.eval(fs.readFileSync(path.join(HEADLESS_CONSTANTS.ROOT_DIR, 'node_modules', library.module), 'utf8'));
+        }
+        return;
+    }
+
+    const filePath = path.join(HEADLESS_CONSTANTS.ROOT_DIR, src);
+    window.eval(`${fs.readFileSync(filePath, 'utf8')}\n//# sourceURL=${src}`);
+}
+
+/**
+ * jsdomで動作しないブラウザAPIのスタブを設定
+ *
+ * @param {Window} window - jsdomのwindow
+ */
+function installStubs(window) {
+    window.bootstrap = {
+        Toast: class { show() {} hide() {} },
+        Modal: class {
+            static getInstance() { return null; }
+            static getOrCreateInstance() { return new this(); }
+            show() {}
+            hide() {}
+        },
+        Tooltip: class { dispose() {} }
+    };
+
+    // 擬似認識バックエンドを使用するため、Web Speech APIは存在確認のみ
+    window.webkitSpeechRecognition = function() {};
+
+    // 翻訳APIなどの外部通信は行わない
+    window.fetch = async () => ({ ok: false, status: 0, json: async () => ({}) });
+}
+
+/**
+ * アプリの初期化完了を待機
+ *
+ * @param {Window} window - jsdomのwindow
+ * @returns {Promise<void>}
+ * @throws {Error} 初期化がタイムアウトした場合
+ */
+async function waitForInitialization(window) {
+    const deadline = Date.now() + HEADLESS_CONSTANTS.INITIALIZE_TIMEOUT;
+
+    while (!window.chineseLearningApp?.isInitialized) {
+        if (Date.now() > deadline) {
+            throw new Error('アプリの初期化がタイムアウトしました');
+        }
+        await sleep(HEADLESS_CONSTANTS.POLL_INTERVAL);
+    }
+}
+
+/**
+ * シナリオ結果の出力
+ *
+ * @param {Object} result - recognitionScenarioRunner.runの結果
+ */
+function printResult(result) {
+    console.log(`${result.passed ? 'ok' : 'NG'} - ${result.name} (${result.duration}ms)`);
+    (result.failures || []).forEach(failure => {
+        console.log(`    ${failure}`);
+    });
+}
+
+/**
+ * 組み込みシナリオの実行
+ *
+ * @returns {Promise<number>} 終了コード（すべて成功=0、失敗あり=1）
+ */
+async function main() {
+    const html = fs.readFileSync(path.join(HEADLESS_CONSTANTS.ROOT_DIR, 'index.html'), 'utf8');
+    const dom = new JSDOM(html.replace(/<script[\s\S]*?<\/script>/g, ''), {
+        url: HEADLESS_CONSTANTS.PAGE_URL,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+
+    installStubs(window);
+    listScriptSources(html).forEach(src => loadScript(window, src));
+
+    // main.jsはjQueryのreadyで初期化するため完了を待つ
+    await waitForInitialization(window);
+
+    const runner = window.recognitionScenarioRunner;
+    const filter = process.argv[2];
+    const scenarios = runner.getBuiltinScenarios()
+        .filter(scenario => !filter || scenario.name.includes(filter));
+
+    if (scenarios.length === 0) {
+        console.log(`該当するシナリオがありません: ${filter}`);
+        return 1;
+    }
+
+    const summary = await runner.runAll(scenarios);
+    summary.results.forEach(printResult);
+    console.log(`\n${summary.total - summary.failed}/${summary.total} シナリオ成功`);
+
+    window.close();
+    return summary.passed ? 0 : 1;
+}
+
+// 応答しないシナリオで終了しないことを防ぐ
+const totalTimer = setTimeout(() => {
+    console.error('シナリオの実行がタイムアウトしました');
+    process.exit(1);
+}, HEADLESS_CONSTANTS.TOTAL_TIMEOUT);
+
+main()
+    .then(code => {
+        clearTimeout(totalTimer);
+        process.exit(code);
+    })
+    .catch(error => {
+        clearTimeout(totalTimer);
+        console.error(error);
+        process.exit(1);
+    });